@@ -0,0 +1,211 @@
+// Mock reports backend over HTTP
+// Serves the in-memory reports service as the REST API the http transport
+// expects, so the real network path can be exercised without a backend.
+// `reportsMockApi()` is a Vite plugin mounting it on the dev and preview
+// servers; `handleReportsRequest` is the framework-free router behind it.
+
+import { createMockReportsService } from '../src/services/mockReportsService.js'
+import { ERROR_CODES, ValidationError, serializeError } from '../src/services/reportsErrors.js'
+import { parseSort } from '../src/services/reportSorting.js'
+
+// In-memory database shared by every dev and preview server request.
+// Created here, its only user, so the browser bundle doesn't build one.
+const mockReportsService = createMockReportsService()
+
+const parseJSONParam = (value) => {
+  if (!value) return undefined
+  try {
+    return JSON.parse(value)
+  } catch {
+    return undefined
+  }
+}
+
+const toNumber = (value) => (value === null || value === '' ? undefined : Number(value))
+
+// Query params shared by the list, ids and summary endpoints
+const readQuery = (query) => ({
+  filters: parseJSONParam(query.get('filters')),
+  search: query.get('search') ?? undefined
+})
+
+// Each route maps a method and path onto one service call
+const routes = [
+  { method: 'GET', path: /^\/reports$/, handle: (service, { query, signal }) => (
+    service.getReports({
+      page: toNumber(query.get('page')),
+      pageSize: toNumber(query.get('pageSize')),
+      sort: parseSort(query.get('sort')),
+      sortBy: query.get('sortBy') ?? undefined,
+      sortOrder: query.get('sortOrder') ?? undefined,
+      ...readQuery(query),
+      signal
+    })
+  ) },
+  { method: 'POST', path: /^\/reports$/, status: 201, handle: (service, { body, signal }) => (
+    service.createReport(body, { signal })
+  ) },
+  { method: 'GET', path: /^\/reports\/ids$/, handle: (service, { query, signal }) => (
+    service.getReportIds({ ...readQuery(query), signal })
+  ) },
+  { method: 'GET', path: /^\/reports\/summary$/, handle: (service, { query, signal }) => (
+    service.getReportsSummary({ ...readQuery(query), signal })
+  ) },
+  { method: 'POST', path: /^\/reports\/reset$/, handle: (service, { signal }) => (
+    service.resetDemoData({ signal })
+  ) },
+  { method: 'POST', path: /^\/reports\/bulk\/get$/, handle: (service, { body, signal }) => (
+    service.bulkGetReports(body?.ids, { signal })
+  ) },
+  { method: 'PATCH', path: /^\/reports\/bulk$/, handle: (service, { body, signal }) => (
+    service.bulkUpdateReports(body?.ids, body?.updates, { signal })
+  ) },
+  { method: 'DELETE', path: /^\/reports\/bulk$/, handle: (service, { body, signal }) => (
+    service.bulkDeleteReports(body?.ids, { signal })
+  ) },
+  { method: 'POST', path: /^\/reports\/bulk\/execute$/, handle: (service, { body, signal }) => (
+    service.bulkExecuteReports(body?.ids, { signal })
+  ) },
+  { method: 'GET', path: /^\/reports\/(\d+)$/, handle: (service, { params, signal }) => (
+    service.getReport(Number(params[0]), { signal })
+  ) },
+  // If-Match carries the updatedAt the edit started from
+  { method: 'PUT', path: /^\/reports\/(\d+)$/, handle: (service, { params, body, headers, signal }) => (
+    service.updateReport(Number(params[0]), body, { expectedUpdatedAt: headers['if-match'], signal })
+  ) },
+  { method: 'DELETE', path: /^\/reports\/(\d+)$/, handle: (service, { params, signal }) => (
+    service.deleteReport(Number(params[0]), { signal })
+  ) },
+  { method: 'POST', path: /^\/reports\/(\d+)\/execute$/, handle: (service, { params, signal }) => (
+    service.executeReport(Number(params[0]), { signal })
+  ) },
+]
+
+/**
+ * Routes one API request to the reports service
+ *
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Path and query, relative to the API root
+ * @param {Object} request.headers - Lower-cased request headers
+ * @param {Object} request.body - Parsed JSON body, if any
+ * @param {AbortSignal} request.signal - Aborts the service call
+ * @param {Object} service - Reports service to serve (default: the in-memory mock)
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+export const handleReportsRequest = async (
+  { method, url, headers = {}, body, signal },
+  service = mockReportsService
+) => {
+  const { pathname, searchParams } = new URL(url, 'http://localhost')
+
+  for (const route of routes) {
+    const match = pathname.match(route.path)
+    if (!match || route.method !== method) continue
+
+    try {
+      const result = await route.handle(service, {
+        params: match.slice(1),
+        query: searchParams,
+        headers,
+        body,
+        signal
+      })
+      return { status: route.status || 200, body: result }
+    } catch (err) {
+      if (err?.name === 'AbortError') throw err
+      return serializeError(err)
+    }
+  }
+
+  return {
+    status: 404,
+    body: { success: false, error: { code: ERROR_CODES.NOT_FOUND, message: `No route for ${method} ${pathname}` } }
+  }
+}
+
+const readBody = async (req) => {
+  let raw = ''
+  req.setEncoding('utf8')
+  for await (const chunk of req) raw += chunk
+  return raw ? JSON.parse(raw) : undefined
+}
+
+const sendJSON = (res, status, body) => {
+  res.statusCode = status
+  res.setHeader('Content-Type', 'application/json')
+  res.end(JSON.stringify(body))
+}
+
+// Streams report updates as server-sent events until the client disconnects
+const streamReportUpdates = (req, res, service) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  })
+  res.write(': connected\n\n')
+
+  const unsubscribe = service.subscribeToReportUpdates((report) => {
+    res.write(`data: ${JSON.stringify(report)}\n\n`)
+  })
+  req.on('close', unsubscribe)
+}
+
+const createMiddleware = (service) => async (req, res, next) => {
+  if (!req.url.startsWith('/reports')) {
+    next()
+    return
+  }
+
+  if (req.method === 'GET' && req.url.split('?')[0] === '/reports/events') {
+    streamReportUpdates(req, res, service)
+    return
+  }
+
+  // Abort the simulated work if the client goes away, as fetch aborts do
+  const controller = new AbortController()
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort()
+  })
+
+  let body
+  try {
+    body = await readBody(req)
+  } catch {
+    const { status, body: errorBody } = serializeError(new ValidationError({ body: 'Request body must be valid JSON' }))
+    sendJSON(res, status, errorBody)
+    return
+  }
+
+  try {
+    const response = await handleReportsRequest({
+      method: req.method,
+      url: req.url,
+      headers: req.headers,
+      body,
+      signal: controller.signal
+    }, service)
+    sendJSON(res, response.status, response.body)
+  } catch (err) {
+    // Only aborts escape the router; the client is gone, so there's no one to answer
+    if (!controller.signal.aborted) next(err)
+  }
+}
+
+/**
+ * Vite plugin serving the mock reports API under `basePath`
+ *
+ * @param {Object} options
+ * @param {string} options.basePath - Where to mount the API (default: '/api')
+ * @param {Object} options.service - Reports service to serve (default: the in-memory mock)
+ */
+export const reportsMockApi = ({ basePath = '/api', service = mockReportsService } = {}) => ({
+  name: 'reports-mock-api',
+  configureServer(server) {
+    server.middlewares.use(basePath, createMiddleware(service))
+  },
+  configurePreviewServer(server) {
+    server.middlewares.use(basePath, createMiddleware(service))
+  }
+})
@@ -1,65 +1,289 @@
-import { useMemo, useState } from 'react'
-import { Download } from 'lucide-react'
+import { useCallback, useMemo, useRef, useState } from 'react'
+import { Download, ListOrdered, Plus, RotateCcw, X } from 'lucide-react'
 import { DataTable } from './components/DataTable'
 import { FiltersForm } from './components/FiltersForm'
+import { ReportFormModal } from './components/ReportFormModal'
+import { RowActions } from './components/RowActions'
+import { ConfirmDialog } from './components/ConfirmDialog'
+import { Toaster } from './components/Toaster'
+import { SummaryPanel } from './components/SummaryPanel'
+import { BulkActionBar } from './components/BulkActionBar'
+import { SavedViewsMenu } from './components/SavedViewsMenu'
+import { LoadErrorBanner } from './components/LoadErrorBanner'
+import { ColumnChooser } from './components/ColumnChooser'
+import { HighlightedText } from './components/HighlightedText'
+import { ReportDetailsDrawer } from './components/ReportDetailsDrawer'
 import { useReportsData } from './hooks/useReportsData'
-import { exportAsCSV, formatReportsForCSV, REPORTS_CSV_HEADERS } from '../src/lib/csvExport'
+import { useReportsExport } from './hooks/useReportsExport'
+import { useToasts } from './hooks/useToasts'
+import { useExecutionTracker } from './hooks/useExecutionTracker'
+import { useReportsSummary } from './hooks/useReportsSummary'
+import { useBulkActions } from './hooks/useBulkActions'
+import { useSavedViews, createViewSnapshot, viewMatchesSnapshot } from './hooks/useSavedViews'
+import { useColumnPreferences, orderColumnIds } from './hooks/useColumnPreferences'
+import { useReportDetails } from './hooks/useReportDetails'
+import { ERROR_CODES } from './services/reportsErrors'
+import { RELEVANCE_SORT } from './services/reportSorting'
+import { parseSearchQuery } from './services/searchQuery'
+import { formatRecordCount, formatFileSize, formatDuration } from './lib/formatMetrics'
+import { PAGE_SIZE_OPTIONS } from './lib/tableUrlState'
 import './App.css'
 
+// Columns hidden until the user shows them
+const DEFAULT_COLUMN_VISIBILITY = { id: false, type: false }
+
+// Selection and row actions stay at the edges, whatever the column order
+const COLUMN_PINNING = { left: ['select'], right: ['actions'] }
+
 function App() {
-  const [exportLoading, setExportLoading] = useState(false)
   const [exportMessage, setExportMessage] = useState('')
+  const [reportForm, setReportForm] = useState({ isOpen: false, report: null })
+  // Pending destructive action awaiting confirmation: { title, message, confirmLabel, onConfirm }
+  const [confirmation, setConfirmation] = useState(null)
+  const [summaryRespectsFilters, setSummaryRespectsFilters] = useState(false)
+  const { toasts, showToast, dismissToast } = useToasts()
+  const {
+    views,
+    defaultView,
+    saveView,
+    renameView,
+    deleteView,
+    setDefaultView
+  } = useSavedViews()
+  // Open with the default view unless the URL already describes one
+  const [initialView] = useState(() => (window.location.search ? null : defaultView))
+  const {
+    columnVisibility,
+    columnOrder,
+    columnSizing,
+    onColumnVisibilityChange,
+    onColumnOrderChange,
+    onColumnSizingChange,
+    resetColumns
+  } = useColumnPreferences({
+    defaultVisibility: DEFAULT_COLUMN_VISIBILITY,
+    initialVisibility: initialView?.columnVisibility
+  })
   
   const {
     data,
+    dataVersion,
     loading,
+    revalidating,
     error,
+    retrying,
     pagination,
     sorting,
     filters,
+    mode,
+    changeMode,
+    totalCount,
+    hasMore,
+    loadingMore,
+    loadMore,
     onPaginationChange,
     onSortingChange,
     applyFilters,
+    pendingActions,
+    rowSelection,
+    selectingAll,
+    onRowSelectionChange,
+    selectAllMatching,
+    clearSelection,
+    createReport,
+    updateReport,
+    deleteReport,
+    executeReport,
+    duplicateReport,
+    patchReport,
+    resetDemoData,
     refetch
-  } = useReportsData()
+  } = useReportsData({ syncWithUrl: true, initialView })
+
+  // Report open in the detail drawer, and where it is among the loaded rows
+  const [detailReportId, setDetailReportId] = useState(null)
+  const detailIndex = data.findIndex(report => report.id === detailReportId)
+  const {
+    details,
+    loading: detailsLoading,
+    error: detailsError,
+    refetch: refetchDetails
+  } = useReportDetails(detailReportId, { refreshKey: data[detailIndex]?.updatedAt })
+  const closeDetails = useCallback(() => setDetailReportId(null), [])
+
+  const handleExecutionFinished = useCallback((report) => {
+    if (report.status === 'completed') {
+      showToast({
+        type: 'success',
+        title: `Execution completed: ${report.title}`,
+        message: `${formatRecordCount(report.recordCount)} records, ${formatFileSize(report.fileSize)} in ${formatDuration(report.executionTime)}`,
+      })
+    } else {
+      showToast({
+        type: 'error',
+        title: 'Execution failed',
+        message: `"${report.title}" did not complete. Try running it again.`,
+      })
+    }
+  }, [showToast])
+
+  const { executions, trackExecution, untrackExecution } = useExecutionTracker({
+    onReportUpdate: patchReport,
+    onExecutionFinished: handleExecutionFinished,
+  })
+
+  const {
+    summary,
+    loading: summaryLoading,
+    error: summaryError
+  } = useReportsSummary({ filters, respectFilters: summaryRespectsFilters, refreshKey: dataVersion })
+
+  const currentSnapshot = createViewSnapshot({
+    filters,
+    sorting,
+    pageSize: pagination.pageSize,
+    columnVisibility
+  })
+  const activeView = views.find(view => viewMatchesSnapshot(view, currentSnapshot))
+
+  const applyView = useCallback((view) => {
+    applyFilters(view.filters)
+    onSortingChange(view.sorting)
+    onPaginationChange(prev => ({ ...prev, pageSize: view.pageSize ?? prev.pageSize, pageIndex: 0 }))
+    onColumnVisibilityChange({ ...DEFAULT_COLUMN_VISIBILITY, ...view.columnVisibility })
+  }, [applyFilters, onSortingChange, onPaginationChange, onColumnVisibilityChange])
+
+  // Infinite scroll: the first row in view, and the row to bring into view
+  // after switching modes, so a switch keeps the same reports on screen
+  const topRowRef = useRef(0)
+  const [scrollToRow, setScrollToRow] = useState(null)
+
+  const switchMode = (nextMode) => {
+    if (nextMode === mode) return
+    const rowIndex = mode === 'infinite' ? topRowRef.current : pagination.pageIndex * pagination.pageSize
+    setScrollToRow(nextMode === 'infinite' ? rowIndex : null)
+    changeMode(nextMode, { rowIndex })
+  }
+
+  // Free-text terms of the search, for highlighting and relevance sorting
+  const searchTerms = useMemo(() => parseSearchQuery(filters.search).terms, [filters.search])
+  const sortedByRelevance = sorting[0]?.id === RELEVANCE_SORT
+
+  const toggleRelevanceSort = () => {
+    onSortingChange(sortedByRelevance ? [] : [{ id: RELEVANCE_SORT, desc: true }])
+  }
 
   const columns = useMemo(() => [
+    {
+      id: 'select',
+      enableSorting: false,
+      enableHiding: false,
+      enableResizing: false,
+      size: 48,
+      header: ({ table }) => (
+        <input
+          type="checkbox"
+          aria-label="Select all on this page"
+          checked={table.getIsAllPageRowsSelected()}
+          ref={(el) => {
+            if (el) el.indeterminate = table.getIsSomePageRowsSelected()
+          }}
+          onChange={table.getToggleAllPageRowsSelectedHandler()}
+          className="rounded border-gray-300"
+        />
+      ),
+      cell: ({ row }) => (
+        <input
+          type="checkbox"
+          aria-label={`Select ${row.original.title}`}
+          checked={row.getIsSelected()}
+          disabled={!row.getCanSelect()}
+          onChange={row.getToggleSelectedHandler()}
+          className="rounded border-gray-300"
+        />
+      ),
+    },
+    {
+      accessorKey: 'id',
+      header: 'ID',
+      size: 80,
+      cell: ({ row }) => (
+        <div className="text-sm text-gray-600 tabular-nums">{row.getValue('id')}</div>
+      ),
+    },
     {
       accessorKey: 'title',
       header: 'Title',
-      cell: ({ row }) => (
-        <div className="font-medium">{row.getValue('title')}</div>
+      size: 260,
+      cell: ({ row, table }) => (
+        <button
+          onClick={() => table.options.meta?.onOpenDetails?.(row.original)}
+          aria-haspopup="dialog"
+          className="font-medium text-left hover:text-blue-700 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-500 rounded-sm"
+        >
+          <HighlightedText text={row.getValue('title')} terms={table.options.meta?.searchTerms} />
+        </button>
+      ),
+    },
+    {
+      accessorKey: 'type',
+      header: 'Type',
+      size: 170,
+      cell: ({ row, table }) => (
+        <div className="text-sm text-gray-600">
+          <HighlightedText text={row.getValue('type')} terms={table.options.meta?.searchTerms} />
+        </div>
       ),
     },
     {
       accessorKey: 'status',
       header: 'Status',
-      cell: ({ row }) => {
+      size: 140,
+      cell: ({ row, table }) => {
         const status = row.getValue('status')
+        const execution = table.options.meta?.executions?.[row.original.id]
         const statusColors = {
           draft: 'bg-gray-100 text-gray-800',
           pending: 'bg-yellow-100 text-yellow-800',
           approved: 'bg-green-100 text-green-800',
           published: 'bg-blue-100 text-blue-800',
           archived: 'bg-red-100 text-red-800',
+          active: 'bg-indigo-100 text-indigo-800',
+          completed: 'bg-emerald-100 text-emerald-800',
+          failed: 'bg-rose-100 text-rose-800',
         }
+        const isRunning = execution?.status === 'running' || status === 'active'
         return (
-          <span className={`px-2 py-1 text-xs rounded-full ${statusColors[status] || 'bg-gray-100 text-gray-800'}`}>
-            {status}
-          </span>
+          <div>
+            <span className={`inline-flex items-center px-2 py-1 text-xs rounded-full ${statusColors[status] || 'bg-gray-100 text-gray-800'}`}>
+              {isRunning && (
+                <span className="animate-spin rounded-full h-3 w-3 border-b-2 border-indigo-600 mr-1"></span>
+              )}
+              {isRunning ? 'running' : <HighlightedText text={status} terms={table.options.meta?.searchTerms} />}
+            </span>
+            {execution?.report && (
+              <div className="mt-1 text-xs text-gray-500 truncate">
+                {formatRecordCount(execution.report.recordCount)} records · {formatFileSize(execution.report.fileSize)} · {formatDuration(execution.report.executionTime)}
+              </div>
+            )}
+          </div>
         )
       },
     },
     {
       accessorKey: 'department',
       header: 'Department',
-      cell: ({ row }) => (
-        <div className="text-sm text-gray-600">{row.getValue('department')}</div>
+      size: 140,
+      cell: ({ row, table }) => (
+        <div className="text-sm text-gray-600">
+          <HighlightedText text={row.getValue('department')} terms={table.options.meta?.searchTerms} />
+        </div>
       ),
     },
     {
       accessorKey: 'priority',
       header: 'Priority',
+      size: 110,
       cell: ({ row }) => {
         const priority = row.getValue('priority')
         const priorityColors = {
@@ -77,13 +301,41 @@ function App() {
     {
       accessorKey: 'author',
       header: 'Author',
+      size: 150,
+      cell: ({ row, table }) => (
+        <div className="text-sm">
+          <HighlightedText text={row.getValue('author')} terms={table.options.meta?.searchTerms} />
+        </div>
+      ),
+    },
+    {
+      accessorKey: 'recordCount',
+      header: 'Records',
+      size: 110,
+      cell: ({ row }) => (
+        <div className="text-sm text-gray-600 tabular-nums">{formatRecordCount(row.getValue('recordCount'))}</div>
+      ),
+    },
+    {
+      accessorKey: 'fileSize',
+      header: 'File Size',
+      size: 110,
+      cell: ({ row }) => (
+        <div className="text-sm text-gray-600 tabular-nums">{formatFileSize(row.getValue('fileSize'))}</div>
+      ),
+    },
+    {
+      accessorKey: 'executionTime',
+      header: 'Run Time',
+      size: 110,
       cell: ({ row }) => (
-        <div className="text-sm">{row.getValue('author')}</div>
+        <div className="text-sm text-gray-600 tabular-nums">{formatDuration(row.getValue('executionTime'))}</div>
       ),
     },
     {
       accessorKey: 'createdAt',
       header: 'Created',
+      size: 120,
       cell: ({ row }) => (
         <div className="text-sm text-gray-600">
           {new Date(row.getValue('createdAt')).toLocaleDateString()}
@@ -93,79 +345,305 @@ function App() {
     {
       accessorKey: 'updatedAt',
       header: 'Updated',
+      size: 120,
       cell: ({ row }) => (
         <div className="text-sm text-gray-600">
           {new Date(row.getValue('updatedAt')).toLocaleDateString()}
         </div>
       ),
     },
+    {
+      id: 'actions',
+      header: () => <span className="sr-only">Actions</span>,
+      enableSorting: false,
+      enableHiding: false,
+      enableResizing: false,
+      size: 64,
+      // The actions menu drops down past the row
+      meta: { overflow: 'visible' },
+      cell: ({ row, table }) => (
+        <RowActions
+          report={row.original}
+          pendingAction={table.options.meta?.pendingActions?.[row.original.id]}
+          onAction={table.options.meta?.onRowAction}
+        />
+      ),
+    },
   ], [])
 
+  // Columns the user can show, hide and move
+  const configurableColumns = useMemo(() => columns
+    .filter(column => column.enableHiding !== false)
+    .map(column => ({ id: column.accessorKey ?? column.id, label: column.header })), [columns])
+
+  // Exports follow the table: the visible columns, in their current order
+  const exportColumns = useMemo(() => (
+    orderColumnIds(configurableColumns.map(column => column.id), columnOrder)
+      .filter(id => columnVisibility[id] !== false)
+  ), [configurableColumns, columnOrder, columnVisibility])
+
+  const {
+    runBulkAction,
+    running: bulkRunning,
+    progress: bulkProgress,
+    result: bulkResult,
+    clearResult: clearBulkResult
+  } = useBulkActions({ exportColumns })
+
+  const { exportCSV, cancelExport, exporting, progress } = useReportsExport({ filters, sorting, columns: exportColumns })
+
   const handleExportCSV = async () => {
     try {
-      setExportLoading(true)
       setExportMessage('')
       
-      if (!data || data.length === 0) {
-        setExportMessage('No data to export')
-        return
-      }
-      
-      // Format the data for CSV export
-      const formattedData = formatReportsForCSV(data)
-      
-      // Export as CSV with custom headers
-      const result = await exportAsCSV(
-        formattedData,
-        'reports-export',
-        REPORTS_CSV_HEADERS
-      )
+      // Export every report matching the active filters, not just this page
+      const result = await exportCSV()
       
       if (result.success) {
-        setExportMessage(`Successfully exported ${data.length} reports to ${result.filename}`)
+        setExportMessage(`Successfully exported ${result.count} reports to ${result.filename}`)
         
         // Clear the message after 5 seconds
         setTimeout(() => setExportMessage(''), 5000)
       }
     } catch (error) {
-      console.error('Export failed:', error)
-      setExportMessage(`Export failed: ${error.message}`)
+      if (error.name === 'AbortError') {
+        setExportMessage('Export cancelled')
+      } else {
+        console.error('Export failed:', error)
+        setExportMessage(`Export failed: ${error.message}`)
+      }
       
       // Clear error message after 5 seconds
       setTimeout(() => setExportMessage(''), 5000)
-    } finally {
-      setExportLoading(false)
     }
   }
 
-  if (error) {
-    return (
-      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
-        <div className="text-center">
-          <h2 className="text-2xl font-bold text-red-600 mb-2">Error</h2>
-          <p className="text-gray-600 mb-4">{error}</p>
-          <button
-            onClick={refetch}
-            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
-          >
-            Retry
-          </button>
-        </div>
-      </div>
+  const openReportForm = (report = null) => setReportForm({ isOpen: true, report })
+  const closeReportForm = useCallback(() => setReportForm({ isOpen: false, report: null }), [])
+
+  // Edits show in the table immediately and are rolled back if they fail.
+  // The form stays open until the server answers so the fields it rejects
+  // are highlighted there, with what the user typed; other failures close
+  // it and are reported as toasts. New reports wait for the server, which
+  // assigns their id.
+  const handleReportSubmit = (values) => {
+    const { report } = reportForm
+    if (!report) return createReport(values)
+
+    return runRowAction(
+      {
+        success: 'Report updated',
+        failure: 'Update',
+        undone: 'Your changes were undone.',
+        rethrow: (err) => err.code === ERROR_CODES.VALIDATION
+      },
+      report,
+      () => updateReport(report.id, values, { expectedUpdatedAt: report.updatedAt })
     )
   }
 
+  // Runs a row action, reporting the outcome as a toast. Failures are told
+  // apart by error code: a deleted report can't be acted on again, a
+  // conflicting edit can be redone against the latest version, and a
+  // network failure offers to retry the same action. `action.undone`
+  // explains what was rolled back for actions applied optimistically, and
+  // errors matching `action.rethrow` are left for the caller to show.
+  const runRowAction = async (action, report, run) => {
+    const describe = (message) => [message, action.undone].filter(Boolean).join(' ')
+    try {
+      const result = await run()
+      showToast({ type: 'success', message: `${action.success}: ${result?.title ?? report.title}` })
+    } catch (err) {
+      if (action.rethrow?.(err)) throw err
+      console.error(`${action.failure} failed:`, err)
+      switch (err.code) {
+        case ERROR_CODES.NOT_FOUND:
+          showToast({
+            type: 'error',
+            title: 'Report was deleted',
+            message: `"${report.title}" no longer exists and has been removed from the table.`,
+          })
+          break
+        case ERROR_CODES.CONFLICT:
+          showToast({
+            type: 'error',
+            title: `${action.failure} failed`,
+            message: describe(`${err.message}.`),
+            action: { label: 'Edit again', onClick: () => openReportForm(err.report ?? report) },
+          })
+          break
+        case ERROR_CODES.NETWORK:
+          showToast({
+            type: 'error',
+            title: `${action.failure} failed`,
+            message: describe("Couldn't reach the server."),
+            action: { label: 'Retry', onClick: () => runRowAction(action, report, run) },
+          })
+          break
+        default:
+          showToast({
+            type: 'error',
+            title: `${action.failure} failed`,
+            message: describe(err.message || 'Something went wrong'),
+          })
+      }
+    }
+  }
+
+  const handleRowAction = (actionId, report) => {
+    switch (actionId) {
+      case 'execute':
+        trackExecution(report.id)
+        return runRowAction(
+          { success: 'Execution started', failure: 'Execution' },
+          report,
+          async () => {
+            try {
+              return await executeReport(report.id)
+            } catch (err) {
+              untrackExecution(report.id)
+              throw err
+            }
+          }
+        )
+      case 'edit':
+        return openReportForm(report)
+      case 'duplicate':
+        return runRowAction(
+          { success: 'Report duplicated', failure: 'Duplicate' },
+          report,
+          () => duplicateReport(report)
+        )
+      case 'delete':
+        return setConfirmation({
+          title: 'Delete report',
+          message: `Delete "${report.title}"? This cannot be undone.`,
+          confirmLabel: 'Delete',
+          onConfirm: () => runRowAction(
+            { success: 'Report deleted', failure: 'Delete', undone: 'The report has been restored.' },
+            report,
+            () => deleteReport(report.id)
+          ),
+        })
+      default:
+        return undefined
+    }
+  }
+
+  const selectedIds = Object.keys(rowSelection).filter(id => rowSelection[id]).map(Number)
+  const allPageRowsSelected = data.length > 0 && data.every(report => rowSelection[String(report.id)])
+
+  const runSelectedBulkAction = async (action, value) => {
+    try {
+      const outcome = await runBulkAction(action, selectedIds, value)
+
+      if (action === 'execute') {
+        outcome.succeeded.forEach(report => trackExecution(report.id))
+      }
+      if (action === 'delete') {
+        clearSelection()
+      }
+      if (action !== 'export') {
+        refetch()
+      }
+    } catch (err) {
+      console.error('Bulk action failed:', err)
+      showToast({ type: 'error', title: 'Bulk action failed', message: err.message })
+    }
+  }
+
+  const handleBulkAction = (action, value) => {
+    if (action === 'delete') {
+      setConfirmation({
+        title: 'Delete reports',
+        message: `Delete ${selectedIds.length} selected reports? This cannot be undone.`,
+        confirmLabel: 'Delete',
+        onConfirm: () => runSelectedBulkAction('delete'),
+      })
+      return
+    }
+    runSelectedBulkAction(action, value)
+  }
+
+  const handleSelectAllMatching = async () => {
+    try {
+      await selectAllMatching()
+    } catch (err) {
+      showToast({ type: 'error', title: 'Selection failed', message: err.message })
+    }
+  }
+
+  const handleResetDemoData = () => {
+    setConfirmation({
+      title: 'Reset demo data',
+      message: 'Discard every report you created, edited or deleted and restore the original demo data?',
+      confirmLabel: 'Reset',
+      onConfirm: async () => {
+        try {
+          await resetDemoData()
+          showToast({ type: 'success', message: 'Demo data restored' })
+        } catch (err) {
+          console.error('Reset failed:', err)
+          showToast({ type: 'error', title: 'Reset failed', message: err.message })
+        }
+      },
+    })
+  }
+
+  const cancelConfirmation = useCallback(() => setConfirmation(null), [])
+
+  const acceptConfirmation = () => {
+    const { onConfirm } = confirmation
+    setConfirmation(null)
+    onConfirm()
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="container mx-auto px-4 py-8">
-        <div className="mb-8">
-          <h1 className="text-3xl font-bold text-gray-900 mb-2">Report Management</h1>
-          <p className="text-gray-600">Filter and manage your reports with real-time search</p>
+        <div className="mb-8 flex items-start justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Report Management</h1>
+            <p className="text-gray-600">Filter and manage your reports with real-time search</p>
+          </div>
+          <button
+            onClick={handleResetDemoData}
+            className="flex items-center space-x-2 px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <RotateCcw className="h-4 w-4" />
+            <span>Reset demo data</span>
+          </button>
         </div>
 
         <div className="space-y-6">
+          {/* Summary Panel */}
+          <SummaryPanel
+            summary={summary}
+            loading={summaryLoading}
+            error={summaryError}
+            filters={filters}
+            respectFilters={summaryRespectsFilters}
+            onRespectFiltersChange={setSummaryRespectsFilters}
+            onFilterSelect={applyFilters}
+          />
+
           {/* Filters Form */}
-          <FiltersForm onSubmit={applyFilters} initialFilters={filters} />
+          <FiltersForm
+            onSubmit={applyFilters}
+            initialFilters={filters}
+            actions={
+              <SavedViewsMenu
+                views={views}
+                defaultViewId={defaultView?.id ?? null}
+                activeViewId={activeView?.id ?? null}
+                onApply={applyView}
+                onSave={(name) => saveView(name, currentSnapshot)}
+                onRename={renameView}
+                onDelete={deleteView}
+                onSetDefault={setDefaultView}
+              />
+            }
+          />
 
           {/* Data Table */}
           <div className="bg-white rounded-lg border shadow-sm">
@@ -173,10 +651,24 @@ function App() {
               <div className="flex items-center justify-between mb-4">
                 <div className="flex items-center space-x-4">
                   <h2 className="text-lg font-semibold">Reports</h2>
-                  {loading && (
+                  {(searchTerms.length > 0 || sortedByRelevance) && (
+                    <button
+                      onClick={toggleRelevanceSort}
+                      aria-pressed={sortedByRelevance}
+                      className={`flex items-center space-x-1 px-3 py-1 text-sm border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                        sortedByRelevance
+                          ? 'bg-blue-50 border-blue-300 text-blue-800'
+                          : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                      }`}
+                    >
+                      <ListOrdered className="h-4 w-4" />
+                      <span>Sort by relevance</span>
+                    </button>
+                  )}
+                  {(loading || revalidating) && (
                     <div className="text-sm text-gray-500 flex items-center">
                       <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600 mr-2"></div>
-                      Loading...
+                      {loading ? 'Loading...' : 'Refreshing...'}
                     </div>
                   )}
                 </div>
@@ -185,7 +677,7 @@ function App() {
                   {/* Export Status Message */}
                   {exportMessage && (
                     <div className={`text-sm px-3 py-1 rounded-md ${
-                      exportMessage.includes('failed') || exportMessage.includes('No data')
+                      exportMessage.includes('failed') || exportMessage.includes('cancelled')
                         ? 'bg-red-100 text-red-800'
                         : 'bg-green-100 text-green-800'
                     }`}>
@@ -193,16 +685,53 @@ function App() {
                     </div>
                   )}
                   
+                  <div role="group" aria-label="Table mode" className="flex rounded-md border border-gray-300 overflow-hidden">
+                    {[['paged', 'Pages'], ['infinite', 'Infinite scroll']].map(([value, label]) => (
+                      <button
+                        key={value}
+                        onClick={() => switchMode(value)}
+                        aria-pressed={mode === value}
+                        className={`px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-500 ${
+                          mode === value ? 'bg-gray-100 text-gray-900 font-medium' : 'text-gray-600 hover:bg-gray-50'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  
+                  <ColumnChooser
+                    columns={configurableColumns}
+                    columnVisibility={columnVisibility}
+                    columnOrder={columnOrder}
+                    onColumnVisibilityChange={onColumnVisibilityChange}
+                    onColumnOrderChange={onColumnOrderChange}
+                    onReset={resetColumns}
+                  />
+                  
+                  {/* New Report Button */}
+                  <button
+                    onClick={() => openReportForm()}
+                    className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+                  >
+                    <Plus className="h-4 w-4" />
+                    <span>New Report</span>
+                  </button>
+                  
                   {/* Export Button */}
                   <button
                     onClick={handleExportCSV}
-                    disabled={exportLoading || !data || data.length === 0}
+                    disabled={exporting || !data || data.length === 0}
                     className="flex items-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2"
                   >
-                    {exportLoading ? (
+                    {exporting ? (
                       <>
                         <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                        <span>Exporting...</span>
+                        <span>
+                          {progress?.total
+                            ? `Exporting ${progress.loaded} of ${progress.total}...`
+                            : 'Exporting...'}
+                        </span>
                       </>
                     ) : (
                       <>
@@ -211,9 +740,34 @@ function App() {
                       </>
                     )}
                   </button>
+                  
+                  {exporting && (
+                    <button
+                      onClick={cancelExport}
+                      className="flex items-center space-x-1 px-3 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+                    >
+                      <X className="h-4 w-4" />
+                      <span>Cancel</span>
+                    </button>
+                  )}
                 </div>
               </div>
               
+              <LoadErrorBanner error={error} retrying={retrying} onRetry={refetch} />
+              
+              <BulkActionBar
+                selectedCount={selectedIds.length}
+                allPageRowsSelected={allPageRowsSelected}
+                selectingAll={selectingAll}
+                onSelectAllMatching={handleSelectAllMatching}
+                onClearSelection={clearSelection}
+                onAction={handleBulkAction}
+                running={bulkRunning}
+                progress={bulkProgress}
+                result={bulkResult}
+                onDismissResult={clearBulkResult}
+              />
+              
               <DataTable
                 data={data}
                 columns={columns}
@@ -221,11 +775,68 @@ function App() {
                 onPaginationChange={onPaginationChange}
                 sorting={sorting}
                 onSortingChange={onSortingChange}
+                rowSelection={rowSelection}
+                onRowSelectionChange={onRowSelectionChange}
+                columnVisibility={columnVisibility}
+                onColumnVisibilityChange={onColumnVisibilityChange}
+                columnOrder={columnOrder}
+                onColumnOrderChange={onColumnOrderChange}
+                columnSizing={columnSizing}
+                onColumnSizingChange={onColumnSizingChange}
+                columnPinning={COLUMN_PINNING}
+                mode={mode}
+                totalCount={totalCount}
+                pageSizeOptions={PAGE_SIZE_OPTIONS}
+                hasMore={hasMore}
+                loadingMore={loadingMore}
+                onLoadMore={loadMore}
+                scrollKey={JSON.stringify([sorting, filters])}
+                scrollToRow={scrollToRow}
+                onTopRowChange={(index) => { topRowRef.current = index }}
+                activeRowId={detailReportId !== null ? String(detailReportId) : null}
+                meta={{
+                  pendingActions,
+                  executions,
+                  searchTerms,
+                  onRowAction: handleRowAction,
+                  onOpenDetails: (report) => setDetailReportId(report.id)
+                }}
               />
             </div>
           </div>
         </div>
       </div>
+
+      <ReportDetailsDrawer
+        isOpen={detailReportId !== null}
+        report={data[detailIndex]}
+        details={details}
+        loading={detailsLoading}
+        error={detailsError}
+        onRetry={refetchDetails}
+        onPrevious={detailIndex > 0 ? () => setDetailReportId(data[detailIndex - 1].id) : undefined}
+        onNext={detailIndex !== -1 && detailIndex < data.length - 1 ? () => setDetailReportId(data[detailIndex + 1].id) : undefined}
+        onClose={closeDetails}
+        keyboardEnabled={!reportForm.isOpen && !confirmation}
+      />
+
+      <ReportFormModal
+        isOpen={reportForm.isOpen}
+        report={reportForm.report}
+        onSubmit={handleReportSubmit}
+        onClose={closeReportForm}
+      />
+
+      <ConfirmDialog
+        isOpen={Boolean(confirmation)}
+        title={confirmation?.title}
+        message={confirmation?.message}
+        confirmLabel={confirmation?.confirmLabel}
+        onConfirm={acceptConfirmation}
+        onCancel={cancelConfirmation}
+      />
+
+      <Toaster toasts={toasts} onDismiss={dismissToast} />
     </div>
   )
 }
@@ -0,0 +1,148 @@
+import { Play, Trash2, Download, X } from 'lucide-react'
+import { REPORT_STATUSES, PRIORITIES } from '../services/reportSchema'
+import { ERROR_CODES } from '../services/reportsErrors'
+
+const ACTION_LABELS = {
+  status: 'Status change',
+  priority: 'Priority change',
+  execute: 'Execution',
+  delete: 'Delete',
+  export: 'Export',
+}
+
+const toLabel = (value) => value.charAt(0).toUpperCase() + value.slice(1)
+
+const selectClassName = "px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+const buttonClassName = "flex items-center space-x-1 px-3 py-1 text-sm border rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+
+function BulkResultSummary({ result, onDismiss }) {
+  const { action, succeeded, failed } = result
+  const label = ACTION_LABELS[action] || 'Bulk action'
+
+  return (
+    <div
+      role={failed.length ? 'alert' : 'status'}
+      className={`flex items-start justify-between rounded-md px-3 py-2 text-sm ${
+        failed.length ? 'bg-red-50 text-red-800' : 'bg-green-50 text-green-800'
+      }`}
+    >
+      <div>
+        <div>
+          {label}: {succeeded.length} succeeded{failed.length > 0 && `, ${failed.length} failed`}
+        </div>
+        {failed.length > 0 && (
+          <ul className="mt-1 list-disc pl-5 text-xs">
+            {failed.map(({ id, error, code }) => (
+              <li key={id}>
+                {code === ERROR_CODES.NOT_FOUND ? `Report #${id} was deleted` : `Report #${id}: ${error}`}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <button onClick={onDismiss} aria-label="Dismiss bulk result" className="ml-3 p-0.5 rounded hover:bg-black/5">
+        <X className="h-4 w-4" />
+      </button>
+    </div>
+  )
+}
+
+export function BulkActionBar({
+  selectedCount,
+  allPageRowsSelected,
+  selectingAll,
+  onSelectAllMatching,
+  onClearSelection,
+  onAction,
+  running,
+  progress,
+  result,
+  onDismissResult
+}) {
+  if (selectedCount === 0 && !result && !running) return null
+
+  const busy = Boolean(running) || selectingAll
+  const percent = progress?.total ? Math.round((progress.done / progress.total) * 100) : 0
+
+  return (
+    <div className="mb-4 space-y-2">
+      {selectedCount > 0 && (
+        <div className="flex flex-wrap items-center gap-3 rounded-md border bg-blue-50 px-3 py-2">
+          <span className="text-sm font-medium">{selectedCount} selected</span>
+
+          {allPageRowsSelected && (
+            <button
+              onClick={onSelectAllMatching}
+              disabled={busy}
+              className="text-sm text-blue-700 underline disabled:opacity-50"
+            >
+              {selectingAll ? 'Selecting...' : 'Select all matching reports'}
+            </button>
+          )}
+
+          <select
+            aria-label="Set status"
+            value=""
+            disabled={busy}
+            onChange={(e) => e.target.value && onAction('status', e.target.value)}
+            className={selectClassName}
+          >
+            <option value="">Set status...</option>
+            {REPORT_STATUSES.map(status => (
+              <option key={status} value={status}>{toLabel(status)}</option>
+            ))}
+          </select>
+
+          <select
+            aria-label="Set priority"
+            value=""
+            disabled={busy}
+            onChange={(e) => e.target.value && onAction('priority', e.target.value)}
+            className={selectClassName}
+          >
+            <option value="">Set priority...</option>
+            {PRIORITIES.map(priority => (
+              <option key={priority} value={priority}>{toLabel(priority)}</option>
+            ))}
+          </select>
+
+          <button onClick={() => onAction('execute')} disabled={busy} className={buttonClassName}>
+            <Play className="h-4 w-4" />
+            <span>Execute</span>
+          </button>
+          <button onClick={() => onAction('export')} disabled={busy} className={buttonClassName}>
+            <Download className="h-4 w-4" />
+            <span>Export</span>
+          </button>
+          <button onClick={() => onAction('delete')} disabled={busy} className={`${buttonClassName} text-red-600`}>
+            <Trash2 className="h-4 w-4" />
+            <span>Delete</span>
+          </button>
+
+          <button onClick={onClearSelection} disabled={busy} className="ml-auto text-sm text-gray-600 hover:underline disabled:opacity-50">
+            Clear selection
+          </button>
+        </div>
+      )}
+
+      {running && (
+        <div className="space-y-1">
+          <div className="text-xs text-gray-600">
+            {ACTION_LABELS[running]} in progress: {progress?.done ?? 0} of {progress?.total ?? selectedCount}
+          </div>
+          <div
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={percent}
+            className="h-2 w-full overflow-hidden rounded-full bg-gray-100"
+          >
+            <div className="h-full bg-blue-600 transition-all" style={{ width: `${percent}%` }} />
+          </div>
+        </div>
+      )}
+
+      {result && <BulkResultSummary result={result} onDismiss={onDismissResult} />}
+    </div>
+  )
+}
@@ -0,0 +1,129 @@
+import { useState, useEffect, useRef } from 'react'
+import { ArrowDown, ArrowUp, Columns3 } from 'lucide-react'
+import { orderColumnIds } from '../hooks/useColumnPreferences'
+
+/**
+ * Menu for showing, hiding and reordering table columns. Headers can also
+ * be dragged to reorder them; this is the keyboard-friendly way.
+ *
+ * @param {Object} props
+ * @param {Array<{ id: string, label: string }>} props.columns - Columns the
+ *   user can change, in definition order
+ * @param {Object} props.columnVisibility - TanStack visibility state
+ * @param {Array<string>} props.columnOrder - TanStack column order state
+ * @param {Function} props.onColumnVisibilityChange - Called with the new visibility
+ * @param {Function} props.onColumnOrderChange - Called with the new order
+ * @param {Function} props.onReset - Restores the default columns
+ */
+export function ColumnChooser({
+  columns,
+  columnVisibility = {},
+  columnOrder = [],
+  onColumnVisibilityChange,
+  onColumnOrderChange,
+  onReset
+}) {
+  const [open, setOpen] = useState(false)
+  const containerRef = useRef(null)
+
+  // Close the menu on outside click or Escape
+  useEffect(() => {
+    if (!open) return
+
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false)
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    document.addEventListener('keydown', handleKeyDown)
+    return () => {
+      document.removeEventListener('mousedown', handleClick)
+      document.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [open])
+
+  const labels = Object.fromEntries(columns.map(column => [column.id, column.label]))
+  const orderedIds = orderColumnIds(columns.map(column => column.id), columnOrder)
+  const isVisible = (id) => columnVisibility[id] !== false
+  const visibleCount = orderedIds.filter(isVisible).length
+
+  const toggleColumn = (id) => {
+    onColumnVisibilityChange({ ...columnVisibility, [id]: !isVisible(id) })
+  }
+
+  const moveColumn = (index, step) => {
+    const next = [...orderedIds]
+    next.splice(index + step, 0, next.splice(index, 1)[0])
+    onColumnOrderChange(next)
+  }
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(prev => !prev)}
+        aria-haspopup="true"
+        aria-expanded={open}
+        className="flex items-center space-x-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+      >
+        <Columns3 className="h-4 w-4" />
+        <span>Columns</span>
+      </button>
+
+      {open && (
+        <div
+          role="group"
+          aria-label="Table columns"
+          className="absolute right-0 z-20 mt-1 w-64 rounded-md border bg-white py-1 shadow-lg"
+        >
+          <ul>
+            {orderedIds.map((id, index) => (
+              <li key={id} className="flex items-center justify-between px-3 py-1.5 text-sm hover:bg-gray-50">
+                <label className="flex items-center space-x-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={isVisible(id)}
+                    // Keep at least one column on screen
+                    disabled={isVisible(id) && visibleCount === 1}
+                    onChange={() => toggleColumn(id)}
+                    className="rounded border-gray-300"
+                  />
+                  <span>{labels[id]}</span>
+                </label>
+                <div className="flex items-center">
+                  <button
+                    type="button"
+                    onClick={() => moveColumn(index, -1)}
+                    disabled={index === 0}
+                    aria-label={`Move ${labels[id]} left`}
+                    className="p-1 rounded text-gray-500 hover:bg-gray-100 disabled:opacity-30 disabled:cursor-not-allowed"
+                  >
+                    <ArrowUp className="h-3.5 w-3.5" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveColumn(index, 1)}
+                    disabled={index === orderedIds.length - 1}
+                    aria-label={`Move ${labels[id]} right`}
+                    className="p-1 rounded text-gray-500 hover:bg-gray-100 disabled:opacity-30 disabled:cursor-not-allowed"
+                  >
+                    <ArrowDown className="h-3.5 w-3.5" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+          <button
+            type="button"
+            onClick={onReset}
+            className="w-full px-3 py-1.5 text-left text-sm text-blue-600 border-t hover:bg-gray-50"
+          >
+            Reset columns
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
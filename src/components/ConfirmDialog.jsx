@@ -0,0 +1,57 @@
+import { useEffect, useRef } from 'react'
+
+export function ConfirmDialog({
+  isOpen,
+  title,
+  message,
+  confirmLabel = 'Confirm',
+  cancelLabel = 'Cancel',
+  onConfirm,
+  onCancel
+}) {
+  const cancelRef = useRef(null)
+
+  // Focus the safe choice first and close on Escape
+  useEffect(() => {
+    if (!isOpen) return
+
+    cancelRef.current?.focus()
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [isOpen, onCancel])
+
+  if (!isOpen) return null
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <div
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="confirm-dialog-title"
+        aria-describedby="confirm-dialog-message"
+        className="bg-white rounded-lg border shadow-lg w-full max-w-md p-6"
+      >
+        <h2 id="confirm-dialog-title" className="text-lg font-semibold mb-2">{title}</h2>
+        <p id="confirm-dialog-message" className="text-sm text-gray-600 mb-6">{message}</p>
+        <div className="flex items-center justify-end space-x-3">
+          <button
+            ref={cancelRef}
+            onClick={onCancel}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+          >
+            {cancelLabel}
+          </button>
+          <button
+            onClick={onConfirm}
+            className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2"
+          >
+            {confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,3 +1,4 @@
+import { useState, useEffect, useRef } from 'react'
 import {
   useReactTable,
   getCoreRowModel,
@@ -9,10 +10,118 @@ import {
 import { ChevronUpIcon, ChevronDownIcon } from 'lucide-react'
 import { cn } from '../lib/utils'
 
-export function DataTable({ data, columns, pagination, onPaginationChange, sorting, onSortingChange }) {
+// Key rows by report id so selection survives paging and refetches
+const getRowId = (row, index) => (row.id != null ? String(row.id) : String(index))
+
+// Width change per arrow key press on a resize handle
+const RESIZE_STEP = 16
+
+// Infinite mode windowing: rows have a fixed height so the rows in view
+// follow from the scroll offset alone. Cell content is clipped to it
+// (without wrapping) rather than allowed to grow the row.
+const ROW_HEIGHT = 56
+const CELL_HEIGHT = ROW_HEIGHT - 1 // Less the row's bottom border
+const OVERSCAN = 8 // Rows rendered beyond each edge of the viewport
+const LOAD_MORE_THRESHOLD = 20 // Load the next page this many rows from the end
+const FALLBACK_VIEWPORT_HEIGHT = 640 // Until the scroll container has been measured
+
+// Page links shown either side of the current page
+const PAGE_LINK_SIBLINGS = 2
+
+// Pages to link to: the first, the last and those near the current one,
+// with null standing in for each run of pages left out
+const getPageLinks = (pageIndex, pageCount) => {
+  const links = []
+  for (let page = 0; page < pageCount; page++) {
+    if (page === 0 || page === pageCount - 1 || Math.abs(page - pageIndex) <= PAGE_LINK_SIBLINGS) {
+      links.push(page)
+    } else if (links[links.length - 1] !== null) {
+      links.push(null)
+    }
+  }
+  return links
+}
+
+const getColumnLabel = (column) => (
+  typeof column.columnDef.header === 'string' ? column.columnDef.header : column.id
+)
+
+/**
+ * Reports table on TanStack's table state, with sorting and pagination done
+ * by the server
+ *
+ * Column visibility, order, widths and pinning are controlled by the caller.
+ * Passing onColumnOrderChange lets users drag unpinned headers to reorder
+ * them; passing onColumnSizingChange adds resize handles (drag, double-click
+ * to reset, or focus and use the arrow keys). Columns opt out with
+ * `enableResizing: false`.
+ *
+ * In 'paged' mode the footer counts results from `totalCount` and offers
+ * numbered page links, a jump-to-page box and, given `pageSizeOptions`, a
+ * page size selector.
+ *
+ * `activeRowId` marks the row open elsewhere (e.g. in a detail panel) and
+ * keeps it scrolled into view.
+ *
+ * In 'infinite' mode the rows scroll inside the table under sticky headers,
+ * only the rows in view are rendered, and onLoadMore is called as the end of
+ * the loaded rows comes into view. The scroll position stays put while the
+ * loaded rows are refreshed or edited, goes back to the top when
+ * `scrollKey` (the query) changes, and jumps to `scrollToRow` once that row
+ * has loaded.
+ */
+export function DataTable({
+  data,
+  columns,
+  pagination,
+  onPaginationChange,
+  sorting,
+  onSortingChange,
+  rowSelection,
+  onRowSelectionChange,
+  columnVisibility,
+  onColumnVisibilityChange,
+  columnOrder,
+  onColumnOrderChange,
+  columnSizing,
+  onColumnSizingChange,
+  columnPinning,
+  mode = 'paged',
+  totalCount,
+  pageSizeOptions,
+  hasMore = false,
+  loadingMore = false,
+  onLoadMore,
+  scrollKey,
+  scrollToRow = null,
+  onTopRowChange,
+  activeRowId = null,
+  meta
+}) {
+  // Column being dragged to a new position, and the header it's over
+  const [draggedColumnId, setDraggedColumnId] = useState(null)
+  const [dropTargetId, setDropTargetId] = useState(null)
+  const resizable = Boolean(onColumnSizingChange)
+  const infinite = mode === 'infinite'
+  const scrollRef = useRef(null)
+  const activeRowRef = useRef(null)
+  const [scrollTop, setScrollTop] = useState(0)
+  const [viewportHeight, setViewportHeight] = useState(FALLBACK_VIEWPORT_HEIGHT)
+  const [jumpToPage, setJumpToPage] = useState('')
+
   const table = useReactTable({
     data,
     columns,
+    meta,
+    getRowId,
+    enableRowSelection: Boolean(onRowSelectionChange),
+    onRowSelectionChange,
+    onColumnVisibilityChange,
+    onColumnOrderChange,
+    onColumnSizingChange,
+    enableColumnResizing: resizable,
+    columnResizeMode: 'onChange',
+    defaultColumn: { minSize: 60 },
     getCoreRowModel: getCoreRowModel(),
     getPaginationRowModel: getPaginationRowModel(),
     getSortedRowModel: getSortedRowModel(),
@@ -22,72 +131,315 @@ export function DataTable({ data, columns, pagination, onPaginationChange, sorti
     state: {
       pagination,
       sorting,
+      ...(rowSelection && { rowSelection }),
+      ...(columnVisibility && { columnVisibility }),
+      ...(columnOrder && { columnOrder }),
+      ...(columnSizing && { columnSizing }),
+      ...(columnPinning && { columnPinning }),
     },
     manualPagination: true,
     manualSorting: true,
     pageCount: pagination?.pageCount ?? -1,
+    // Shift+click adds a column to the sort instead of replacing it
+    isMultiSortEvent: (e) => e.shiftKey,
   })
+  const isMultiSorted = table.getState().sorting.length > 1
+
+  const canReorder = (column) => Boolean(onColumnOrderChange) && !column.getIsPinned()
+
+  const endDrag = () => {
+    setDraggedColumnId(null)
+    setDropTargetId(null)
+  }
+
+  // Dropping on a header puts the dragged column in its place, shifting the
+  // columns in between towards where the dragged one came from
+  const moveColumn = (columnId, targetId) => {
+    const ids = table.getAllLeafColumns().map(column => column.id)
+    const next = ids.filter(id => id !== columnId)
+    const offset = ids.indexOf(columnId) < ids.indexOf(targetId) ? 1 : 0
+    next.splice(next.indexOf(targetId) + offset, 0, columnId)
+    table.setColumnOrder(next)
+  }
+
+  const rows = table.getRowModel().rows
+  const firstRendered = infinite ? Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN) : 0
+  const lastRendered = infinite
+    ? Math.min(rows.length, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN)
+    : rows.length
+
+  const scrollTo = (top) => {
+    if (scrollRef.current) scrollRef.current.scrollTop = top
+    setScrollTop(top)
+  }
+
+  // Measure the scroll container, and again whenever the window resizes
+  useEffect(() => {
+    if (!infinite) return
+    const measure = () => setViewportHeight(scrollRef.current?.clientHeight || FALLBACK_VIEWPORT_HEIGHT)
+    measure()
+    window.addEventListener('resize', measure)
+    return () => window.removeEventListener('resize', measure)
+  }, [infinite])
+
+  useEffect(() => {
+    if (infinite && hasMore && !loadingMore && lastRendered >= rows.length - LOAD_MORE_THRESHOLD) {
+      onLoadMore?.()
+    }
+  }, [infinite, hasMore, loadingMore, lastRendered, rows.length, onLoadMore])
+
+  // A new query is a different list; start it from the top
+  const scrollKeyRef = useRef(scrollKey)
+  useEffect(() => {
+    if (scrollKeyRef.current === scrollKey) return
+    scrollKeyRef.current = scrollKey
+    scrollTo(0)
+  }, [scrollKey])
+
+  // Jump to the requested row once, as soon as it has loaded
+  const scrolledToRowRef = useRef(null)
+  useEffect(() => {
+    if (!infinite || scrollToRow === null) {
+      scrolledToRowRef.current = null
+      return
+    }
+    if (scrolledToRowRef.current === scrollToRow || rows.length <= scrollToRow) return
+    scrolledToRowRef.current = scrollToRow
+    scrollTo(scrollToRow * ROW_HEIGHT)
+  }, [infinite, scrollToRow, rows.length])
+
+  const { pageIndex, pageSize } = table.getState().pagination
+  const pageCount = table.getPageCount()
+  // Counted from the rows actually on this page, so the last page doesn't
+  // claim a full page of results
+  const firstRowNumber = rows.length > 0 ? pageIndex * pageSize + 1 : 0
+  const lastRowNumber = pageIndex * pageSize + rows.length
+  const resultCount = totalCount ?? lastRowNumber
+
+  const handleJumpToPage = (e) => {
+    e.preventDefault()
+    const page = Number.parseInt(jumpToPage, 10)
+    if (Number.isFinite(page)) {
+      table.setPageIndex(Math.min(Math.max(page, 1), Math.max(pageCount, 1)) - 1)
+    }
+    setJumpToPage('')
+  }
+
+  // Bring the active row into view when it changes or moves (e.g. after a
+  // sort), but only then, so it can still be scrolled away from. Infinite
+  // mode may not have rendered it, so its position is worked out from the
+  // row height.
+  const activeIndex = activeRowId === null ? -1 : rows.findIndex(row => row.id === activeRowId)
+  const scrolledToActiveRef = useRef(null)
+  useEffect(() => {
+    if (activeIndex === -1) {
+      scrolledToActiveRef.current = null
+      return
+    }
+    const position = `${activeRowId}@${activeIndex}`
+    if (scrolledToActiveRef.current === position) return
+    scrolledToActiveRef.current = position
+
+    if (!infinite) {
+      activeRowRef.current?.scrollIntoView?.({ block: 'nearest' })
+      return
+    }
+    const top = activeIndex * ROW_HEIGHT
+    const headerHeight = scrollRef.current?.querySelector('thead')?.offsetHeight ?? 0
+    if (top < scrollTop) {
+      scrollTo(top)
+    } else if (top + ROW_HEIGHT + headerHeight > scrollTop + viewportHeight) {
+      scrollTo(top + ROW_HEIGHT + headerHeight - viewportHeight)
+    }
+  }, [activeRowId, activeIndex, infinite, scrollTop, viewportHeight])
+
+  const handleScroll = (e) => {
+    setScrollTop(e.currentTarget.scrollTop)
+    onTopRowChange?.(Math.floor(e.currentTarget.scrollTop / ROW_HEIGHT))
+  }
+
+  const handleResizeKeyDown = (e, column) => {
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return
+    e.preventDefault()
+    const size = column.getSize() + (e.key === 'ArrowRight' ? RESIZE_STEP : -RESIZE_STEP)
+    const { minSize, maxSize } = column.columnDef
+    table.setColumnSizing(prev => ({ ...prev, [column.id]: Math.min(Math.max(size, minSize), maxSize) }))
+  }
 
   return (
     <div className="space-y-4">
-      <div className="rounded-md border">
-        <table className="w-full">
+      <div
+        ref={scrollRef}
+        onScroll={infinite ? handleScroll : undefined}
+        className={cn("rounded-md border", infinite && "max-h-[70vh] overflow-auto")}
+      >
+        <table className={cn("w-full", resizable && "table-fixed")}>
           <thead>
             {table.getHeaderGroups().map((headerGroup) => (
               <tr key={headerGroup.id} className="border-b bg-gray-50">
-                {headerGroup.headers.map((header) => (
-                  <th key={header.id} className="px-4 py-3 text-left">
-                    {header.column.getCanSort() ? (
-                      <button
-                        onClick={header.column.getToggleSortingHandler()}
-                        className={cn(
-                          "flex items-center space-x-2 text-sm font-medium text-gray-900",
-                          "hover:bg-gray-100 px-2 py-1 rounded -mx-2 -my-1"
-                        )}
-                      >
-                        {flexRender(header.column.columnDef.header, header.getContext())}
-                        <div className="flex flex-col">
-                          <ChevronUpIcon 
-                            className={cn(
-                              "h-3 w-3",
-                              header.column.getIsSorted() === 'asc' ? "text-gray-900" : "text-gray-400"
-                            )} 
-                          />
-                          <ChevronDownIcon 
-                            className={cn(
-                              "h-3 w-3 -mt-1",
-                              header.column.getIsSorted() === 'desc' ? "text-gray-900" : "text-gray-400"
-                            )} 
-                          />
+                {headerGroup.headers.map((header) => {
+                  const sortDirection = header.column.getIsSorted()
+                  // Priority badges only matter once more than one column is sorted
+                  const sortPriority = isMultiSorted && sortDirection ? header.column.getSortIndex() + 1 : null
+
+                  return (
+                    <th
+                      key={header.id}
+                      className={cn(
+                        "px-4 py-3 text-left",
+                        // Sticky cells are positioned too, so the resize handle still anchors to them
+                        infinite ? "sticky top-0 z-10 bg-gray-50" : "relative",
+                        canReorder(header.column) && "cursor-grab",
+                        draggedColumnId === header.column.id && "opacity-50",
+                        dropTargetId === header.column.id && "bg-blue-50"
+                      )}
+                      style={resizable ? { width: header.getSize() } : undefined}
+                      aria-sort={sortDirection ? (sortDirection === 'asc' ? 'ascending' : 'descending') : undefined}
+                      draggable={canReorder(header.column) && !header.column.getIsResizing()}
+                      onDragStart={(e) => {
+                        e.dataTransfer.effectAllowed = 'move'
+                        e.dataTransfer.setData('text/plain', header.column.id)
+                        setDraggedColumnId(header.column.id)
+                      }}
+                      onDragOver={(e) => {
+                        if (!draggedColumnId || !canReorder(header.column)) return
+                        e.preventDefault()
+                        setDropTargetId(header.column.id)
+                      }}
+                      onDragLeave={() => setDropTargetId(prev => (prev === header.column.id ? null : prev))}
+                      onDrop={(e) => {
+                        e.preventDefault()
+                        if (draggedColumnId && draggedColumnId !== header.column.id) {
+                          moveColumn(draggedColumnId, header.column.id)
+                        }
+                        endDrag()
+                      }}
+                      onDragEnd={endDrag}
+                    >
+                      {header.column.getCanSort() ? (
+                        <button
+                          onClick={header.column.getToggleSortingHandler()}
+                          title="Click to sort, Shift+click to add as a secondary sort"
+                          className={cn(
+                            "flex items-center space-x-2 text-sm font-medium text-gray-900",
+                            "hover:bg-gray-100 px-2 py-1 rounded -mx-2 -my-1"
+                          )}
+                        >
+                          {flexRender(header.column.columnDef.header, header.getContext())}
+                          <div className="flex flex-col">
+                            <ChevronUpIcon 
+                              className={cn(
+                                "h-3 w-3",
+                                sortDirection === 'asc' ? "text-gray-900" : "text-gray-400"
+                              )} 
+                            />
+                            <ChevronDownIcon 
+                              className={cn(
+                                "h-3 w-3 -mt-1",
+                                sortDirection === 'desc' ? "text-gray-900" : "text-gray-400"
+                              )} 
+                            />
+                          </div>
+                          {sortPriority && (
+                            <span
+                              aria-label={`Sort priority ${sortPriority}`}
+                              className="inline-flex items-center justify-center h-4 min-w-4 px-1 text-[10px] leading-none rounded-full bg-gray-200 text-gray-700"
+                            >
+                              {sortPriority}
+                            </span>
+                          )}
+                        </button>
+                      ) : (
+                        <div className="text-sm font-medium text-gray-900">
+                          {flexRender(header.column.columnDef.header, header.getContext())}
                         </div>
-                      </button>
-                    ) : (
-                      <div className="text-sm font-medium text-gray-900">
-                        {flexRender(header.column.columnDef.header, header.getContext())}
-                      </div>
-                    )}
-                  </th>
-                ))}
+                      )}
+                      {header.column.getCanResize() && (
+                        <div
+                          role="separator"
+                          aria-orientation="vertical"
+                          aria-label={`Resize ${getColumnLabel(header.column)} column`}
+                          aria-valuenow={header.getSize()}
+                          tabIndex={0}
+                          onMouseDown={header.getResizeHandler()}
+                          onTouchStart={header.getResizeHandler()}
+                          onDoubleClick={() => header.column.resetSize()}
+                          onKeyDown={(e) => handleResizeKeyDown(e, header.column)}
+                          // Resizing must not start a column drag
+                          onDragStart={(e) => {
+                            e.preventDefault()
+                            e.stopPropagation()
+                          }}
+                          className={cn(
+                            "absolute right-0 top-0 h-full w-1.5 cursor-col-resize select-none touch-none",
+                            "hover:bg-blue-300 focus:outline-none focus:bg-blue-400",
+                            header.column.getIsResizing() && "bg-blue-500"
+                          )}
+                        />
+                      )}
+                    </th>
+                  )
+                })}
               </tr>
             ))}
           </thead>
           <tbody>
-            {table.getRowModel().rows?.length ? (
-              table.getRowModel().rows.map((row) => (
-                <tr
-                  key={row.id}
-                  className="border-b hover:bg-gray-50"
-                >
-                  {row.getVisibleCells().map((cell) => (
-                    <td key={cell.id} className="px-4 py-3 text-sm">
-                      {flexRender(cell.column.columnDef.cell, cell.getContext())}
+            {rows.length ? (
+              <>
+                {firstRendered > 0 && (
+                  <tr aria-hidden="true" style={{ height: firstRendered * ROW_HEIGHT }} />
+                )}
+                {rows.slice(firstRendered, lastRendered).map((row) => (
+                  <tr
+                    key={row.id}
+                    ref={row.id === activeRowId ? activeRowRef : undefined}
+                    aria-current={row.id === activeRowId ? 'true' : undefined}
+                    style={infinite ? { height: ROW_HEIGHT } : undefined}
+                    className={cn(
+                      "border-b hover:bg-gray-50",
+                      row.getIsSelected() && "bg-blue-50",
+                      row.id === activeRowId && "bg-blue-100 hover:bg-blue-100"
+                    )}
+                  >
+                    {row.getVisibleCells().map((cell) => (
+                      infinite ? (
+                        <td key={cell.id} className="px-4 py-0 text-sm whitespace-nowrap">
+                          <div
+                            style={{ height: CELL_HEIGHT }}
+                            className={cn(
+                              "flex flex-col justify-center",
+                              cell.column.columnDef.meta?.overflow !== 'visible' && "overflow-hidden"
+                            )}
+                          >
+                            {flexRender(cell.column.columnDef.cell, cell.getContext())}
+                          </div>
+                        </td>
+                      ) : (
+                        <td key={cell.id} className="px-4 py-3 text-sm">
+                          {flexRender(cell.column.columnDef.cell, cell.getContext())}
+                        </td>
+                      )
+                    ))}
+                  </tr>
+                ))}
+                {lastRendered < rows.length && (
+                  <tr aria-hidden="true" style={{ height: (rows.length - lastRendered) * ROW_HEIGHT }} />
+                )}
+                {infinite && (hasMore || loadingMore) && (
+                  <tr>
+                    <td colSpan={table.getVisibleLeafColumns().length} className="px-4 py-4 text-center text-sm text-gray-500">
+                      {loadingMore ? 'Loading more reports...' : (
+                        <button onClick={onLoadMore} className="text-blue-600 hover:underline">
+                          Load more
+                        </button>
+                      )}
                     </td>
-                  ))}
-                </tr>
-              ))
+                  </tr>
+                )}
+              </>
             ) : (
               <tr>
-                <td colSpan={columns.length} className="px-4 py-8 text-center text-gray-500">
+                <td colSpan={table.getVisibleLeafColumns().length} className="px-4 py-8 text-center text-gray-500">
                   No data available
                 </td>
               </tr>
@@ -96,50 +448,106 @@ export function DataTable({ data, columns, pagination, onPaginationChange, sorti
         </table>
       </div>
 
-      {/* Pagination */}
-      <div className="flex items-center justify-between px-2">
-        <div className="text-sm text-gray-700">
-          Showing {table.getState().pagination.pageIndex * table.getState().pagination.pageSize + 1} to{' '}
-          {Math.min(
-            (table.getState().pagination.pageIndex + 1) * table.getState().pagination.pageSize,
-            table.getPageCount() * table.getState().pagination.pageSize
-          )}{' '}
-          of {table.getPageCount() * table.getState().pagination.pageSize} results
+      {infinite ? (
+        <div className="px-2 text-sm text-gray-700" aria-live="polite">
+          Showing {rows.length} of {totalCount ?? rows.length} results
         </div>
-        <div className="flex items-center space-x-2">
-          <button
-            onClick={() => table.setPageIndex(0)}
-            disabled={!table.getCanPreviousPage()}
-            className="px-3 py-1 text-sm border rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            First
-          </button>
-          <button
-            onClick={() => table.previousPage()}
-            disabled={!table.getCanPreviousPage()}
-            className="px-3 py-1 text-sm border rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            Previous
-          </button>
-          <span className="px-3 py-1 text-sm">
-            Page {table.getState().pagination.pageIndex + 1} of {table.getPageCount()}
-          </span>
-          <button
-            onClick={() => table.nextPage()}
-            disabled={!table.getCanNextPage()}
-            className="px-3 py-1 text-sm border rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            Next
-          </button>
-          <button
-            onClick={() => table.setPageIndex(table.getPageCount() - 1)}
-            disabled={!table.getCanNextPage()}
-            className="px-3 py-1 text-sm border rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            Last
-          </button>
+      ) : (
+        /* Pagination */
+        <div className="flex flex-wrap items-center justify-between gap-4 px-2">
+          <div className="flex items-center space-x-4 text-sm text-gray-700">
+            <span aria-live="polite">
+              Showing {firstRowNumber} to {lastRowNumber} of {resultCount} results
+            </span>
+            {pageSizeOptions && (
+              <label className="flex items-center space-x-2">
+                <span>Rows per page</span>
+                <select
+                  value={pageSize}
+                  onChange={(e) => table.setPageSize(Number(e.target.value))}
+                  className="px-2 py-1 border rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {pageSizeOptions.map(size => (
+                    <option key={size} value={size}>{size}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={() => table.setPageIndex(0)}
+              disabled={!table.getCanPreviousPage()}
+              className="px-3 py-1 text-sm border rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              First
+            </button>
+            <button
+              onClick={() => table.previousPage()}
+              disabled={!table.getCanPreviousPage()}
+              className="px-3 py-1 text-sm border rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Previous
+            </button>
+            <nav aria-label="Pages" className="flex items-center gap-1">
+              {getPageLinks(pageIndex, pageCount).map((page, i) => (
+                page === null ? (
+                  <span key={`gap-${i}`} className="px-1 text-sm text-gray-500">…</span>
+                ) : (
+                  <button
+                    key={page}
+                    onClick={() => table.setPageIndex(page)}
+                    aria-label={`Page ${page + 1}`}
+                    aria-current={page === pageIndex ? 'page' : undefined}
+                    className={cn(
+                      "min-w-8 px-2 py-1 text-sm border rounded",
+                      page === pageIndex ? "bg-blue-600 border-blue-600 text-white" : "hover:bg-gray-50"
+                    )}
+                  >
+                    {page + 1}
+                  </button>
+                )
+              ))}
+            </nav>
+            <span className="px-3 py-1 text-sm">
+              Page {pageIndex + 1} of {pageCount}
+            </span>
+            <button
+              onClick={() => table.nextPage()}
+              disabled={!table.getCanNextPage()}
+              className="px-3 py-1 text-sm border rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+            </button>
+            <button
+              onClick={() => table.setPageIndex(table.getPageCount() - 1)}
+              disabled={!table.getCanNextPage()}
+              className="px-3 py-1 text-sm border rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Last
+            </button>
+            <form onSubmit={handleJumpToPage} className="flex items-center space-x-1">
+              <input
+                type="number"
+                min={1}
+                max={Math.max(pageCount, 1)}
+                value={jumpToPage}
+                onChange={(e) => setJumpToPage(e.target.value)}
+                aria-label="Go to page"
+                placeholder="Page"
+                className="w-16 px-2 py-1 text-sm border rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                type="submit"
+                disabled={!jumpToPage}
+                className="px-3 py-1 text-sm border rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Go
+              </button>
+            </form>
+          </div>
         </div>
-      </div>
+      )}
     </div>
   )
 }
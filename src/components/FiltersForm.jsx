@@ -1,38 +1,151 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { useDebounce } from '../hooks/useDebounce'
+import { MultiSelectFilter } from './MultiSelectFilter'
+import { SearchQueryInput } from './SearchQueryInput'
+import {
+  DEPARTMENTS,
+  REPORT_STATUSES,
+  EXECUTION_STATUSES,
+  PRIORITIES,
+  REPORT_TYPES,
+  AUTHORS
+} from '../services/reportSchema'
+import { RANGE_FILTERS, toFilterValues, normalizeFilters } from '../services/reportFilters'
+import { parseSearchQuery } from '../services/searchQuery'
 
-export function FiltersForm({ onSubmit, initialFilters = {} }) {
-  const [filters, setFilters] = useState({
-    status: initialFilters.status || '',
-    department: initialFilters.department || '',
-    priority: initialFilters.priority || '',
-    dateFrom: initialFilters.dateFrom || '',
-    dateTo: initialFilters.dateTo || '',
-    search: initialFilters.search || '',
-    ...initialFilters
-  })
+const inputClassName = "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+
+const MULTI_SELECT_FIELDS = [
+  { field: 'status', label: 'Status', placeholder: 'All Statuses', options: [...REPORT_STATUSES, ...EXECUTION_STATUSES] },
+  { field: 'department', label: 'Department', placeholder: 'All Departments', options: DEPARTMENTS },
+  { field: 'priority', label: 'Priority', placeholder: 'All Priorities', options: PRIORITIES },
+  { field: 'type', label: 'Type', placeholder: 'All Types', options: REPORT_TYPES },
+  { field: 'author', label: 'Author', placeholder: 'All Authors', options: AUTHORS },
+]
+
+// Range inputs take friendlier units than the filters, which are in records,
+// bytes and milliseconds; `scale` converts one to the other
+const NUMBER_RANGE_FIELDS = [
+  { field: 'recordCount', label: 'Record Count', scale: 1 },
+  { field: 'fileSize', label: 'File Size (MB)', scale: 1024 * 1024 },
+  { field: 'executionTime', label: 'Run Time (s)', scale: 1000 },
+]
+const RANGE_KEYS = Object.values(RANGE_FILTERS).flat()
+
+const DATE_RANGE_FIELDS = [
+  { label: 'Created', keys: ['dateFrom', 'dateTo'] },
+  { label: 'Updated', keys: ['updatedFrom', 'updatedTo'] },
+]
+
+const EMPTY_FORM = {
+  search: '',
+  ...Object.fromEntries(MULTI_SELECT_FIELDS.map(({ field }) => [field, []])),
+  ...Object.fromEntries(RANGE_KEYS.map(key => [key, ''])),
+  ...Object.fromEntries(DATE_RANGE_FIELDS.flatMap(({ keys }) => keys.map(key => [key, '']))),
+}
+
+const mapRangeKeys = (values, convert) => Object.fromEntries(
+  NUMBER_RANGE_FIELDS.flatMap(({ field, scale }) => RANGE_FILTERS[field].map(key => (
+    [key, values[key] === '' || values[key] == null ? '' : convert(Number(values[key]), scale)]
+  )))
+)
+
+const toFormState = (initialFilters) => ({
+  ...EMPTY_FORM,
+  ...initialFilters,
+  ...Object.fromEntries(MULTI_SELECT_FIELDS.map(({ field }) => [field, toFilterValues(initialFilters[field])])),
+  ...mapRangeKeys(initialFilters, (value, scale) => String(value / scale)),
+})
+
+const toFilters = (formState) => ({
+  ...formState,
+  ...mapRangeKeys(formState, (value, scale) => Math.round(value * scale)),
+})
+
+// Stable default so the sync effect below doesn't see a "new" object every render
+const NO_FILTERS = {}
+
+// A min/max pair of inputs sharing one label
+function RangeFilter({ label, type, keys: [minKey, maxKey], values, onChange, step }) {
+  const isDate = type === 'date'
+  return (
+    <fieldset>
+      <legend className="block text-sm font-medium text-gray-700 mb-1">{label}</legend>
+      <div className="flex items-center space-x-2">
+        <input
+          id={minKey}
+          type={type}
+          min={isDate ? undefined : 0}
+          step={step}
+          aria-label={`${label} ${isDate ? 'from' : 'minimum'}`}
+          placeholder={isDate ? undefined : 'Min'}
+          value={values[minKey]}
+          onChange={(e) => onChange(minKey, e.target.value)}
+          className={inputClassName}
+        />
+        <span className="text-gray-400">–</span>
+        <input
+          id={maxKey}
+          type={type}
+          min={isDate ? undefined : 0}
+          step={step}
+          aria-label={`${label} ${isDate ? 'to' : 'maximum'}`}
+          placeholder={isDate ? undefined : 'Max'}
+          value={values[maxKey]}
+          onChange={(e) => onChange(maxKey, e.target.value)}
+          className={inputClassName}
+        />
+      </div>
+    </fieldset>
+  )
+}
+
+export function FiltersForm({ onSubmit, initialFilters = NO_FILTERS, actions = null }) {
+  const [filters, setFilters] = useState(() => toFormState(initialFilters))
+  // The last filters object this form submitted, so external changes can be told apart
+  const lastSubmittedRef = useRef(initialFilters)
+
+  const submitFilters = (nextFilters) => {
+    lastSubmittedRef.current = nextFilters
+    onSubmit(nextFilters)
+  }
+
+  // Pick up filters applied from outside the form (e.g. the summary panel)
+  // without clobbering what the user is typing after their own submissions
+  useEffect(() => {
+    if (initialFilters === lastSubmittedRef.current) return
+    lastSubmittedRef.current = initialFilters
+    setFilters(toFormState(initialFilters))
+  }, [initialFilters])
 
   // Debounce the search term to avoid excessive API calls
   const debouncedSearch = useDebounce(filters.search, 300)
+  // Range bounds are typed a digit at a time too, so they settle the same way
+  const rangeValues = JSON.stringify(RANGE_KEYS.map(key => filters[key]))
+  const debouncedRangeValues = useDebounce(rangeValues, 300)
 
-  // Auto-submit filters when any filter changes (except search which is handled separately)
+  // Auto-submit filters when any filter changes (typed values once they've settled)
   useEffect(() => {
+    // Wait for the debounces to settle so a stale search term or bound is never submitted
+    if (filters.search !== debouncedSearch || rangeValues !== debouncedRangeValues) return
+    // Keep the current results until a half-typed query parses again
+    if (parseSearchQuery(debouncedSearch).errors.length > 0) return
+
     // Create filters object with current values
-    const currentFilters = {
+    const currentFilters = toFilters({
       ...filters,
       search: debouncedSearch
-    }
+    })
     
     // Check if any filter has changed from initial values
-    const hasChanged = Object.keys(currentFilters).some(key => 
-      currentFilters[key] !== (initialFilters[key] || '')
-    )
+    const hasChanged = JSON.stringify(normalizeFilters(currentFilters)) !==
+      JSON.stringify(normalizeFilters(initialFilters))
     
     // Only submit if there are changes and it's not the initial load
     if (hasChanged) {
-      onSubmit(currentFilters)
+      submitFilters(currentFilters)
     }
-  }, [filters.status, filters.department, filters.priority, filters.dateFrom, filters.dateTo, debouncedSearch]) // eslint-disable-line react-hooks/exhaustive-deps
+  }, [filters.status, filters.department, filters.priority, filters.type, filters.author, filters.dateFrom, filters.dateTo, filters.updatedFrom, filters.updatedTo, debouncedSearch, debouncedRangeValues]) // eslint-disable-line react-hooks/exhaustive-deps
 
   const handleSubmit = (e) => {
     e.preventDefault()
@@ -40,34 +153,28 @@ export function FiltersForm({ onSubmit, initialFilters = {} }) {
       ...filters,
       search: debouncedSearch
     }
-    onSubmit(filtersWithDebouncedSearch)
+    submitFilters(toFilters(filtersWithDebouncedSearch))
   }
 
   const handleReset = () => {
-    const resetFilters = {
-      status: '',
-      department: '',
-      priority: '',
-      dateFrom: '',
-      dateTo: '',
-      search: '',
-    }
-    setFilters(resetFilters)
-    onSubmit(resetFilters)
+    setFilters(EMPTY_FORM)
+    submitFilters(toFilters(EMPTY_FORM))
   }
 
   const handleChange = (field, value) => {
     setFilters(prev => ({ ...prev, [field]: value }))
   }
 
-  const handleSearchChange = (e) => {
-    const value = e.target.value
+  const handleSearchChange = (value) => {
     setFilters(prev => ({ ...prev, search: value }))
   }
 
   return (
     <div className="bg-white p-6 rounded-lg border shadow-sm">
-      <h2 className="text-lg font-semibold mb-4">Filter Reports</h2>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold">Filter Reports</h2>
+        {actions}
+      </div>
       <form onSubmit={handleSubmit} className="space-y-4">
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
           {/* Search with real-time functionality */}
@@ -78,102 +185,49 @@ export function FiltersForm({ onSubmit, initialFilters = {} }) {
                 <span className="text-xs text-gray-400 ml-1">(searching...)</span>
               )}
             </label>
-            <input
+            <SearchQueryInput
               id="search"
-              type="text"
               value={filters.search}
               onChange={handleSearchChange}
-              placeholder="Search reports..."
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              placeholder='Search, e.g. status:approved records:>10000 "Budget"'
+              className={inputClassName}
             />
           </div>
 
-          {/* Status */}
-          <div>
-            <label htmlFor="status" className="block text-sm font-medium text-gray-700 mb-1">
-              Status
-            </label>
-            <select
-              id="status"
-              value={filters.status}
-              onChange={(e) => handleChange('status', e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            >
-              <option value="">All Statuses</option>
-              <option value="draft">Draft</option>
-              <option value="pending">Pending</option>
-              <option value="approved">Approved</option>
-              <option value="published">Published</option>
-              <option value="archived">Archived</option>
-            </select>
-          </div>
-
-          {/* Department */}
-          <div>
-            <label htmlFor="department" className="block text-sm font-medium text-gray-700 mb-1">
-              Department
-            </label>
-            <select
-              id="department"
-              value={filters.department}
-              onChange={(e) => handleChange('department', e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            >
-              <option value="">All Departments</option>
-              <option value="Sales">Sales</option>
-              <option value="Marketing">Marketing</option>
-              <option value="Finance">Finance</option>
-              <option value="HR">HR</option>
-              <option value="Operations">Operations</option>
-              <option value="IT">IT</option>
-            </select>
-          </div>
-
-          {/* Priority */}
-          <div>
-            <label htmlFor="priority" className="block text-sm font-medium text-gray-700 mb-1">
-              Priority
-            </label>
-            <select
-              id="priority"
-              value={filters.priority}
-              onChange={(e) => handleChange('priority', e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            >
-              <option value="">All Priorities</option>
-              <option value="low">Low</option>
-              <option value="medium">Medium</option>
-              <option value="high">High</option>
-            </select>
-          </div>
+          {MULTI_SELECT_FIELDS.map(({ field, label, placeholder, options }) => (
+            <MultiSelectFilter
+              key={field}
+              id={field}
+              label={label}
+              placeholder={placeholder}
+              options={options}
+              value={filters[field]}
+              onChange={(values) => handleChange(field, values)}
+            />
+          ))}
 
-          {/* Date From */}
-          <div>
-            <label htmlFor="dateFrom" className="block text-sm font-medium text-gray-700 mb-1">
-              Date From
-            </label>
-            <input
-              id="dateFrom"
-              type="date"
-              value={filters.dateFrom}
-              onChange={(e) => handleChange('dateFrom', e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          {NUMBER_RANGE_FIELDS.map(({ field, label, scale }) => (
+            <RangeFilter
+              key={field}
+              label={label}
+              type="number"
+              step={scale === 1 ? 1 : 'any'}
+              keys={RANGE_FILTERS[field]}
+              values={filters}
+              onChange={handleChange}
             />
-          </div>
+          ))}
 
-          {/* Date To */}
-          <div>
-            <label htmlFor="dateTo" className="block text-sm font-medium text-gray-700 mb-1">
-              Date To
-            </label>
-            <input
-              id="dateTo"
+          {DATE_RANGE_FIELDS.map(({ label, keys }) => (
+            <RangeFilter
+              key={label}
+              label={label}
               type="date"
-              value={filters.dateTo}
-              onChange={(e) => handleChange('dateTo', e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              keys={keys}
+              values={filters}
+              onChange={handleChange}
             />
-          </div>
+          ))}
         </div>
 
         <div className="flex items-center space-x-3 pt-4">
@@ -0,0 +1,30 @@
+import { findMatchRanges } from '../services/searchIndex'
+
+/**
+ * Text with the parts matched by the search terms marked, fuzzy matches
+ * included (see services/searchIndex.js)
+ *
+ * @param {Object} props
+ * @param {string} props.text - Text to show
+ * @param {Array<string>} props.terms - Search terms; nothing is marked when empty
+ */
+export function HighlightedText({ text, terms = [] }) {
+  const value = String(text ?? '')
+  const ranges = findMatchRanges(value, terms)
+  if (ranges.length === 0) return value
+
+  const parts = []
+  let position = 0
+  ranges.forEach(({ start, end }) => {
+    if (start > position) parts.push(value.slice(position, start))
+    parts.push(
+      <mark key={start} className="bg-yellow-200 text-inherit rounded-sm">
+        {value.slice(start, end)}
+      </mark>
+    )
+    position = end
+  })
+  if (position < value.length) parts.push(value.slice(position))
+
+  return <>{parts}</>
+}
@@ -0,0 +1,34 @@
+import { AlertTriangle, RefreshCw } from 'lucide-react'
+
+// Inline notice for failed page loads; sits above the table so whatever
+// data was last loaded stays visible underneath it. `error` is a
+// ReportsAPIError; only retryable ones suggest trying again.
+export function LoadErrorBanner({ error, retrying, onRetry }) {
+  if (retrying) {
+    return (
+      <div role="status" className="flex items-center space-x-2 rounded-md bg-yellow-50 px-3 py-2 mb-4 text-sm text-yellow-800">
+        <RefreshCw className="h-4 w-4 animate-spin" />
+        <span>
+          Having trouble loading reports. Retrying (attempt {retrying.attempt} of {retrying.attempts})...
+        </span>
+      </div>
+    )
+  }
+
+  if (!error) return null
+
+  return (
+    <div role="alert" className="flex items-center justify-between rounded-md bg-red-50 px-3 py-2 mb-4 text-sm text-red-800">
+      <div className="flex items-center space-x-2">
+        <AlertTriangle className="h-4 w-4" />
+        <span>Couldn't load reports: {error.message}</span>
+      </div>
+      <button
+        onClick={onRetry}
+        className="ml-3 px-3 py-1 text-sm border border-red-300 rounded-md hover:bg-red-100 focus:outline-none focus:ring-2 focus:ring-red-500"
+      >
+        {error.retryable ? 'Retry' : 'Reload'}
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,97 @@
+import { useState, useEffect, useRef } from 'react'
+import { ChevronDownIcon } from 'lucide-react'
+import { cn } from '../lib/utils'
+
+/**
+ * Dropdown of checkboxes for picking any number of values
+ *
+ * @param {Object} props
+ * @param {string} props.id - Id of the toggle button, for the label
+ * @param {string} props.label - Field label
+ * @param {Array<string>} props.options - Selectable values
+ * @param {Array<string>} props.value - Selected values
+ * @param {Function} props.onChange - Called with the new list of values
+ * @param {string} props.placeholder - Shown when nothing is selected, e.g. 'All Statuses'
+ */
+export function MultiSelectFilter({ id, label, options, value = [], onChange, placeholder }) {
+  const [open, setOpen] = useState(false)
+  const containerRef = useRef(null)
+
+  // Close the list on outside click or Escape
+  useEffect(() => {
+    if (!open) return
+
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false)
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    document.addEventListener('keydown', handleKeyDown)
+    return () => {
+      document.removeEventListener('mousedown', handleClick)
+      document.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [open])
+
+  const toggleOption = (option) => {
+    onChange(value.includes(option) ? value.filter(item => item !== option) : [...value, option])
+  }
+
+  const summary = value.length === 0
+    ? placeholder
+    : value.length === 1 ? value[0] : `${value.length} selected`
+
+  return (
+    <div ref={containerRef} className="relative">
+      <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-1">
+        {label}
+      </label>
+      <button
+        id={id}
+        type="button"
+        onClick={() => setOpen(prev => !prev)}
+        aria-haspopup="true"
+        aria-expanded={open}
+        title={value.join(', ') || undefined}
+        className="w-full flex items-center justify-between px-3 py-2 text-left border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      >
+        <span className={cn("truncate capitalize", value.length === 0 && "text-gray-500")}>{summary}</span>
+        <ChevronDownIcon className="h-4 w-4 shrink-0 text-gray-400" />
+      </button>
+
+      {open && (
+        <div
+          role="group"
+          aria-label={`${label} options`}
+          className="absolute z-20 mt-1 w-full max-h-60 overflow-auto rounded-md border bg-white py-1 shadow-lg"
+        >
+          {options.map(option => (
+            <label
+              key={option}
+              className="flex items-center space-x-2 px-3 py-1.5 text-sm hover:bg-gray-50 cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                checked={value.includes(option)}
+                onChange={() => toggleOption(option)}
+                className="rounded border-gray-300"
+              />
+              <span className="capitalize">{option}</span>
+            </label>
+          ))}
+          {value.length > 0 && (
+            <button
+              type="button"
+              onClick={() => onChange([])}
+              className="w-full px-3 py-1.5 text-left text-sm text-blue-600 border-t hover:bg-gray-50"
+            >
+              Clear selection
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,208 @@
+import { useEffect, useRef } from 'react'
+import { ChevronDown, ChevronUp, X } from 'lucide-react'
+import { formatRecordCount, formatFileSize, formatDuration } from '../lib/formatMetrics'
+
+const formatTimestamp = (value) => (value ? new Date(value).toLocaleString() : '—')
+
+const formatMetrics = (metrics) =>
+  `${formatRecordCount(metrics.recordCount)} records, ${formatFileSize(metrics.fileSize)} in ${formatDuration(metrics.executionTime)}`
+
+const describeChanges = (changes = {}) => Object.entries(changes)
+  .map(([field, { from, to }]) => `${field} from "${from}" to "${to}"`)
+  .join(', ')
+
+// One line per activity entry (see getReport in services/mockReportsService.js)
+const describeActivity = (entry) => {
+  switch (entry.type) {
+    case 'created':
+      return `Created by ${entry.actor}`
+    case 'updated':
+      return entry.changes
+        ? `${entry.actor} changed ${describeChanges(entry.changes)}`
+        : 'Updated'
+    case 'execution-started':
+      return `Execution started by ${entry.actor}`
+    case 'execution-completed':
+      return `Execution completed: ${formatMetrics(entry.metrics)}`
+    case 'execution-failed':
+      return 'Execution failed'
+    default:
+      return entry.type
+  }
+}
+
+// Keys typed into these belong to the field, not to row navigation
+const isEditable = (target) => (
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName))
+)
+
+function DetailList({ items }) {
+  return (
+    <dl className="grid grid-cols-[max-content_1fr] gap-x-4 gap-y-2 text-sm">
+      {items.map(([label, value]) => (
+        <div key={label} className="contents">
+          <dt className="text-gray-500">{label}</dt>
+          <dd className="text-gray-900">{value}</dd>
+        </div>
+      ))}
+    </dl>
+  )
+}
+
+/**
+ * Side panel with a report's full record, execution metrics and activity
+ * history. It sits beside the table rather than over it: Up/Down (or K/J)
+ * move to the previous/next row and Escape closes it.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {Object} props.report - The row as the table has it, shown until
+ *   the details arrive
+ * @param {Object} props.details - The report from getReport, with `activity`
+ * @param {boolean} props.loading - Details are loading
+ * @param {string} props.error - Why the details failed to load
+ * @param {Function} props.onRetry - Reloads the details
+ * @param {Function} props.onPrevious - Opens the previous row; omit at the first
+ * @param {Function} props.onNext - Opens the next row; omit at the last
+ * @param {Function} props.onClose
+ * @param {boolean} props.keyboardEnabled - False while a dialog has the keyboard
+ */
+export function ReportDetailsDrawer({
+  isOpen,
+  report,
+  details,
+  loading = false,
+  error = null,
+  onRetry,
+  onPrevious,
+  onNext,
+  onClose,
+  keyboardEnabled = true
+}) {
+  const panelRef = useRef(null)
+
+  // Move focus into the panel when it opens so screen readers announce it
+  useEffect(() => {
+    if (isOpen) panelRef.current?.focus()
+  }, [isOpen])
+
+  useEffect(() => {
+    if (!isOpen || !keyboardEnabled) return
+
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || isEditable(e.target)) return
+
+      if (e.key === 'Escape') {
+        onClose()
+      } else if ((e.key === 'ArrowDown' || e.key === 'j') && onNext) {
+        e.preventDefault()
+        onNext()
+      } else if ((e.key === 'ArrowUp' || e.key === 'k') && onPrevious) {
+        e.preventDefault()
+        onPrevious()
+      }
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [isOpen, keyboardEnabled, onPrevious, onNext, onClose])
+
+  if (!isOpen) return null
+
+  // Prefer the loaded record; the row fills in while it loads
+  const shown = details ?? report
+
+  return (
+    <aside
+      ref={panelRef}
+      role="dialog"
+      aria-labelledby="report-details-title"
+      tabIndex={-1}
+      className="fixed inset-y-0 right-0 z-40 flex w-full max-w-md flex-col border-l bg-white shadow-xl focus:outline-none"
+    >
+      <div className="flex items-start justify-between border-b p-4">
+        <div>
+          <h2 id="report-details-title" className="text-lg font-semibold">{shown?.title ?? 'Report'}</h2>
+          {shown && <p className="text-sm text-gray-500">Report #{shown.id}</p>}
+        </div>
+        <div className="flex items-center space-x-1">
+          <button
+            onClick={onPrevious}
+            disabled={!onPrevious}
+            aria-label="Previous report"
+            className="p-1.5 rounded text-gray-500 hover:bg-gray-100 disabled:opacity-30 disabled:cursor-not-allowed"
+          >
+            <ChevronUp className="h-4 w-4" />
+          </button>
+          <button
+            onClick={onNext}
+            disabled={!onNext}
+            aria-label="Next report"
+            className="p-1.5 rounded text-gray-500 hover:bg-gray-100 disabled:opacity-30 disabled:cursor-not-allowed"
+          >
+            <ChevronDown className="h-4 w-4" />
+          </button>
+          <button
+            onClick={onClose}
+            aria-label="Close details"
+            className="p-1.5 rounded text-gray-500 hover:bg-gray-100"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 space-y-6 overflow-y-auto p-4">
+        {shown && (
+          <section aria-labelledby="report-details-record">
+            <h3 id="report-details-record" className="mb-2 text-sm font-semibold text-gray-700">Details</h3>
+            <DetailList items={[
+              ['Type', shown.type],
+              ['Department', shown.department],
+              ['Author', shown.author],
+              ['Status', shown.status],
+              ['Priority', shown.priority],
+              ['Created', formatTimestamp(shown.createdAt)],
+              ['Updated', formatTimestamp(shown.updatedAt)]
+            ]} />
+          </section>
+        )}
+
+        {shown && (
+          <section aria-labelledby="report-details-metrics">
+            <h3 id="report-details-metrics" className="mb-2 text-sm font-semibold text-gray-700">Last execution</h3>
+            <DetailList items={[
+              ['Records', formatRecordCount(shown.recordCount)],
+              ['File size', formatFileSize(shown.fileSize)],
+              ['Run time', formatDuration(shown.executionTime)]
+            ]} />
+          </section>
+        )}
+
+        <section aria-labelledby="report-details-activity" aria-busy={loading}>
+          <h3 id="report-details-activity" className="mb-2 text-sm font-semibold text-gray-700">Activity</h3>
+          {error ? (
+            <div className="text-sm text-red-700">
+              {error}{' '}
+              <button onClick={onRetry} className="text-blue-600 hover:underline">Retry</button>
+            </div>
+          ) : details?.activity ? (
+            <ol className="space-y-3 border-l border-gray-200 pl-4">
+              {details.activity.map((entry, i) => (
+                <li key={`${entry.at}-${i}`} className="text-sm">
+                  <p className="text-gray-900">{describeActivity(entry)}</p>
+                  <time dateTime={entry.at} className="text-xs text-gray-500">{formatTimestamp(entry.at)}</time>
+                </li>
+              ))}
+            </ol>
+          ) : loading && (
+            <div className="flex items-center text-sm text-gray-500">
+              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600 mr-2"></div>
+              Loading activity...
+            </div>
+          )}
+        </section>
+      </div>
+    </aside>
+  )
+}
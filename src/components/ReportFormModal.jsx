@@ -0,0 +1,230 @@
+import { useState, useEffect } from 'react'
+import { X } from 'lucide-react'
+import { cn } from '../lib/utils'
+import {
+  DEPARTMENTS,
+  REPORT_STATUSES,
+  EXECUTION_STATUSES,
+  PRIORITIES,
+  REPORT_TYPES,
+  TITLE_MAX_LENGTH,
+  validateReport
+} from '../services/reportSchema'
+import { ERROR_CODES } from '../services/reportsErrors'
+
+const EMPTY_REPORT = {
+  title: '',
+  department: '',
+  type: '',
+  priority: 'medium',
+  status: 'pending',
+}
+
+const toLabel = (value) => value.charAt(0).toUpperCase() + value.slice(1)
+
+const inputClassName = (hasError) => cn(
+  "w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent",
+  hasError ? "border-red-500" : "border-gray-300"
+)
+
+const getSubmitErrorMessage = (err) => {
+  switch (err.code) {
+    case ERROR_CODES.VALIDATION:
+      return 'Please fix the highlighted fields.'
+    case ERROR_CODES.NOT_FOUND:
+      return 'This report no longer exists. It may have been deleted.'
+    case ERROR_CODES.CONFLICT:
+      return `${err.message}. Close the form and reopen it to edit the latest version.`
+    case ERROR_CODES.NETWORK:
+      return "Couldn't reach the server. Check your connection and try again."
+    default:
+      return err.message || 'Failed to save report'
+  }
+}
+
+export function ReportFormModal({ isOpen, report = null, onSubmit, onClose }) {
+  const isEditing = Boolean(report)
+  const [values, setValues] = useState(EMPTY_REPORT)
+  const [errors, setErrors] = useState({})
+  const [submitError, setSubmitError] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  // Reset the form each time it opens, pre-filling when editing
+  useEffect(() => {
+    if (!isOpen) return
+
+    setValues(report ? {
+      title: report.title || '',
+      department: report.department || '',
+      type: report.type || '',
+      priority: report.priority || 'medium',
+      status: report.status || 'pending',
+    } : EMPTY_REPORT)
+    setErrors({})
+    setSubmitError('')
+    setSubmitting(false)
+  }, [isOpen, report])
+
+  // Close on Escape unless a save is in flight
+  useEffect(() => {
+    if (!isOpen) return
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && !submitting) onClose()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [isOpen, submitting, onClose])
+
+  if (!isOpen) return null
+
+  const handleChange = (field, value) => {
+    setValues(prev => ({ ...prev, [field]: value }))
+    // Clear the field's error as soon as the user edits it
+    if (errors[field]) {
+      setErrors(prev => {
+        const next = { ...prev }
+        delete next[field]
+        return next
+      })
+    }
+  }
+
+  // A report that has been run can hold a status only execution sets
+  // ('completed', 'failed'); it's offered so the form can show it, but it
+  // isn't one a client may send
+  const statusOptions = isEditing && EXECUTION_STATUSES.includes(report.status)
+    ? [report.status, ...REPORT_STATUSES]
+    : REPORT_STATUSES
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    // An unchanged status is left out of an edit rather than set again
+    const { status, ...rest } = values
+    const submitted = isEditing && status === report.status ? rest : values
+
+    const validationErrors = validateReport(submitted, { partial: isEditing })
+    setErrors(validationErrors)
+    if (Object.keys(validationErrors).length > 0) return
+
+    try {
+      setSubmitting(true)
+      setSubmitError('')
+      await onSubmit({ ...submitted, title: values.title.trim() })
+      onClose()
+    } catch (err) {
+      setSubmitError(getSubmitErrorMessage(err))
+      // Highlight the fields the server rejected, as if validated locally
+      if (err.code === ERROR_CODES.VALIDATION && err.fields) {
+        setErrors(err.fields)
+      }
+      setSubmitting(false)
+    }
+  }
+
+  const renderSelect = (field, label, options, placeholder) => (
+    <div>
+      <label htmlFor={`report-${field}`} className="block text-sm font-medium text-gray-700 mb-1">
+        {label}
+      </label>
+      <select
+        id={`report-${field}`}
+        value={values[field]}
+        onChange={(e) => handleChange(field, e.target.value)}
+        aria-invalid={Boolean(errors[field])}
+        aria-describedby={errors[field] ? `report-${field}-error` : undefined}
+        className={inputClassName(errors[field])}
+      >
+        {placeholder && <option value="">{placeholder}</option>}
+        {options.map(option => (
+          <option key={option} value={option}>{toLabel(option)}</option>
+        ))}
+      </select>
+      {errors[field] && (
+        <p id={`report-${field}-error`} className="mt-1 text-sm text-red-600">{errors[field]}</p>
+      )}
+    </div>
+  )
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="report-form-title"
+        className="bg-white rounded-lg border shadow-lg w-full max-w-lg"
+      >
+        <div className="flex items-center justify-between px-6 py-4 border-b">
+          <h2 id="report-form-title" className="text-lg font-semibold">
+            {isEditing ? 'Edit Report' : 'New Report'}
+          </h2>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={submitting}
+            aria-label="Close"
+            className="p-1 rounded hover:bg-gray-100 disabled:opacity-50"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} noValidate className="px-6 py-4 space-y-4">
+          {submitError && (
+            <div role="alert" className="text-sm px-3 py-2 rounded-md bg-red-100 text-red-800">
+              {submitError}
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="report-title" className="block text-sm font-medium text-gray-700 mb-1">
+              Title
+            </label>
+            <input
+              id="report-title"
+              type="text"
+              value={values.title}
+              maxLength={TITLE_MAX_LENGTH}
+              onChange={(e) => handleChange('title', e.target.value)}
+              aria-invalid={Boolean(errors.title)}
+              aria-describedby={errors.title ? 'report-title-error' : undefined}
+              className={inputClassName(errors.title)}
+            />
+            {errors.title && (
+              <p id="report-title-error" className="mt-1 text-sm text-red-600">{errors.title}</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {renderSelect('department', 'Department', DEPARTMENTS, 'Select department')}
+            {renderSelect('type', 'Type', REPORT_TYPES, 'Select type')}
+            {renderSelect('priority', 'Priority', PRIORITIES)}
+            {renderSelect('status', 'Status', statusOptions)}
+          </div>
+
+          <div className="flex items-center justify-end space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={submitting}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting}
+              className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+            >
+              {submitting && (
+                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+              )}
+              <span>{isEditing ? 'Save Changes' : 'Create Report'}</span>
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,91 @@
+import { useState, useEffect, useRef } from 'react'
+import { MoreHorizontal, Play, Pencil, Copy, Trash2 } from 'lucide-react'
+import { cn } from '../lib/utils'
+
+const ACTIONS = [
+  { id: 'execute', label: 'Execute', icon: Play },
+  { id: 'edit', label: 'Edit', icon: Pencil },
+  { id: 'duplicate', label: 'Duplicate', icon: Copy },
+  { id: 'delete', label: 'Delete', icon: Trash2, destructive: true },
+]
+
+const PENDING_LABELS = {
+  execute: 'Executing...',
+  duplicate: 'Duplicating...',
+  delete: 'Deleting...',
+}
+
+export function RowActions({ report, pendingAction, onAction }) {
+  const [open, setOpen] = useState(false)
+  const containerRef = useRef(null)
+
+  // Close the menu on outside click or Escape
+  useEffect(() => {
+    if (!open) return
+
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false)
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    document.addEventListener('keydown', handleKeyDown)
+    return () => {
+      document.removeEventListener('mousedown', handleClick)
+      document.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [open])
+
+  if (pendingAction) {
+    return (
+      <div className="flex items-center text-xs text-gray-500" aria-live="polite">
+        <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-blue-600 mr-2"></div>
+        {PENDING_LABELS[pendingAction] || 'Working...'}
+      </div>
+    )
+  }
+
+  const handleSelect = (actionId) => {
+    setOpen(false)
+    onAction(actionId, report)
+  }
+
+  return (
+    <div ref={containerRef} className="relative inline-block">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        aria-label={`Actions for ${report.title}`}
+        className="p-1 rounded hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        <MoreHorizontal className="h-4 w-4" />
+      </button>
+      {open && (
+        <div
+          role="menu"
+          className="absolute right-0 z-10 mt-1 w-36 rounded-md border bg-white py-1 shadow-lg"
+        >
+          {ACTIONS.map((action) => {
+            const Icon = action.icon
+            return (
+              <button
+                key={action.id}
+                role="menuitem"
+                onClick={() => handleSelect(action.id)}
+                className={cn(
+                  "flex w-full items-center space-x-2 px-3 py-1.5 text-sm text-left hover:bg-gray-50",
+                  action.destructive ? "text-red-600" : "text-gray-700"
+                )}
+              >
+                <Icon className="h-4 w-4" />
+                <span>{action.label}</span>
+              </button>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
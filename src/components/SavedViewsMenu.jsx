@@ -0,0 +1,167 @@
+import { useState, useEffect, useRef } from 'react'
+import { Bookmark, ChevronDownIcon, Pencil, Star, Trash2, Check, X } from 'lucide-react'
+import { cn } from '../lib/utils'
+
+const inputClassName = "w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+const iconButtonClassName = "p-1 rounded hover:bg-gray-100"
+
+export function SavedViewsMenu({
+  views,
+  defaultViewId,
+  activeViewId,
+  onApply,
+  onSave,
+  onRename,
+  onDelete,
+  onSetDefault
+}) {
+  const [open, setOpen] = useState(false)
+  const [newName, setNewName] = useState('')
+  const [editing, setEditing] = useState(null) // { id, name }
+  const containerRef = useRef(null)
+
+  const activeView = views.find(view => view.id === activeViewId)
+
+  // Close the panel on outside click or Escape
+  useEffect(() => {
+    if (!open) return
+
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false)
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    document.addEventListener('keydown', handleKeyDown)
+    return () => {
+      document.removeEventListener('mousedown', handleClick)
+      document.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [open])
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    if (!newName.trim()) return
+    onSave(newName)
+    setNewName('')
+  }
+
+  const handleRename = (e) => {
+    e.preventDefault()
+    if (editing.name.trim()) onRename(editing.id, editing.name)
+    setEditing(null)
+  }
+
+  const handleApply = (view) => {
+    onApply(view)
+    setOpen(false)
+  }
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(prev => !prev)}
+        aria-haspopup="dialog"
+        aria-expanded={open}
+        className="flex items-center space-x-2 px-3 py-1.5 text-sm border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        <Bookmark className="h-4 w-4" />
+        <span>{activeView ? activeView.name : 'Saved views'}</span>
+        <ChevronDownIcon className="h-3 w-3" />
+      </button>
+
+      {open && (
+        <div
+          role="dialog"
+          aria-label="Saved views"
+          className="absolute right-0 z-20 mt-1 w-72 rounded-md border bg-white p-3 shadow-lg space-y-3"
+        >
+          {views.length === 0 ? (
+            <p className="text-sm text-gray-500">No saved views yet.</p>
+          ) : (
+            <ul className="space-y-1">
+              {views.map(view => (
+                <li key={view.id} className="flex items-center space-x-1">
+                  {editing?.id === view.id ? (
+                    <form onSubmit={handleRename} className="flex flex-1 items-center space-x-1">
+                      <input
+                        autoFocus
+                        aria-label="View name"
+                        value={editing.name}
+                        onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                        className={inputClassName}
+                      />
+                      <button type="submit" aria-label="Save name" className={iconButtonClassName}>
+                        <Check className="h-4 w-4" />
+                      </button>
+                      <button type="button" onClick={() => setEditing(null)} aria-label="Cancel rename" className={iconButtonClassName}>
+                        <X className="h-4 w-4" />
+                      </button>
+                    </form>
+                  ) : (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => handleApply(view)}
+                        className={cn(
+                          "flex-1 truncate rounded px-2 py-1 text-left text-sm hover:bg-gray-50",
+                          view.id === activeViewId && "font-semibold text-blue-700"
+                        )}
+                      >
+                        {view.name}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => onSetDefault(view.id === defaultViewId ? null : view.id)}
+                        aria-label={view.id === defaultViewId ? `Unset ${view.name} as default` : `Set ${view.name} as default`}
+                        aria-pressed={view.id === defaultViewId}
+                        className={iconButtonClassName}
+                      >
+                        <Star className={cn("h-4 w-4", view.id === defaultViewId ? "fill-yellow-400 text-yellow-500" : "text-gray-400")} />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setEditing({ id: view.id, name: view.name })}
+                        aria-label={`Rename ${view.name}`}
+                        className={iconButtonClassName}
+                      >
+                        <Pencil className="h-4 w-4 text-gray-500" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => onDelete(view.id)}
+                        aria-label={`Delete ${view.name}`}
+                        className={iconButtonClassName}
+                      >
+                        <Trash2 className="h-4 w-4 text-red-500" />
+                      </button>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={handleSave} className="flex items-center space-x-2 border-t pt-3">
+            <input
+              aria-label="New view name"
+              placeholder="Name this view..."
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              className={inputClassName}
+            />
+            <button
+              type="submit"
+              disabled={!newName.trim()}
+              className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Save
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,173 @@
+import { useState, useRef, useMemo, useId, useLayoutEffect } from 'react'
+import { parseSearchQuery, getSearchSuggestions } from '../services/searchQuery'
+import { cn } from '../lib/utils'
+
+const MAX_SUGGESTIONS = 8
+
+// Splits the query into plain and erroneous runs for the highlight layer
+const toSegments = (text, tokens) => {
+  const segments = []
+  let position = 0
+  tokens.filter(token => token.error).forEach((token) => {
+    if (token.start > position) segments.push({ text: text.slice(position, token.start) })
+    segments.push({ text: text.slice(token.start, token.end), error: token.error })
+    position = token.end
+  })
+  if (position < text.length) segments.push({ text: text.slice(position) })
+  return segments
+}
+
+/**
+ * Search box for the query language in services/searchQuery.js. Clauses
+ * that don't parse get a wavy underline (drawn by a layer mirroring the
+ * input's text) and their message below; field names and known values
+ * are suggested as you type.
+ *
+ * @param {Object} props
+ * @param {string} props.id - Input id, for the label
+ * @param {string} props.value - The query
+ * @param {Function} props.onChange - Called with the new query
+ * @param {string} props.placeholder
+ * @param {string} props.className - Input classes (padding and border must
+ *   match the highlight layer's, which copies them)
+ */
+export function SearchQueryInput({ id, value, onChange, placeholder, className }) {
+  const inputRef = useRef(null)
+  const highlightRef = useRef(null)
+  const pendingCaretRef = useRef(null)
+  const [caret, setCaret] = useState(null)
+  const [activeIndex, setActiveIndex] = useState(0)
+  const [dismissed, setDismissed] = useState(false)
+  const listId = useId()
+  const errorId = useId()
+
+  const { tokens, errors } = useMemo(() => parseSearchQuery(value), [value])
+  const suggestions = useMemo(() => {
+    if (caret === null || dismissed) return { options: [] }
+    const result = getSearchSuggestions(value, caret)
+    return { ...result, options: result.options.slice(0, MAX_SUGGESTIONS) }
+  }, [value, caret, dismissed])
+  const open = suggestions.options.length > 0
+
+  // Place the caret after an accepted suggestion once its value has rendered
+  useLayoutEffect(() => {
+    if (pendingCaretRef.current === null) return
+    inputRef.current?.setSelectionRange(pendingCaretRef.current, pendingCaretRef.current)
+    pendingCaretRef.current = null
+  })
+  const active = Math.min(activeIndex, suggestions.options.length - 1)
+
+  const syncCaret = (e) => {
+    setCaret(e.target.selectionStart)
+    // Keep the highlight layer lined up with a scrolled input
+    if (highlightRef.current) highlightRef.current.scrollLeft = e.target.scrollLeft
+  }
+
+  const handleChange = (e) => {
+    onChange(e.target.value)
+    setActiveIndex(0)
+    setDismissed(false)
+    syncCaret(e)
+  }
+
+  const accept = (option) => {
+    const { from, to } = suggestions
+    // Completed values end the clause; field names leave the caret after the colon
+    const insert = option.value.endsWith(':') ? option.value : `${option.value} `
+    const next = `${value.slice(0, from)}${insert}${value.slice(to).replace(/^ /, '')}`
+    const nextCaret = from + insert.length
+    pendingCaretRef.current = nextCaret
+    onChange(next)
+    setCaret(nextCaret)
+    setActiveIndex(0)
+  }
+
+  const handleKeyDown = (e) => {
+    if (!open) return
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setActiveIndex((active + step + suggestions.options.length) % suggestions.options.length)
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault()
+      accept(suggestions.options[active])
+    } else if (e.key === 'Escape') {
+      setDismissed(true)
+    }
+  }
+
+  return (
+    <div>
+      <div className="relative">
+        <div
+          ref={highlightRef}
+          aria-hidden="true"
+          className={cn(className, "absolute inset-0 overflow-hidden whitespace-pre text-transparent pointer-events-none border-transparent")}
+        >
+          {toSegments(value, tokens).map((segment, i) => (
+            segment.error ? (
+              <span key={i} className="underline decoration-wavy decoration-red-500 bg-red-50">{segment.text}</span>
+            ) : (
+              <span key={i}>{segment.text}</span>
+            )
+          ))}
+        </div>
+        <input
+          ref={inputRef}
+          id={id}
+          type="text"
+          role="combobox"
+          autoComplete="off"
+          spellCheck={false}
+          aria-expanded={open}
+          aria-controls={open ? listId : undefined}
+          aria-autocomplete="list"
+          aria-activedescendant={open ? `${listId}-${active}` : undefined}
+          aria-invalid={errors.length > 0}
+          aria-describedby={errors.length > 0 ? errorId : undefined}
+          value={value}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onKeyUp={syncCaret}
+          onClick={syncCaret}
+          onScroll={syncCaret}
+          onBlur={() => setCaret(null)}
+          placeholder={placeholder}
+          className={cn(className, "relative bg-transparent")}
+        />
+        {open && (
+          <ul
+            id={listId}
+            role="listbox"
+            aria-label="Query suggestions"
+            className="absolute z-20 mt-1 w-full max-h-60 overflow-auto rounded-md border bg-white py-1 shadow-lg"
+          >
+            {suggestions.options.map((option, i) => (
+              <li
+                key={option.value}
+                id={`${listId}-${i}`}
+                role="option"
+                aria-selected={i === active}
+                // Keep focus in the input
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => accept(option)}
+                className={cn(
+                  "px-3 py-1.5 text-sm cursor-pointer font-mono",
+                  i === active ? "bg-blue-50 text-blue-900" : "hover:bg-gray-50"
+                )}
+              >
+                {option.label}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {errors.length > 0 && (
+        <p id={errorId} className="mt-1 text-xs text-red-600">
+          {errors[0].message}
+          {errors.length > 1 && ` (+${errors.length - 1} more)`}
+        </p>
+      )}
+    </div>
+  )
+}
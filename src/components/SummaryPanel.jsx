@@ -0,0 +1,192 @@
+import { cn } from '../lib/utils'
+import { toFilterValues } from '../services/reportFilters'
+
+const STATUS_COLORS = {
+  draft: '#9ca3af',
+  pending: '#eab308',
+  approved: '#22c55e',
+  published: '#3b82f6',
+  archived: '#ef4444',
+  active: '#6366f1',
+  completed: '#10b981',
+  failed: '#f43f5e',
+}
+
+const DEPARTMENT_COLORS = ['#3b82f6', '#8b5cf6', '#10b981', '#f59e0b', '#ef4444', '#06b6d4', '#6b7280']
+
+const BAR_HEIGHT = 18
+const BAR_GAP = 8
+const DONUT_RADIUS = 40
+const DONUT_CIRCUMFERENCE = 2 * Math.PI * DONUT_RADIUS
+
+const sortByCount = (counts = {}) =>
+  Object.entries(counts).sort(([, a], [, b]) => b - a)
+
+function StatusBarChart({ byStatus, total, activeStatuses, onSelect }) {
+  const entries = sortByCount(byStatus)
+  const max = Math.max(1, ...entries.map(([, count]) => count))
+  const height = entries.length * (BAR_HEIGHT + BAR_GAP)
+
+  return (
+    <svg viewBox={`0 0 300 ${height}`} className="w-full" role="group" aria-label="Reports by status">
+      {entries.map(([status, count], i) => {
+        const y = i * (BAR_HEIGHT + BAR_GAP)
+        const isActive = activeStatuses.includes(status)
+        return (
+          <g
+            key={status}
+            role="button"
+            tabIndex={0}
+            aria-label={`${status}: ${count} of ${total}`}
+            aria-pressed={isActive}
+            onClick={() => onSelect(status)}
+            onKeyDown={(e) => (e.key === 'Enter' || e.key === ' ') && onSelect(status)}
+            className="cursor-pointer focus:outline-none"
+            opacity={activeStatuses.length > 0 && !isActive ? 0.4 : 1}
+          >
+            <text x="0" y={y + BAR_HEIGHT - 5} className="fill-gray-600 text-xs capitalize">{status}</text>
+            <rect x="80" y={y} width="190" height={BAR_HEIGHT} rx="3" className="fill-gray-100" />
+            <rect
+              x="80"
+              y={y}
+              width={(count / max) * 190}
+              height={BAR_HEIGHT}
+              rx="3"
+              fill={STATUS_COLORS[status] || '#6b7280'}
+            />
+            <text x="276" y={y + BAR_HEIGHT - 5} className="fill-gray-900 text-xs">{count}</text>
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
+
+function DepartmentDonutChart({ byDepartment, total, activeDepartments, onSelect }) {
+  const entries = sortByCount(byDepartment)
+  let offset = 0
+
+  return (
+    <div className="flex items-center space-x-4">
+      <svg viewBox="0 0 100 100" className="h-32 w-32 -rotate-90 shrink-0" aria-hidden="true">
+        <circle cx="50" cy="50" r={DONUT_RADIUS} fill="none" strokeWidth="16" className="stroke-gray-100" />
+        {total > 0 && entries.map(([department, count], i) => {
+          const length = (count / total) * DONUT_CIRCUMFERENCE
+          const segment = (
+            <circle
+              key={department}
+              cx="50"
+              cy="50"
+              r={DONUT_RADIUS}
+              fill="none"
+              strokeWidth="16"
+              stroke={DEPARTMENT_COLORS[i % DEPARTMENT_COLORS.length]}
+              strokeDasharray={`${length} ${DONUT_CIRCUMFERENCE - length}`}
+              strokeDashoffset={-offset}
+              opacity={activeDepartments.length > 0 && !activeDepartments.includes(department) ? 0.3 : 1}
+              className="cursor-pointer"
+              onClick={() => onSelect(department)}
+            />
+          )
+          offset += length
+          return segment
+        })}
+      </svg>
+      <ul className="space-y-1 text-sm" aria-label="Reports by department">
+        {entries.map(([department, count], i) => (
+          <li key={department}>
+            <button
+              onClick={() => onSelect(department)}
+              aria-pressed={activeDepartments.includes(department)}
+              className={cn(
+                "flex items-center space-x-2 rounded px-1 hover:bg-gray-100",
+                activeDepartments.includes(department) && "font-semibold"
+              )}
+            >
+              <span
+                className="inline-block h-3 w-3 rounded-sm"
+                style={{ backgroundColor: DEPARTMENT_COLORS[i % DEPARTMENT_COLORS.length] }}
+              />
+              <span>{department}</span>
+              <span className="text-gray-500">{count}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export function SummaryPanel({
+  summary,
+  loading,
+  error,
+  filters = {},
+  respectFilters,
+  onRespectFiltersChange,
+  onFilterSelect
+}) {
+  // Clicking a segment narrows the filter to it; clicking an active segment
+  // again drops it from the filter's values
+  const toggleFilter = (field, value) => {
+    const active = toFilterValues(filters[field])
+    const next = active.includes(value) ? active.filter(item => item !== value) : [value]
+    onFilterSelect({ ...filters, [field]: next.length === 0 ? '' : next.length === 1 ? next[0] : next })
+  }
+
+  return (
+    <div className="bg-white p-6 rounded-lg border shadow-sm">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-4">
+          <h2 className="text-lg font-semibold">Summary</h2>
+          {loading && (
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+          )}
+        </div>
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={respectFilters}
+            onChange={(e) => onRespectFiltersChange(e.target.checked)}
+            className="rounded border-gray-300"
+          />
+          <span>Match current filters</span>
+        </label>
+      </div>
+
+      {error && !summary ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : !summary ? (
+        <p className="text-sm text-gray-500">Loading summary...</p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <div className="rounded-md border p-4">
+            <div className="text-sm text-gray-600">Total Reports</div>
+            <div className="text-3xl font-bold text-gray-900" data-testid="summary-total">{summary.total}</div>
+            <div className="mt-2 text-xs text-gray-500">
+              {respectFilters ? 'Matching the current filters' : 'Across all reports'}
+            </div>
+          </div>
+          <div className="rounded-md border p-4">
+            <div className="text-sm text-gray-600 mb-3">By Status</div>
+            <StatusBarChart
+              byStatus={summary.byStatus}
+              total={summary.total}
+              activeStatuses={toFilterValues(filters.status)}
+              onSelect={(status) => toggleFilter('status', status)}
+            />
+          </div>
+          <div className="rounded-md border p-4">
+            <div className="text-sm text-gray-600 mb-3">By Department</div>
+            <DepartmentDonutChart
+              byDepartment={summary.byDepartment}
+              total={summary.total}
+              activeDepartments={toFilterValues(filters.department)}
+              onSelect={(department) => toggleFilter('department', department)}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
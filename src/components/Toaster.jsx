@@ -0,0 +1,50 @@
+import { X } from 'lucide-react'
+import { cn } from '../lib/utils'
+
+const toastStyles = {
+  success: 'bg-green-50 border-green-200 text-green-800',
+  error: 'bg-red-50 border-red-200 text-red-800',
+  info: 'bg-white border-gray-200 text-gray-800',
+}
+
+export function Toaster({ toasts, onDismiss }) {
+  if (!toasts.length) return null
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex flex-col space-y-2 w-80" aria-live="polite">
+      {toasts.map((toast) => (
+        <div
+          key={toast.id}
+          role={toast.type === 'error' ? 'alert' : 'status'}
+          className={cn(
+            "flex items-start justify-between rounded-md border px-4 py-3 shadow-sm",
+            toastStyles[toast.type] || toastStyles.info
+          )}
+        >
+          <div className="text-sm">
+            {toast.title && <div className="font-medium">{toast.title}</div>}
+            <div>{toast.message}</div>
+            {toast.action && (
+              <button
+                onClick={() => {
+                  onDismiss(toast.id)
+                  toast.action.onClick()
+                }}
+                className="mt-1 font-medium underline hover:no-underline"
+              >
+                {toast.action.label}
+              </button>
+            )}
+          </div>
+          <button
+            onClick={() => onDismiss(toast.id)}
+            aria-label="Dismiss notification"
+            className="ml-3 p-0.5 rounded hover:bg-black/5"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,85 @@
+import { useState, useCallback } from 'react'
+import { reportsAPI } from '../services/reportsAPI'
+import { reportsCache } from '../services/reportsCache'
+import { runBulkOperation } from '../lib/bulkOperations'
+import { exportAsCSV, formatReportsForCSV, getReportsCSVHeaders, DEFAULT_REPORTS_CSV_FIELDS } from '../lib/csvExport'
+
+// Maps each bulk action to the chunked API request it makes
+const BULK_REQUESTS = {
+  status: (ids, value) => reportsAPI.bulkUpdateReports(ids, { status: value }),
+  priority: (ids, value) => reportsAPI.bulkUpdateReports(ids, { priority: value }),
+  execute: (ids) => reportsAPI.bulkExecuteReports(ids),
+  delete: (ids) => reportsAPI.bulkDeleteReports(ids),
+  export: (ids) => reportsAPI.bulkGetReports(ids),
+}
+
+/**
+ * Runs bulk operations over a selection of report ids
+ *
+ * Requests are chunked through `runBulkOperation`, exposing one combined
+ * progress value for the whole run and, once finished, a result listing
+ * the reports that succeeded and the per-item failures.
+ *
+ * @param {Object} options
+ * @param {Array} options.exportColumns - Report fields the export action
+ *   writes, in order (default: DEFAULT_REPORTS_CSV_FIELDS)
+ * @returns {Object} - { runBulkAction, running, progress, result, clearResult }
+ */
+export const useBulkActions = ({ exportColumns = DEFAULT_REPORTS_CSV_FIELDS } = {}) => {
+  const [running, setRunning] = useState(null)
+  const [progress, setProgress] = useState(null)
+  const [result, setResult] = useState(null)
+
+  /**
+   * @param {string} action - One of status, priority, execute, delete, export
+   * @param {Array} ids - Selected report ids
+   * @param {any} value - New status/priority for update actions
+   * @returns {Promise<{ action, succeeded, failed }>}
+   */
+  const runBulkAction = useCallback(async (action, ids, value) => {
+    const request = BULK_REQUESTS[action]
+    if (!request) {
+      throw new Error(`Unknown bulk action: ${action}`)
+    }
+
+    try {
+      setRunning(action)
+      setResult(null)
+
+      const outcome = await runBulkOperation(ids, (chunk) => request(chunk, value), {
+        onProgress: setProgress
+      })
+
+      if (action !== 'export') {
+        outcome.succeeded.forEach(report => reportsCache.invalidateReport(report))
+      }
+
+      if (action === 'export' && outcome.succeeded.length > 0) {
+        try {
+          exportAsCSV(formatReportsForCSV(outcome.succeeded, exportColumns), 'reports-selection', getReportsCSVHeaders(exportColumns))
+        } catch (err) {
+          // Treat a failed download as every item failing to export
+          outcome.failed.push(...outcome.succeeded.map(report => ({ id: report.id, error: err.message })))
+          outcome.succeeded = []
+        }
+      }
+
+      const finished = { action, ...outcome }
+      setResult(finished)
+      return finished
+    } finally {
+      setRunning(null)
+      setProgress(null)
+    }
+  }, [exportColumns])
+
+  const clearResult = useCallback(() => setResult(null), [])
+
+  return {
+    runBulkAction,
+    running,
+    progress,
+    result,
+    clearResult
+  }
+}
@@ -0,0 +1,89 @@
+import { useState, useEffect, useCallback } from 'react'
+import { readJSON, writeJSON } from '../lib/storage'
+
+export const COLUMN_PREFERENCES_STORAGE_KEY = 'reports:columns'
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+const createDefaults = (defaultVisibility) => ({
+  columnVisibility: { ...defaultVisibility },
+  columnOrder: [],
+  columnSizing: {}
+})
+
+const loadPreferences = (defaultVisibility, initialVisibility) => {
+  const stored = readJSON(COLUMN_PREFERENCES_STORAGE_KEY, null)
+  const defaults = createDefaults(defaultVisibility)
+  if (initialVisibility) {
+    defaults.columnVisibility = { ...defaults.columnVisibility, ...initialVisibility }
+  }
+  // Ignore anything that isn't shaped like stored preferences
+  if (!isPlainObject(stored)) return defaults
+
+  return {
+    columnVisibility: !initialVisibility && isPlainObject(stored.columnVisibility)
+      ? { ...defaults.columnVisibility, ...stored.columnVisibility }
+      : defaults.columnVisibility,
+    columnOrder: Array.isArray(stored.columnOrder) ? stored.columnOrder.filter(id => typeof id === 'string') : [],
+    columnSizing: isPlainObject(stored.columnSizing)
+      ? Object.fromEntries(Object.entries(stored.columnSizing).filter(([, size]) => Number.isFinite(size) && size > 0))
+      : {}
+  }
+}
+
+/**
+ * Orders column ids the way TanStack does: ids named in `columnOrder`
+ * first, in that order, then the rest in definition order
+ *
+ * @param {Array<string>} ids - Column ids in definition order
+ * @param {Array<string>} columnOrder - TanStack column order state
+ * @returns {Array<string>}
+ */
+export const orderColumnIds = (ids, columnOrder = []) => [
+  ...columnOrder.filter(id => ids.includes(id)),
+  ...ids.filter(id => !columnOrder.includes(id))
+]
+
+/**
+ * Column visibility, order and widths for the reports table, persisted to
+ * localStorage. The change handlers take a value or an updater, so they can
+ * be passed straight to TanStack's on*Change options.
+ *
+ * @param {Object} options
+ * @param {Object} options.defaultVisibility - Visibility before any change,
+ *   e.g. { id: false } to hide a column unless the user shows it
+ * @param {Object} options.initialVisibility - Visibility to open with in
+ *   place of the stored one (e.g. a saved view's); read once on mount
+ * @returns {Object} - { columnVisibility, columnOrder, columnSizing,
+ *   onColumnVisibilityChange, onColumnOrderChange, onColumnSizingChange, resetColumns }
+ */
+export const useColumnPreferences = ({ defaultVisibility = {}, initialVisibility } = {}) => {
+  const [preferences, setPreferences] = useState(() => loadPreferences(defaultVisibility, initialVisibility))
+
+  useEffect(() => {
+    writeJSON(COLUMN_PREFERENCES_STORAGE_KEY, preferences)
+  }, [preferences])
+
+  const update = useCallback((key, updater) => {
+    setPreferences(prev => ({
+      ...prev,
+      [key]: typeof updater === 'function' ? updater(prev[key]) : updater
+    }))
+  }, [])
+
+  const onColumnVisibilityChange = useCallback(updater => update('columnVisibility', updater), [update])
+  const onColumnOrderChange = useCallback(updater => update('columnOrder', updater), [update])
+  const onColumnSizingChange = useCallback(updater => update('columnSizing', updater), [update])
+
+  const resetColumns = useCallback(() => {
+    setPreferences(createDefaults(defaultVisibility))
+  }, [defaultVisibility])
+
+  return {
+    ...preferences,
+    onColumnVisibilityChange,
+    onColumnOrderChange,
+    onColumnSizingChange,
+    resetColumns
+  }
+}
@@ -0,0 +1,69 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { reportsAPI } from '../services/reportsAPI'
+
+/**
+ * Tracks report executions from start to completion
+ *
+ * Subscribes to background report updates from the API. Every update is
+ * forwarded to `onReportUpdate` so visible rows can be patched in place;
+ * updates for executions started through `trackExecution` also move that
+ * execution from `running` to its final `completed`/`failed` state and
+ * fire `onExecutionFinished` with the finished report.
+ *
+ * @param {Object} options
+ * @param {Function} options.onReportUpdate - Called with every updated report
+ * @param {Function} options.onExecutionFinished - Called once per tracked execution when it finishes
+ * @returns {Object} - { executions, trackExecution, untrackExecution }
+ */
+export const useExecutionTracker = ({ onReportUpdate, onExecutionFinished } = {}) => {
+  // Map of report id -> { status: 'running' | 'completed' | 'failed', report }
+  const [executions, setExecutions] = useState({})
+  const executionsRef = useRef(executions)
+  const callbacksRef = useRef({ onReportUpdate, onExecutionFinished })
+
+  useEffect(() => {
+    executionsRef.current = executions
+  }, [executions])
+
+  useEffect(() => {
+    callbacksRef.current = { onReportUpdate, onExecutionFinished }
+  }, [onReportUpdate, onExecutionFinished])
+
+  useEffect(() => {
+    return reportsAPI.subscribeToReportUpdates((report) => {
+      callbacksRef.current.onReportUpdate?.(report)
+
+      const tracked = executionsRef.current[report.id]
+      if (!tracked || tracked.status !== 'running') return
+      if (report.status !== 'completed' && report.status !== 'failed') return
+
+      const finished = { status: report.status, report }
+      executionsRef.current = { ...executionsRef.current, [report.id]: finished }
+      setExecutions(prev => ({ ...prev, [report.id]: finished }))
+      callbacksRef.current.onExecutionFinished?.(report)
+    })
+  }, [])
+
+  const trackExecution = useCallback((id) => {
+    const running = { status: 'running', report: null }
+    executionsRef.current = { ...executionsRef.current, [id]: running }
+    setExecutions(prev => ({ ...prev, [id]: running }))
+  }, [])
+
+  const untrackExecution = useCallback((id) => {
+    const next = { ...executionsRef.current }
+    delete next[id]
+    executionsRef.current = next
+    setExecutions(prev => {
+      const updated = { ...prev }
+      delete updated[id]
+      return updated
+    })
+  }, [])
+
+  return {
+    executions,
+    trackExecution,
+    untrackExecution
+  }
+}
@@ -0,0 +1,68 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { reportsAPI } from '../services/reportsAPI'
+
+/**
+ * Loads one report's full record and activity history for the detail drawer
+ *
+ * Changing `reportId` drops the previous report's details straight away, so
+ * they're never shown against the wrong row. Changing `refreshKey` (e.g.
+ * the row's updatedAt) reloads them so the history picks up edits and runs.
+ *
+ * @param {number|null} reportId - Report to load; nothing is loaded when null
+ * @param {Object} options
+ * @param {any} options.refreshKey - Reload whenever this value changes
+ * @returns {Object} - { details, loading, error, refetch }; details is the
+ *   report with its `activity`, newest first
+ */
+export const useReportDetails = (reportId, { refreshKey } = {}) => {
+  const [details, setDetails] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Abort the previous request so a slow response can't land on another report
+  const requestRef = useRef(null)
+
+  const fetchDetails = useCallback(async () => {
+    requestRef.current?.abort()
+    setDetails(prev => (prev?.id === reportId ? prev : null))
+    setError(null)
+    if (reportId == null) {
+      requestRef.current = null
+      setLoading(false)
+      return
+    }
+
+    const controller = new AbortController()
+    requestRef.current = controller
+
+    try {
+      setLoading(true)
+
+      const response = await reportsAPI.getReport(reportId, { signal: controller.signal })
+      if (controller.signal.aborted) return
+      setDetails(response?.data || null)
+    } catch (err) {
+      if (controller.signal.aborted) return
+      setError(err.message || 'Failed to load report details')
+      console.error('Error fetching report details:', err)
+    } finally {
+      if (requestRef.current === controller) {
+        requestRef.current = null
+        setLoading(false)
+      }
+    }
+  }, [reportId])
+
+  useEffect(() => {
+    fetchDetails()
+  }, [fetchDetails, refreshKey])
+
+  useEffect(() => () => requestRef.current?.abort(), [])
+
+  return {
+    details,
+    loading,
+    error,
+    refetch: fetchDetails
+  }
+}
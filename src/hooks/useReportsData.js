@@ -1,60 +1,382 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import { reportsAPI } from '../services/reportsAPI'
+import { reportsCache } from '../services/reportsCache'
+import { ERROR_CODES, toReportsError } from '../services/reportsErrors'
+import { getSortParams } from '../lib/reportsQuery'
+import { withRetry } from '../lib/retry'
+import { parseTableState, serializeTableState, DEFAULT_PAGE_SIZE } from '../lib/tableUrlState'
+import { TITLE_MAX_LENGTH } from '../services/reportSchema'
 
-export const useReportsData = () => {
+// 'paged' shows one page at a time; 'infinite' appends successive pages
+// as the table scrolls
+export const TABLE_MODES = ['paged', 'infinite']
+
+const DEFAULT_TABLE_STATE = {
+  pageIndex: 0,
+  pageSize: DEFAULT_PAGE_SIZE,
+  sorting: [],
+  filters: {}
+}
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.syncWithUrl - Read initial pagination, sorting and
+ *   filters from the query string, push changes to it, and restore prior
+ *   views on back/forward navigation
+ * @param {Object} options.retryPolicy - Overrides for the getReports retry
+ *   policy ({ attempts, baseDelay, maxDelay }); read once on mount
+ * @param {Object} options.initialView - Saved view ({ filters, sorting,
+ *   pageSize }) to open with when the URL doesn't describe one; read once on mount
+ */
+export const useReportsData = ({ syncWithUrl = false, retryPolicy, initialView } = {}) => {
+  const [initialState] = useState(() => {
+    if (syncWithUrl && window.location.search) return parseTableState(window.location.search)
+    if (initialView) {
+      return {
+        ...DEFAULT_TABLE_STATE,
+        pageSize: initialView.pageSize ?? DEFAULT_TABLE_STATE.pageSize,
+        sorting: initialView.sorting,
+        filters: initialView.filters
+      }
+    }
+    return DEFAULT_TABLE_STATE
+  })
+  const [retryOptions] = useState(retryPolicy)
   const [data, setData] = useState([])
   const [loading, setLoading] = useState(false)
+  // True while a cached page is shown and being refreshed in the background
+  const [revalidating, setRevalidating] = useState(false)
+  // Last load failure as a ReportsAPIError; branch on `error.code`
   const [error, setError] = useState(null)
+  // { attempt, attempts } while a failed page load is waiting to be retried
+  const [retrying, setRetrying] = useState(null)
   const [pagination, setPagination] = useState({
-    pageIndex: 0,
-    pageSize: 10,
+    pageIndex: initialState.pageIndex,
+    pageSize: initialState.pageSize,
     pageCount: 0,
   })
-  const [sorting, setSorting] = useState([])
-  const [filters, setFilters] = useState({})
+  const [sorting, setSorting] = useState(initialState.sorting)
+  const [filters, setFilters] = useState(initialState.filters)
+  const [mode, setMode] = useState('paged')
+  // Reports matching the query, and how many of them have been loaded
+  const [totalCount, setTotalCount] = useState(0)
+  const [loadedCount, setLoadedCount] = useState(0)
+  const [loadingMore, setLoadingMore] = useState(false)
+  // Map of report id -> action name for row actions still in flight
+  const [pendingActions, setPendingActions] = useState({})
+  // TanStack row selection keyed by report id; survives page changes
+  const [rowSelection, setRowSelection] = useState({})
+  const [selectingAll, setSelectingAll] = useState(false)
+  // Bumped whenever reports change (mutations, pushed updates, resets,
+  // explicit refetches) but not when another page is merely loaded, so
+  // derived views like the summary know when to reload
+  const [dataVersion, setDataVersion] = useState(0)
+  const markChanged = useCallback(() => setDataVersion(version => version + 1), [])
+
+  // Only the most recent request may update state; starting a new one aborts
+  // the previous so a slow, superseded response can never overwrite newer data
+  const requestRef = useRef(null)
+  const prefetchRef = useRef(null)
+  const loadMoreRef = useRef(null)
+
+  // In infinite mode, how many pages are loaded. A ref rather than state:
+  // loading another page appends to the data instead of refetching it.
+  // Starts over whenever the query itself changes.
+  const loadedPagesRef = useRef(1)
+  const queryKeyRef = useRef(null)
+
+  // The current page as the server last described it. What's on screen is
+  // this with every optimistic change still awaiting the server laid over
+  // it (report id -> { type: 'update', updates } | { type: 'delete' }), so
+  // a refetch landing mid-mutation can't resurrect or revert a row.
+  const serverDataRef = useRef([])
+  const optimisticRef = useRef(new Map())
+
+  const showReports = useCallback((reports) => {
+    serverDataRef.current = reports
+    setLoadedCount(reports.length)
+    setData(reports.flatMap((report) => {
+      const change = optimisticRef.current.get(report.id)
+      if (!change) return [report]
+      return change.type === 'delete' ? [] : [{ ...report, ...change.updates }]
+    }))
+  }, [])
+
+  // Set when the page is corrected rather than chosen, so the URL is
+  // replaced instead of gaining a history entry
+  const replaceUrlRef = useRef(false)
+
+  const applyResponse = useCallback((response, requestedPage = 1) => {
+    // Safely extract data from response
+    if (response && response.data) {
+      showReports(response.data.reports || [])
+      if (response.data.pagination) {
+        const pageCount = response.data.pagination.totalPages || 0
+        const lastPage = Math.max(pageCount, 1)
+        setTotalCount(response.data.pagination.totalCount || 0)
+        // A page past the end (e.g. a stale ?page=999) moves to the last one
+        if (requestedPage > lastPage) replaceUrlRef.current = true
+        setPagination(prev => ({
+          ...prev,
+          pageCount,
+          pageIndex: requestedPage > lastPage ? lastPage - 1 : prev.pageIndex
+        }))
+      }
+    } else {
+      showReports([])
+      console.warn('Unexpected API response structure:', response)
+    }
+  }, [showReports])
+
+  // Warm the cache with the page after this one so "Next" is instant
+  const prefetchNextPage = useCallback((params, response) => {
+    if (!response?.data?.pagination?.hasNextPage) return
+
+    const nextParams = { ...params, page: params.page + 1 }
+    if (reportsCache.isFresh(reportsCache.get(nextParams))) return
+
+    prefetchRef.current?.abort()
+    const controller = new AbortController()
+    prefetchRef.current = controller
+
+    reportsAPI.getReports({ ...nextParams, signal: controller.signal })
+      .then((nextResponse) => {
+        if (!controller.signal.aborted && nextResponse?.data) {
+          reportsCache.set(nextParams, nextResponse)
+        }
+      })
+      .catch(() => {
+        // Prefetching is best-effort; the page is fetched normally when visited
+      })
+  }, [])
+
+  // getReports params for the active query, minus the page
+  const getQueryParams = useCallback(() => ({
+    ...getSortParams(sorting),
+    filters,
+    search: filters.search || ''
+  }), [sorting, filters])
+
+  /**
+   * Loads the current page, stale-while-revalidate: a cached response is
+   * shown immediately and, unless it is still fresh, refreshed in the
+   * background. `force` always goes to the network (used by refetch).
+   * Transient failures are retried with backoff; on final failure whatever
+   * is on screen stays there and `error` is set alongside it.
+   *
+   * In infinite mode every page loaded so far is (re)loaded as one request,
+   * so refreshes keep the rows already scrolled through.
+   */
+  const fetchReports = useCallback(async ({ force = false } = {}) => {
+    requestRef.current?.abort()
+    // A refresh replaces the loaded rows; an append landing after it would
+    // be out of step with them
+    loadMoreRef.current?.abort()
+    const controller = new AbortController()
+    requestRef.current = controller
+
+    const queryKey = JSON.stringify([sorting, filters, pagination.pageSize])
+    if (queryKeyRef.current !== queryKey) {
+      queryKeyRef.current = queryKey
+      loadedPagesRef.current = 1
+    }
+
+    const infinite = mode === 'infinite'
+    const params = {
+      page: infinite ? 1 : pagination.pageIndex + 1,
+      pageSize: infinite ? pagination.pageSize * loadedPagesRef.current : pagination.pageSize,
+      ...getQueryParams()
+    }
+    // Infinite mode warms the page it would append next
+    const prefetchParams = infinite
+      ? { ...params, page: loadedPagesRef.current, pageSize: pagination.pageSize }
+      : params
+
+    const cached = reportsCache.get(params)
+    if (cached) {
+      applyResponse(cached.response, params.page)
+      setError(null)
+
+      if (!force && reportsCache.isFresh(cached)) {
+        requestRef.current = null
+        setLoading(false)
+        setRevalidating(false)
+        setRetrying(null)
+        prefetchNextPage(prefetchParams, cached.response)
+        return
+      }
+    }
 
-  const fetchReports = useCallback(async () => {
     try {
-      setLoading(true)
+      // Only block the table when there is nothing cached to show
+      setLoading(!cached)
+      setRevalidating(Boolean(cached))
       setError(null)
+      setRetrying(null)
       
-      const sortBy = sorting.length > 0 ? sorting[0].id : 'createdAt'
-      const sortOrder = sorting.length > 0 ? (sorting[0].desc ? 'desc' : 'asc') : 'desc'
+      const response = await withRetry(
+        () => reportsAPI.getReports({ ...params, signal: controller.signal }),
+        {
+          ...retryOptions,
+          signal: controller.signal,
+          onRetry: ({ attempt, attempts }) => setRetrying({ attempt, attempts })
+        }
+      )
       
-      const response = await reportsAPI.getReports({
-        page: pagination.pageIndex + 1,
-        pageSize: pagination.pageSize,
-        sortBy,
-        sortOrder,
-        filters,
-        search: filters.search || ''
-      })
+      // Guard against implementations that resolve despite being aborted
+      if (controller.signal.aborted) return
       
-      // Safely extract data from response
-      if (response && response.data) {
-        setData(response.data.reports || [])
-        if (response.data.pagination) {
-          setPagination(prev => ({
-            ...prev,
-            pageCount: response.data.pagination.totalPages || 0
-          }))
-        }
-      } else {
-        setData([])
-        console.warn('Unexpected API response structure:', response)
+      if (response?.data) {
+        reportsCache.set(params, response)
       }
+      applyResponse(response, params.page)
+      prefetchNextPage(prefetchParams, response)
     } catch (err) {
-      setError(err.message || 'Failed to fetch reports')
-      console.error('Error fetching reports:', err)
+      if (controller.signal.aborted) return
+      // A failed revalidation keeps showing the cached page; it will be
+      // revalidated on the next visit
+      if (!cached) {
+        setError(toReportsError(err))
+        console.error('Error fetching reports:', err)
+      }
     } finally {
-      setLoading(false)
+      if (requestRef.current === controller) {
+        requestRef.current = null
+        setLoading(false)
+        setRevalidating(false)
+        setRetrying(null)
+      }
     }
-  }, [pagination.pageIndex, pagination.pageSize, sorting, filters])
+  }, [mode, pagination.pageIndex, pagination.pageSize, sorting, filters, getQueryParams, retryOptions, applyResponse, prefetchNextPage])
+
+  /**
+   * Infinite mode: appends the next page to the loaded rows. Does nothing
+   * while the rows are (re)loading, another page is on its way, or every
+   * matching report is already loaded.
+   */
+  const loadMore = useCallback(async () => {
+    if (mode !== 'infinite' || requestRef.current || loadMoreRef.current) return
+    if (serverDataRef.current.length >= totalCount) return
+
+    const controller = new AbortController()
+    loadMoreRef.current = controller
+    const params = { page: loadedPagesRef.current + 1, pageSize: pagination.pageSize, ...getQueryParams() }
+
+    try {
+      setLoadingMore(true)
+      setError(null)
+
+      const cached = reportsCache.get(params)
+      const response = reportsCache.isFresh(cached)
+        ? cached.response
+        : await withRetry(
+          () => reportsAPI.getReports({ ...params, signal: controller.signal }),
+          { ...retryOptions, signal: controller.signal }
+        )
+
+      if (controller.signal.aborted) return
+
+      if (response?.data) {
+        reportsCache.set(params, response)
+        loadedPagesRef.current = params.page
+        // Rows can shift between pages as reports change; don't show one twice
+        const loaded = new Set(serverDataRef.current.map(report => report.id))
+        showReports([
+          ...serverDataRef.current,
+          ...(response.data.reports || []).filter(report => !loaded.has(report.id))
+        ])
+        setTotalCount(response.data.pagination?.totalCount ?? totalCount)
+        prefetchNextPage(params, response)
+      }
+    } catch (err) {
+      if (controller.signal.aborted) return
+      setError(toReportsError(err))
+      console.error('Error loading more reports:', err)
+    } finally {
+      if (loadMoreRef.current === controller) {
+        loadMoreRef.current = null
+        setLoadingMore(false)
+      }
+    }
+  }, [mode, totalCount, pagination.pageSize, getQueryParams, retryOptions, showReports, prefetchNextPage])
+
+  /**
+   * Switches between paged and infinite mode, keeping the same rows in view:
+   * infinite mode loads every page up to `rowIndex`'s, and paged mode opens
+   * on the page containing it.
+   *
+   * @param {string} nextMode - One of TABLE_MODES
+   * @param {Object} options
+   * @param {number} options.rowIndex - Index of the first row in view
+   */
+  const changeMode = useCallback((nextMode, { rowIndex = 0 } = {}) => {
+    const pageIndex = Math.floor(rowIndex / pagination.pageSize)
+    if (nextMode === 'infinite') {
+      loadedPagesRef.current = pageIndex + 1
+      setPagination(prev => ({ ...prev, pageIndex: 0 }))
+    } else {
+      setPagination(prev => ({ ...prev, pageIndex }))
+    }
+    setMode(nextMode)
+  }, [pagination.pageSize])
 
   useEffect(() => {
     fetchReports()
   }, [fetchReports])
 
+  // Abort whatever is still in flight on unmount
+  useEffect(() => () => {
+    requestRef.current?.abort()
+    prefetchRef.current?.abort()
+    loadMoreRef.current?.abort()
+  }, [])
+
+  // Mirror table state into the query string. The first write replaces the
+  // entry (it only normalizes whatever params we loaded with), as does a
+  // page moved back within range; later ones push so back/forward steps
+  // through prior views.
+  const hasSyncedUrlRef = useRef(false)
+  useEffect(() => {
+    if (!syncWithUrl) return
+    const isCorrection = replaceUrlRef.current
+    replaceUrlRef.current = false
+
+    const query = serializeTableState({
+      pageIndex: pagination.pageIndex,
+      pageSize: pagination.pageSize,
+      sorting,
+      filters
+    })
+    const search = query ? `?${query}` : ''
+    if (search === window.location.search) {
+      hasSyncedUrlRef.current = true
+      return
+    }
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`
+    if (hasSyncedUrlRef.current && !isCorrection) {
+      window.history.pushState(null, '', url)
+    } else {
+      window.history.replaceState(null, '', url)
+      hasSyncedUrlRef.current = true
+    }
+  }, [syncWithUrl, pagination.pageIndex, pagination.pageSize, sorting, filters])
+
+  // Restore the view from the URL on back/forward navigation
+  useEffect(() => {
+    if (!syncWithUrl) return
+
+    const handlePopState = () => {
+      const state = parseTableState(window.location.search)
+      setPagination(prev => ({ ...prev, pageIndex: state.pageIndex, pageSize: state.pageSize }))
+      setSorting(state.sorting)
+      setFilters(state.filters)
+      setRowSelection({})
+    }
+    window.addEventListener('popstate', handlePopState)
+    return () => window.removeEventListener('popstate', handlePopState)
+  }, [syncWithUrl])
+
   const onPaginationChange = useCallback((updater) => {
     setPagination(prev => {
       const newPagination = typeof updater === 'function' ? updater(prev) : updater
@@ -72,18 +394,211 @@ export const useReportsData = () => {
   const applyFilters = useCallback((newFilters) => {
     setFilters(newFilters)
     setPagination(prev => ({ ...prev, pageIndex: 0 })) // Reset to first page
+    setRowSelection({}) // A selection only makes sense for the filters it was made under
   }, [])
 
+  const onRowSelectionChange = useCallback((updater) => {
+    setRowSelection(prev => (typeof updater === 'function' ? updater(prev) : updater))
+  }, [])
+
+  const clearSelection = useCallback(() => setRowSelection({}), [])
+
+  // Select every report matching the active filters, not just this page
+  const selectAllMatching = useCallback(async () => {
+    try {
+      setSelectingAll(true)
+      const response = await reportsAPI.getReportIds({ filters, search: filters.search || '' })
+      setRowSelection(Object.fromEntries((response?.data || []).map(id => [String(id), true])))
+    } finally {
+      setSelectingAll(false)
+    }
+  }, [filters])
+
+  const refetch = useCallback(() => {
+    markChanged()
+    return fetchReports({ force: true })
+  }, [fetchReports, markChanged])
+
+  // Merges a server-pushed report into the current page without refetching
+  const patchReport = useCallback((report) => {
+    reportsCache.invalidateReport(report)
+    showReports(serverDataRef.current.map(row => (row.id === report.id ? { ...row, ...report } : row)))
+    markChanged()
+  }, [showReports, markChanged])
+
+  // Brings the page back in line with the server after a mutation on report
+  // `id` failed because the row is out of date, then rethrows: a missing
+  // report is dropped (and the page refetched), a conflicting one is
+  // patched in place
+  const rethrowMutationError = useCallback((err, id) => {
+    if (err?.code === ERROR_CODES.NOT_FOUND) {
+      reportsCache.invalidateReport({ id })
+      reportsCache.applyReport({ id }, { deleted: true })
+      showReports(serverDataRef.current.filter(row => row.id !== id))
+      markChanged()
+      fetchReports()
+    } else if (err?.code === ERROR_CODES.CONFLICT && err.report) {
+      patchReport(err.report)
+    }
+    throw err
+  }, [showReports, fetchReports, patchReport, markChanged])
+
+  // Mutations resolve with the saved report and refresh the current page;
+  // errors are rethrown so the caller (e.g. the report form) can show them
+  const createReport = useCallback(async (reportData) => {
+    const response = await reportsAPI.createReport(reportData)
+    reportsCache.invalidateReport(response.data)
+    markChanged()
+    await fetchReports()
+    return response.data
+  }, [fetchReports, markChanged])
+
+  /**
+   * Shows `change` to report `id` straight away, then runs `request`. On
+   * success the row and cached pages take the server's version (e.g. its new
+   * updatedAt) and the page is refreshed in the background; on failure the
+   * change is rolled back before the error is rethrown.
+   *
+   * @param {number} id
+   * @param {Object} change - { type: 'update', updates } or { type: 'delete' }
+   * @param {Function} request - Performs the API call
+   * @returns {Promise<Object>} - The saved (or deleted) report
+   */
+  const mutateOptimistically = useCallback(async (id, change, request) => {
+    const deleted = change.type === 'delete'
+    // Clears the change unless a newer one to the same report replaced it
+    const settle = () => {
+      if (optimisticRef.current.get(id) === change) optimisticRef.current.delete(id)
+    }
+
+    optimisticRef.current.set(id, change)
+    showReports(serverDataRef.current)
+
+    let response
+    try {
+      response = await request()
+    } catch (err) {
+      settle()
+      showReports(serverDataRef.current)
+      return rethrowMutationError(err, id)
+    }
+
+    settle()
+    const saved = response.data
+    reportsCache.invalidateReport(saved)
+    reportsCache.applyReport(saved, { deleted })
+    showReports(deleted
+      ? serverDataRef.current.filter(row => row.id !== id)
+      : serverDataRef.current.map(row => (row.id === id ? { ...row, ...saved } : row)))
+    markChanged()
+    fetchReports()
+    return saved
+  }, [showReports, fetchReports, rethrowMutationError, markChanged])
+
+  /**
+   * Applied optimistically; see mutateOptimistically
+   *
+   * @param {number} id
+   * @param {Object} updates
+   * @param {Object} options - Passed to the API, e.g. { expectedUpdatedAt }
+   */
+  const updateReport = useCallback((id, updates, options) => (
+    mutateOptimistically(id, { type: 'update', updates }, () => (
+      reportsAPI.updateReport(id, updates, options)
+    ))
+  ), [mutateOptimistically])
+
+  // Runs a row action while marking the row as pending
+  const withPendingAction = useCallback(async (id, action, run) => {
+    setPendingActions(prev => ({ ...prev, [id]: action }))
+    try {
+      return await run()
+    } finally {
+      setPendingActions(prev => {
+        const next = { ...prev }
+        delete next[id]
+        return next
+      })
+    }
+  }, [])
+
+  // Row actions whose result only shows once the server confirms it
+  const runPessimisticAction = useCallback((id, action, request) => (
+    withPendingAction(id, action, async () => {
+      try {
+        const response = await request()
+        reportsCache.invalidateReport(response.data)
+        markChanged()
+        await fetchReports()
+        return response.data
+      } catch (err) {
+        return rethrowMutationError(err, id)
+      }
+    })
+  ), [withPendingAction, fetchReports, rethrowMutationError, markChanged])
+
+  // The row disappears immediately and comes back if the delete fails
+  const deleteReport = useCallback((id) => (
+    withPendingAction(id, 'delete', () => (
+      mutateOptimistically(id, { type: 'delete' }, () => reportsAPI.deleteReport(id))
+    ))
+  ), [withPendingAction, mutateOptimistically])
+
+  const executeReport = useCallback((id) => (
+    runPessimisticAction(id, 'execute', () => reportsAPI.executeReport(id))
+  ), [runPessimisticAction])
+
+  const duplicateReport = useCallback((report) => (
+    runPessimisticAction(report.id, 'duplicate', () => reportsAPI.createReport({
+      title: `${report.title} (copy)`.slice(0, TITLE_MAX_LENGTH),
+      department: report.department,
+      type: report.type,
+      priority: report.priority,
+      status: 'draft'
+    }))
+  ), [runPessimisticAction])
+
+  // Restores the generated demo data, dropping everything cached or selected
+  const resetDemoData = useCallback(async () => {
+    await reportsAPI.resetDemoData()
+    reportsCache.clear()
+    setRowSelection({})
+    markChanged()
+    await fetchReports({ force: true })
+  }, [fetchReports, markChanged])
+
   return {
     data,
+    dataVersion,
     loading,
+    revalidating,
     error,
+    retrying,
     pagination,
     sorting,
     filters,
+    mode,
+    changeMode,
+    totalCount,
+    hasMore: mode === 'infinite' && loadedCount < totalCount,
+    loadingMore,
+    loadMore,
     onPaginationChange,
     onSortingChange,
     applyFilters,
-    refetch: fetchReports
+    pendingActions,
+    rowSelection,
+    selectingAll,
+    onRowSelectionChange,
+    selectAllMatching,
+    clearSelection,
+    createReport,
+    updateReport,
+    deleteReport,
+    executeReport,
+    duplicateReport,
+    patchReport,
+    resetDemoData,
+    refetch
   }
 }
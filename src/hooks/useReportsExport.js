@@ -0,0 +1,73 @@
+import { useState, useRef, useCallback, useEffect } from 'react'
+import { fetchAllReports } from '../lib/reportsQuery'
+import { exportAsCSV, formatReportsForCSV, getReportsCSVHeaders, DEFAULT_REPORTS_CSV_FIELDS } from '../lib/csvExport'
+
+/**
+ * Exports every report matching the current filters, search and sorting
+ *
+ * Walks all pages of `reportsAPI.getReports` rather than using the rows
+ * currently shown in the table, reporting progress as pages arrive. An
+ * in-flight export can be cancelled, in which case no file is written.
+ *
+ * @param {Object} options
+ * @param {Object} options.filters - Active filters from useReportsData
+ * @param {Array} options.sorting - Active sorting from useReportsData
+ * @param {Array} options.columns - Report fields to export, in order, e.g. the
+ *   table's visible columns (default: DEFAULT_REPORTS_CSV_FIELDS)
+ * @returns {Object} - { exportCSV, cancelExport, exporting, progress }
+ */
+export const useReportsExport = ({ filters, sorting, columns = DEFAULT_REPORTS_CSV_FIELDS }) => {
+  const [exporting, setExporting] = useState(false)
+  const [progress, setProgress] = useState(null)
+  const controllerRef = useRef(null)
+
+  // Abort any export still running when the component unmounts
+  useEffect(() => () => controllerRef.current?.abort(), [])
+
+  const exportCSV = useCallback(async () => {
+    controllerRef.current?.abort()
+    const controller = new AbortController()
+    controllerRef.current = controller
+
+    try {
+      setExporting(true)
+      setProgress({ loaded: 0, total: null })
+
+      const reports = await fetchAllReports({
+        filters,
+        sorting,
+        signal: controller.signal,
+        onProgress: setProgress
+      })
+
+      if (reports.length === 0) {
+        throw new Error('No data to export')
+      }
+
+      const result = exportAsCSV(
+        formatReportsForCSV(reports, columns),
+        'reports-export',
+        getReportsCSVHeaders(columns)
+      )
+
+      return { ...result, count: reports.length }
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null
+        setExporting(false)
+        setProgress(null)
+      }
+    }
+  }, [filters, sorting, columns])
+
+  const cancelExport = useCallback(() => {
+    controllerRef.current?.abort()
+  }, [])
+
+  return {
+    exportCSV,
+    cancelExport,
+    exporting,
+    progress
+  }
+}
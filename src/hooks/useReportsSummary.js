@@ -0,0 +1,65 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { reportsAPI } from '../services/reportsAPI'
+
+/**
+ * Loads report totals by status and department
+ *
+ * When `respectFilters` is set the summary is computed over the same
+ * filters and search as the table, so it describes the current result set;
+ * otherwise it covers every report. Changing `refreshKey` (e.g. the table's
+ * data) refetches so counts stay in step with mutations.
+ *
+ * @param {Object} options
+ * @param {Object} options.filters - Active filters from useReportsData
+ * @param {boolean} options.respectFilters - Scope the summary to the filters
+ * @param {any} options.refreshKey - Refetch whenever this value changes
+ * @returns {Object} - { summary, loading, error, refetch }
+ */
+export const useReportsSummary = ({ filters = {}, respectFilters = false, refreshKey } = {}) => {
+  const [summary, setSummary] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Abort the previous request so an older summary can't replace a newer one
+  const requestRef = useRef(null)
+
+  const fetchSummary = useCallback(async () => {
+    requestRef.current?.abort()
+    const controller = new AbortController()
+    requestRef.current = controller
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const response = await reportsAPI.getReportsSummary({
+        ...(respectFilters && { filters, search: filters.search || '' }),
+        signal: controller.signal
+      })
+      if (controller.signal.aborted) return
+      setSummary(response?.data || null)
+    } catch (err) {
+      if (controller.signal.aborted) return
+      setError(err.message || 'Failed to fetch summary')
+      console.error('Error fetching reports summary:', err)
+    } finally {
+      if (requestRef.current === controller) {
+        requestRef.current = null
+        setLoading(false)
+      }
+    }
+  }, [filters, respectFilters])
+
+  useEffect(() => {
+    fetchSummary()
+  }, [fetchSummary, refreshKey])
+
+  useEffect(() => () => requestRef.current?.abort(), [])
+
+  return {
+    summary,
+    loading,
+    error,
+    refetch: fetchSummary
+  }
+}
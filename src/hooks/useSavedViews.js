@@ -0,0 +1,93 @@
+import { useState, useEffect, useCallback } from 'react'
+import { readJSON, writeJSON } from '../lib/storage'
+import { normalizeFilters } from '../services/reportFilters'
+
+export const SAVED_VIEWS_STORAGE_KEY = 'reports:savedViews'
+
+const EMPTY_STORE = { views: [], defaultViewId: null }
+
+const loadStore = () => {
+  const stored = readJSON(SAVED_VIEWS_STORAGE_KEY, EMPTY_STORE)
+  // Ignore anything that isn't shaped like a saved views store
+  if (!stored || !Array.isArray(stored.views)) return EMPTY_STORE
+  return { views: stored.views, defaultViewId: stored.defaultViewId ?? null }
+}
+
+/**
+ * Builds the part of the table state a view captures
+ *
+ * @param {Object} state - { filters, sorting, pageSize, columnVisibility }
+ * @returns {Object} - Normalized view snapshot
+ */
+export const createViewSnapshot = ({ filters = {}, sorting = [], pageSize, columnVisibility = {} }) => ({
+  // Normalized so equivalent views compare equal
+  filters: normalizeFilters(filters),
+  sorting: sorting.map(({ id, desc }) => ({ id, desc })),
+  pageSize,
+  columnVisibility: { ...columnVisibility }
+})
+
+/**
+ * @param {Object} view - A saved view
+ * @param {Object} snapshot - Snapshot of the current table state
+ * @returns {boolean} - Whether the table currently shows exactly this view
+ */
+export const viewMatchesSnapshot = (view, snapshot) => (
+  JSON.stringify(createViewSnapshot(view)) === JSON.stringify(snapshot)
+)
+
+/**
+ * Named filter/sort presets persisted to localStorage
+ *
+ * @returns {Object} - { views, defaultView, saveView, renameView, deleteView, setDefaultView }
+ */
+export const useSavedViews = () => {
+  const [store, setStore] = useState(loadStore)
+
+  useEffect(() => {
+    writeJSON(SAVED_VIEWS_STORAGE_KEY, store)
+  }, [store])
+
+  /**
+   * @param {string} name - Display name
+   * @param {Object} snapshot - From createViewSnapshot
+   * @returns {Object} - The saved view
+   */
+  const saveView = useCallback((name, snapshot) => {
+    const view = {
+      id: `view-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: name.trim(),
+      ...snapshot
+    }
+    setStore(prev => ({ ...prev, views: [...prev.views, view] }))
+    return view
+  }, [])
+
+  const renameView = useCallback((id, name) => {
+    setStore(prev => ({
+      ...prev,
+      views: prev.views.map(view => (view.id === id ? { ...view, name: name.trim() } : view))
+    }))
+  }, [])
+
+  const deleteView = useCallback((id) => {
+    setStore(prev => ({
+      views: prev.views.filter(view => view.id !== id),
+      defaultViewId: prev.defaultViewId === id ? null : prev.defaultViewId
+    }))
+  }, [])
+
+  // Pass null to clear the default
+  const setDefaultView = useCallback((id) => {
+    setStore(prev => ({ ...prev, defaultViewId: id }))
+  }, [])
+
+  return {
+    views: store.views,
+    defaultView: store.views.find(view => view.id === store.defaultViewId) || null,
+    saveView,
+    renameView,
+    deleteView,
+    setDefaultView
+  }
+}
@@ -0,0 +1,47 @@
+import { useState, useCallback, useRef, useEffect } from 'react'
+
+const DEFAULT_DURATION = 5000
+
+/**
+ * Manages a stack of transient toast notifications
+ *
+ * Toasts dismiss themselves after `duration` milliseconds (pass 0 to keep
+ * one open until dismissed) and can be dismissed early by id. An optional
+ * `action` ({ label, onClick }) renders a button that runs it and dismisses
+ * the toast.
+ *
+ * @returns {Object} - { toasts, showToast, dismissToast }
+ */
+export const useToasts = () => {
+  const [toasts, setToasts] = useState([])
+  const timersRef = useRef(new Map())
+  const nextIdRef = useRef(1)
+
+  const dismissToast = useCallback((id) => {
+    clearTimeout(timersRef.current.get(id))
+    timersRef.current.delete(id)
+    setToasts(prev => prev.filter(toast => toast.id !== id))
+  }, [])
+
+  const showToast = useCallback(({ type = 'info', title = '', message, action = null, duration = DEFAULT_DURATION }) => {
+    const id = nextIdRef.current++
+    setToasts(prev => [...prev, { id, type, title, message, action }])
+
+    if (duration > 0) {
+      timersRef.current.set(id, setTimeout(() => dismissToast(id), duration))
+    }
+    return id
+  }, [dismissToast])
+
+  // Clear pending timers on unmount
+  useEffect(() => {
+    const timers = timersRef.current
+    return () => timers.forEach(timer => clearTimeout(timer))
+  }, [])
+
+  return {
+    toasts,
+    showToast,
+    dismissToast
+  }
+}
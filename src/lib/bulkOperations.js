@@ -0,0 +1,46 @@
+/**
+ * Bulk operation runner
+ *
+ * Splits a list of report ids into chunks and sends each chunk to a bulk
+ * API endpoint, so large selections make a handful of requests instead of
+ * one per report while still reporting combined progress. Per-item
+ * failures returned by the API and whole-chunk failures (e.g. a network
+ * error) are both collected into a single `failed` list of
+ * `{ id, error, code }`, where `code` is the API error code.
+ */
+
+export const BULK_CHUNK_SIZE = 25
+
+/**
+ * Runs a bulk API call over all ids, chunk by chunk
+ *
+ * @param {Array} ids - Report ids to operate on
+ * @param {Function} request - Called with a chunk of ids; resolves with
+ *   the API response `{ data: { succeeded, failed } }`
+ * @param {Object} options
+ * @param {number} options.chunkSize - Ids per request (default: 25)
+ * @param {Function} options.onProgress - Called with { done, total } after each chunk
+ * @returns {Promise<{ succeeded: Array, failed: Array }>}
+ */
+export const runBulkOperation = async (ids, request, { chunkSize = BULK_CHUNK_SIZE, onProgress } = {}) => {
+  const result = { succeeded: [], failed: [] }
+  const total = ids.length
+
+  onProgress?.({ done: 0, total })
+
+  for (let start = 0; start < total; start += chunkSize) {
+    const chunk = ids.slice(start, start + chunkSize)
+
+    try {
+      const response = await request(chunk)
+      result.succeeded.push(...(response?.data?.succeeded || []))
+      result.failed.push(...(response?.data?.failed || []))
+    } catch (err) {
+      result.failed.push(...chunk.map(id => ({ id, error: err.message || 'Request failed', code: err.code })))
+    }
+
+    onProgress?.({ done: Math.min(start + chunkSize, total), total })
+  }
+
+  return result
+}
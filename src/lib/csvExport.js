@@ -6,6 +6,8 @@
  * structure and handle proper CSV formatting with headers.
  */
 
+import { formatFileSize, formatDuration } from './formatMetrics';
+
 /**
  * Escapes special characters in CSV data
  * @param {string} value - The value to escape
@@ -148,14 +150,56 @@ export const exportAsCSV = (data, baseFilename = 'export', headers = null) => {
   }
 };
 
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '');
+
+/**
+ * Report fields that can be exported, keyed by field name (the same ids the
+ * table's columns use), with their CSV column name and cell formatting
+ */
+export const REPORT_CSV_COLUMNS = {
+  id: { header: 'ID', format: report => report.id },
+  title: { header: 'Title', format: report => report.title },
+  type: { header: 'Type', format: report => report.type },
+  status: { header: 'Status', format: report => report.status },
+  department: { header: 'Department', format: report => report.department },
+  priority: { header: 'Priority', format: report => report.priority },
+  author: { header: 'Author', format: report => report.author },
+  createdAt: { header: 'Created Date', format: report => formatDate(report.createdAt) },
+  updatedAt: { header: 'Updated Date', format: report => formatDate(report.updatedAt) },
+  recordCount: { header: 'Record Count', format: report => report.recordCount || '' },
+  fileSize: { header: 'File Size', format: report => (report.fileSize ? formatFileSize(report.fileSize) : '') },
+  executionTime: { header: 'Execution Time', format: report => (report.executionTime ? formatDuration(report.executionTime) : '') }
+};
+
+/**
+ * Fields exported when no columns are given, in order
+ */
+export const DEFAULT_REPORTS_CSV_FIELDS = [
+  'id',
+  'title',
+  'status',
+  'department',
+  'priority',
+  'author',
+  'createdAt',
+  'updatedAt',
+  'recordCount',
+  'fileSize',
+  'executionTime'
+];
+
+// Unknown fields (e.g. table-only columns like row selection) are skipped
+const toCSVColumns = (fields) => fields.filter(field => REPORT_CSV_COLUMNS[field]).map(field => REPORT_CSV_COLUMNS[field]);
+
 /**
  * Formats report data for CSV export
  * Maps internal data structure to user-friendly column names
  * 
  * @param {Array} reports - Array of report objects
+ * @param {Array} fields - Report fields to include (default: DEFAULT_REPORTS_CSV_FIELDS)
  * @returns {Array} - Formatted data ready for CSV export
  */
-export const formatReportsForCSV = (reports) => {
+export const formatReportsForCSV = (reports, fields = DEFAULT_REPORTS_CSV_FIELDS) => {
   console.log('formatReportsForCSV: Formatting reports data', { count: reports?.length });
   
   if (!reports || reports.length === 0) {
@@ -163,43 +207,31 @@ export const formatReportsForCSV = (reports) => {
   }
   
   // Map internal field names to user-friendly column names and format data
-  return reports.map(report => ({
-    'ID': report.id,
-    'Title': report.title,
-    'Status': report.status,
-    'Department': report.department,
-    'Priority': report.priority,
-    'Author': report.author,
-    'Created Date': report.createdAt ? new Date(report.createdAt).toLocaleDateString() : '',
-    'Updated Date': report.updatedAt ? new Date(report.updatedAt).toLocaleDateString() : '',
-    'Record Count': report.recordCount || '',
-    'File Size': report.fileSize || '',
-    'Execution Time': report.executionTime || ''
-  }));
+  const columns = toCSVColumns(fields);
+  return reports.map(report => Object.fromEntries(
+    columns.map(({ header, format }) => [header, format(report)])
+  ));
 };
 
+/**
+ * CSV column names for a set of report fields, in the order given
+ * 
+ * @param {Array} fields - Report fields (default: DEFAULT_REPORTS_CSV_FIELDS)
+ * @returns {Array} - Headers to pass to convertToCSV/exportAsCSV
+ */
+export const getReportsCSVHeaders = (fields = DEFAULT_REPORTS_CSV_FIELDS) => toCSVColumns(fields).map(({ header }) => header);
+
 /**
  * Custom headers for reports CSV export
  * Defines the column order and names for the CSV file
  */
-export const REPORTS_CSV_HEADERS = [
-  'ID',
-  'Title',
-  'Status',
-  'Department',
-  'Priority',
-  'Author',
-  'Created Date',
-  'Updated Date',
-  'Record Count',
-  'File Size',
-  'Execution Time'
-];
+export const REPORTS_CSV_HEADERS = getReportsCSVHeaders();
 
 export default {
   convertToCSV,
   downloadFile,
   exportAsCSV,
   formatReportsForCSV,
+  getReportsCSVHeaders,
   REPORTS_CSV_HEADERS
 };
\ No newline at end of file
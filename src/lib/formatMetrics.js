@@ -0,0 +1,44 @@
+/**
+ * Execution metric formatting
+ *
+ * Reports store their execution metrics as plain numbers (records, bytes
+ * and milliseconds) so they sort and compare correctly; units are only
+ * added here, when a metric is shown.
+ */
+
+const FILE_SIZE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB']
+
+/**
+ * @param {number} count - Number of records
+ * @returns {string} - e.g. '12,345'
+ */
+export const formatRecordCount = (count) => Number(count || 0).toLocaleString()
+
+/**
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. '512 B', '9.5 MB' (binary units)
+ */
+export const formatFileSize = (bytes) => {
+  let value = Number(bytes || 0)
+  let unit = 0
+  while (value >= 1024 && unit < FILE_SIZE_UNITS.length - 1) {
+    value /= 1024
+    unit++
+  }
+  return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${FILE_SIZE_UNITS[unit]}`
+}
+
+/**
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - e.g. '850ms', '9.2s', '2m 30s'
+ */
+export const formatDuration = (ms) => {
+  const value = Number(ms || 0)
+  if (value < 1000) return `${Math.round(value)}ms`
+  if (value < 60000) return `${(value / 1000).toFixed(1)}s`
+
+  const totalSeconds = Math.round(value / 1000)
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = totalSeconds % 60
+  return seconds ? `${minutes}m ${seconds}s` : `${minutes}m`
+}
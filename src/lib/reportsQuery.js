@@ -0,0 +1,90 @@
+import { reportsAPI } from '../services/reportsAPI'
+import { DEFAULT_SORT } from '../services/reportSorting'
+import { withRetry } from './retry'
+
+/**
+ * Reports query helpers
+ *
+ * Translates table state (TanStack sorting, filter form values) into
+ * `reportsAPI.getReports` parameters, and walks every page of a query
+ * when the caller needs the complete result set rather than one page.
+ */
+
+const EXPORT_PAGE_SIZE = 100
+
+/**
+ * Converts TanStack sorting state into getReports sort parameters, keeping
+ * every sorted column in priority order
+ *
+ * @param {Array} sorting - TanStack sorting state, e.g. [{ id: 'title', desc: false }]
+ * @returns {{ sort: Array }} - e.g. { sort: [{ field: 'title', order: 'asc' }] }
+ */
+export const getSortParams = (sorting = []) => {
+  if (!sorting || sorting.length === 0) {
+    return { sort: DEFAULT_SORT }
+  }
+
+  return {
+    sort: sorting.map(({ id, desc }) => ({ field: id, order: desc ? 'desc' : 'asc' }))
+  }
+}
+
+const createAbortError = () => new DOMException('The operation was aborted', 'AbortError')
+
+/**
+ * Fetches every report matching the given filters, search and sorting
+ * by requesting successive pages until the last one has been read.
+ *
+ * @param {Object} options
+ * @param {Object} options.filters - Active filters (including `search`)
+ * @param {Array} options.sorting - TanStack sorting state
+ * @param {number} options.pageSize - Page size used while walking (default: 100)
+ * @param {AbortSignal} options.signal - Aborts the in-flight page request and the walk
+ * @param {Function} options.onProgress - Called with { loaded, total } after each page
+ * @param {Object} options.retryPolicy - Retry policy overrides for each page request
+ * @returns {Promise<Array>} - All matching reports, in sort order
+ */
+export const fetchAllReports = async ({
+  filters = {},
+  sorting = [],
+  pageSize = EXPORT_PAGE_SIZE,
+  signal,
+  onProgress,
+  retryPolicy
+} = {}) => {
+  const { sort } = getSortParams(sorting)
+  const reports = []
+  let page = 1
+  let totalPages = 1
+
+  do {
+    if (signal?.aborted) throw createAbortError()
+
+    // A transient failure on one page shouldn't throw away the pages already read
+    const response = await withRetry(() => reportsAPI.getReports({
+      page,
+      pageSize,
+      sort,
+      filters,
+      search: filters.search || '',
+      signal
+    }), { ...retryPolicy, signal })
+
+    if (signal?.aborted) throw createAbortError()
+
+    const pageReports = response?.data?.reports || []
+    const pageInfo = response?.data?.pagination || {}
+
+    reports.push(...pageReports)
+    totalPages = pageInfo.totalPages || 0
+
+    onProgress?.({
+      loaded: reports.length,
+      total: pageInfo.totalCount ?? reports.length
+    })
+
+    page++
+  } while (page <= totalPages)
+
+  return reports
+}
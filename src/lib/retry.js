@@ -0,0 +1,90 @@
+/**
+ * Retry with exponential backoff
+ *
+ * Re-runs an async operation when it fails with a transient error, waiting
+ * exponentially longer between attempts with random jitter so many clients
+ * failing together don't retry in lockstep. Aborting the signal stops any
+ * pending wait immediately.
+ */
+
+export const DEFAULT_RETRY_POLICY = {
+  attempts: 3, // Total tries, including the first
+  baseDelay: 500, // Delay before the first retry (ms)
+  maxDelay: 5000, // Cap on any single delay (ms)
+}
+
+/**
+ * Whether an error is worth retrying. API errors flag this themselves
+ * (only network errors are retryable); aborts and anything else are not.
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => error?.retryable === true && error.name !== 'AbortError'
+
+/**
+ * Delay before retry number `retry` (1-based), using "equal jitter":
+ * half the exponential delay is fixed and half is random
+ *
+ * @param {number} retry - Which retry this is (1 for the first retry)
+ * @param {Object} policy - { baseDelay, maxDelay }
+ * @param {Function} random - Source of randomness in [0, 1)
+ * @returns {number} - Delay in milliseconds
+ */
+export const getBackoffDelay = (retry, { baseDelay, maxDelay }, random = Math.random) => {
+  const exponential = Math.min(maxDelay, baseDelay * 2 ** (retry - 1))
+  return exponential / 2 + random() * (exponential / 2)
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('The operation was aborted', 'AbortError'))
+    return
+  }
+
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', handleAbort)
+    resolve()
+  }, ms)
+
+  function handleAbort() {
+    clearTimeout(timer)
+    reject(new DOMException('The operation was aborted', 'AbortError'))
+  }
+
+  signal?.addEventListener('abort', handleAbort, { once: true })
+})
+
+/**
+ * Runs `operation`, retrying retryable failures per the policy
+ *
+ * @param {Function} operation - Called with the attempt number (1-based)
+ * @param {Object} options - Retry policy overrides, plus:
+ * @param {Function} options.shouldRetry - Decides whether an error is retryable
+ * @param {Function} options.onRetry - Called with { attempt, attempts, delay, error }
+ *   before waiting for the next attempt
+ * @param {AbortSignal} options.signal - Cancels pending waits
+ * @returns {Promise<any>} - The operation's result, or its last error
+ */
+export const withRetry = async (operation, {
+  shouldRetry = isRetryableError,
+  onRetry,
+  signal,
+  ...policyOverrides
+} = {}) => {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...policyOverrides }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt)
+    } catch (error) {
+      if (attempt >= policy.attempts || signal?.aborted || !shouldRetry(error)) {
+        throw error
+      }
+
+      const delay = getBackoffDelay(attempt, policy)
+      onRetry?.({ attempt: attempt + 1, attempts: policy.attempts, delay, error })
+      await sleep(delay, signal)
+    }
+  }
+}
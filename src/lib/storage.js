@@ -0,0 +1,48 @@
+/**
+ * localStorage helpers
+ *
+ * Reads and writes JSON values, treating missing, corrupt or inaccessible
+ * storage (private browsing, quota exceeded) as "nothing stored" instead of
+ * letting the error reach the UI.
+ */
+
+/**
+ * @param {string} key - Storage key
+ * @param {any} fallback - Returned when nothing valid is stored
+ * @returns {any}
+ */
+export const readJSON = (key, fallback = null) => {
+  try {
+    const raw = window.localStorage.getItem(key)
+    return raw == null ? fallback : JSON.parse(raw)
+  } catch (error) {
+    console.warn(`Failed to read "${key}" from storage:`, error)
+    return fallback
+  }
+}
+
+/**
+ * @param {string} key - Storage key
+ * @param {any} value - JSON-serializable value
+ * @returns {boolean} - Whether the write succeeded
+ */
+export const writeJSON = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value))
+    return true
+  } catch (error) {
+    console.warn(`Failed to write "${key}" to storage:`, error)
+    return false
+  }
+}
+
+/**
+ * @param {string} key - Storage key
+ */
+export const removeItem = (key) => {
+  try {
+    window.localStorage.removeItem(key)
+  } catch (error) {
+    console.warn(`Failed to remove "${key}" from storage:`, error)
+  }
+}
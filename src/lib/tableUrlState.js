@@ -0,0 +1,155 @@
+import {
+  DEPARTMENTS,
+  REPORT_STATUSES,
+  EXECUTION_STATUSES,
+  PRIORITIES,
+  REPORT_TYPES,
+  AUTHORS
+} from '../services/reportSchema'
+import { RANGE_FILTERS, DATE_RANGE_FILTERS, toFilterValues } from '../services/reportFilters'
+import { RELEVANCE_SORT } from '../services/reportSorting'
+
+/**
+ * Table state <-> query string
+ *
+ * Serializes the reports table state (pagination, sorting, filters and
+ * search) into a shareable query string and parses it back. Parsing is
+ * defensive: anything unknown or malformed (bad dates, unknown statuses,
+ * negative pages) is dropped in favour of the default rather than thrown.
+ *
+ * Query format: ?page=2&pageSize=25&sort=title:asc&q=budget&status=draft,pending
+ *   &department=Finance&priority=high&recordCountMin=1000&dateFrom=2024-01-01
+ *   &dateTo=2024-03-31&updatedFrom=2024-03-01
+ * Multi-value filters are comma-separated and always parse back as lists.
+ */
+
+export const DEFAULT_PAGE_SIZE = 10
+export const PAGE_SIZE_OPTIONS = [10, 25, 50, 100]
+export const SORTABLE_COLUMNS = [
+  'id',
+  'title',
+  'type',
+  'status',
+  'department',
+  'priority',
+  'author',
+  'recordCount',
+  'fileSize',
+  'executionTime',
+  'createdAt',
+  'updatedAt'
+]
+
+// Sort keys the URL accepts: the columns, plus search relevance
+const SORT_KEYS = [...SORTABLE_COLUMNS, RELEVANCE_SORT]
+
+const ALLOWED_FILTER_VALUES = {
+  status: [...REPORT_STATUSES, ...EXECUTION_STATUSES],
+  department: DEPARTMENTS,
+  priority: PRIORITIES,
+  type: REPORT_TYPES,
+  author: AUTHORS,
+}
+
+const NUMBER_FILTERS = Object.values(RANGE_FILTERS).flat()
+const DATE_FILTERS = Object.values(DATE_RANGE_FILTERS).flat()
+
+const isValidDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false
+  const date = new Date(`${value}T00:00:00Z`)
+  // Reject dates that roll over, e.g. 2024-02-31
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value)
+}
+
+const parsePositiveInt = (value) => {
+  if (!/^\d+$/.test(value || '')) return null
+  const number = Number(value)
+  return number > 0 ? number : null
+}
+
+const parseSorting = (value) => {
+  if (!value) return []
+
+  const seen = new Set()
+  return value.split(',').reduce((sorting, part) => {
+    const [id, direction = 'asc'] = part.split(':')
+    if (!SORT_KEYS.includes(id) || seen.has(id)) return sorting
+    if (direction !== 'asc' && direction !== 'desc') return sorting
+
+    seen.add(id)
+    sorting.push({ id, desc: direction === 'desc' })
+    return sorting
+  }, [])
+}
+
+/**
+ * Parses a query string into sanitized table state
+ *
+ * @param {string} search - e.g. window.location.search
+ * @returns {{ pageIndex: number, pageSize: number, sorting: Array, filters: Object }}
+ */
+export const parseTableState = (search = '') => {
+  const params = new URLSearchParams(search)
+
+  const page = parsePositiveInt(params.get('page')) ?? 1
+  const requestedPageSize = parsePositiveInt(params.get('pageSize'))
+  const pageSize = PAGE_SIZE_OPTIONS.includes(requestedPageSize) ? requestedPageSize : DEFAULT_PAGE_SIZE
+
+  const filters = {}
+
+  const query = params.get('q')?.trim()
+  if (query) filters.search = query
+
+  Object.entries(ALLOWED_FILTER_VALUES).forEach(([field, allowed]) => {
+    const values = [...new Set((params.get(field) || '').split(','))].filter(value => allowed.includes(value))
+    if (values.length > 0) filters[field] = values
+  })
+
+  NUMBER_FILTERS.forEach((field) => {
+    const value = params.get(field)
+    if (/^\d+$/.test(value || '')) filters[field] = Number(value)
+  })
+
+  DATE_FILTERS.forEach((field) => {
+    const value = params.get(field)
+    if (value && isValidDate(value)) filters[field] = value
+  })
+
+  return {
+    pageIndex: page - 1,
+    pageSize,
+    sorting: parseSorting(params.get('sort')),
+    filters
+  }
+}
+
+/**
+ * Serializes table state into a query string (without the leading "?")
+ * Defaults are omitted so the plain URL stays clean.
+ *
+ * @param {Object} state - { pageIndex, pageSize, sorting, filters }
+ * @returns {string}
+ */
+export const serializeTableState = ({ pageIndex = 0, pageSize = DEFAULT_PAGE_SIZE, sorting = [], filters = {} }) => {
+  const params = new URLSearchParams()
+
+  if (filters.search) params.set('q', filters.search)
+  Object.keys(ALLOWED_FILTER_VALUES).forEach((field) => {
+    const values = toFilterValues(filters[field])
+    if (values.length > 0) params.set(field, values.join(','))
+  })
+  NUMBER_FILTERS.forEach((field) => {
+    if (filters[field] !== '' && filters[field] != null) params.set(field, String(filters[field]))
+  })
+  DATE_FILTERS.forEach((field) => {
+    if (filters[field]) params.set(field, filters[field])
+  })
+
+  if (sorting.length > 0) {
+    params.set('sort', sorting.map(({ id, desc }) => `${id}:${desc ? 'desc' : 'asc'}`).join(','))
+  }
+  if (pageIndex > 0) params.set('page', String(pageIndex + 1))
+  if (pageSize !== DEFAULT_PAGE_SIZE) params.set('pageSize', String(pageSize))
+
+  return params.toString()
+}
@@ -0,0 +1,130 @@
+// HTTP reports service
+// Implements the reports API with fetch calls to a REST backend, mapping
+// failures onto the typed errors in reportsErrors.js so callers can't tell
+// it apart from the in-memory mock.
+
+import { NetworkError, errorFromResponse } from './reportsErrors'
+import { normalizeSort, serializeSort } from './reportSorting'
+
+const toQueryString = (params) => {
+  const query = new URLSearchParams()
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return
+    // Filters are nested, so they travel as one JSON-encoded param
+    query.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value))
+  })
+  const search = query.toString()
+  return search ? `?${search}` : ''
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.baseUrl - API root, e.g. '/api'
+ * @param {Function} options.fetch - fetch implementation (default: global fetch)
+ * @param {Function} options.EventSource - EventSource implementation for
+ *   report updates (default: global EventSource)
+ * @returns {Object} - The reports API surface
+ */
+export const createHttpReportsService = ({
+  baseUrl = '/api',
+  fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+  EventSource: EventSourceImpl = globalThis.EventSource
+} = {}) => {
+  const request = async (method, path, { query, body, headers, signal } = {}) => {
+    let response
+    try {
+      response = await fetchImpl(`${baseUrl}${path}${query ? toQueryString(query) : ''}`, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal
+      })
+    } catch (err) {
+      if (err?.name === 'AbortError') throw err
+      // fetch only rejects when no response arrived at all
+      throw new NetworkError(`Network error: ${err?.message || 'Request failed'}`, { cause: err })
+    }
+
+    const payload = await response.json().catch(() => null)
+    if (!response.ok) {
+      throw errorFromResponse(response.status, payload)
+    }
+    return payload
+  }
+
+  return {
+    // The sort keys travel in order as one `sort` param
+    getReports({ page, pageSize, sort, sortBy, sortOrder, filters, search, signal } = {}) {
+      return request('GET', '/reports', {
+        query: { page, pageSize, sort: serializeSort(normalizeSort({ sort, sortBy, sortOrder })), filters, search },
+        signal
+      })
+    },
+
+    getReport(id, { signal } = {}) {
+      return request('GET', `/reports/${id}`, { signal })
+    },
+
+    createReport(reportData, { signal } = {}) {
+      return request('POST', '/reports', { body: reportData, signal })
+    },
+
+    // expectedUpdatedAt is sent as If-Match; the server answers 409 when stale
+    updateReport(id, updates, { signal, expectedUpdatedAt } = {}) {
+      return request('PUT', `/reports/${id}`, {
+        body: updates,
+        headers: expectedUpdatedAt ? { 'If-Match': expectedUpdatedAt } : undefined,
+        signal
+      })
+    },
+
+    deleteReport(id, { signal } = {}) {
+      return request('DELETE', `/reports/${id}`, { signal })
+    },
+
+    executeReport(id, { signal } = {}) {
+      return request('POST', `/reports/${id}/execute`, { signal })
+    },
+
+    getReportIds({ filters, search, signal } = {}) {
+      return request('GET', '/reports/ids', { query: { filters, search }, signal })
+    },
+
+    bulkGetReports(ids, { signal } = {}) {
+      return request('POST', '/reports/bulk/get', { body: { ids }, signal })
+    },
+
+    bulkUpdateReports(ids, updates, { signal } = {}) {
+      return request('PATCH', '/reports/bulk', { body: { ids, updates }, signal })
+    },
+
+    bulkDeleteReports(ids, { signal } = {}) {
+      return request('DELETE', '/reports/bulk', { body: { ids }, signal })
+    },
+
+    bulkExecuteReports(ids, { signal } = {}) {
+      return request('POST', '/reports/bulk/execute', { body: { ids }, signal })
+    },
+
+    getReportsSummary({ filters, search, signal } = {}) {
+      return request('GET', '/reports/summary', { query: { filters, search }, signal })
+    },
+
+    resetDemoData({ signal } = {}) {
+      return request('POST', '/reports/reset', { signal })
+    },
+
+    // Server-sent events; each message is a report whose state changed
+    subscribeToReportUpdates(listener) {
+      if (!EventSourceImpl) return () => {}
+
+      const source = new EventSourceImpl(`${baseUrl}/reports/events`)
+      source.onmessage = (event) => listener(JSON.parse(event.data))
+      return () => source.close()
+    }
+  }
+}
@@ -0,0 +1,81 @@
+// Deterministic mock report data
+// Everything random about the mock database (timestamps, execution metrics,
+// simulated failures) is drawn from a seeded generator, so the same seed
+// and date window always produce the same reports.
+
+import {
+  DEPARTMENTS,
+  REPORT_STATUSES,
+  PRIORITIES,
+  REPORT_TYPES,
+  AUTHORS
+} from './reportSchema'
+
+const DAY = 24 * 60 * 60 * 1000
+const MB = 1024 * 1024
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ *
+ * @param {number} seed - Any 32-bit integer
+ * @returns {Function} - Returns the next number in [0, 1) on each call
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Metrics recorded by a report execution, as plain numbers; units are added
+ * when they're displayed (see lib/formatMetrics.js)
+ *
+ * @param {Function} random - Generator from createRandom
+ * @returns {{ recordCount: number, fileSize: number, executionTime: number }} -
+ *   fileSize in bytes, executionTime in milliseconds
+ */
+export const generateExecutionMetrics = (random) => ({
+  recordCount: Math.floor(random() * 50000) + 1000,
+  fileSize: Math.round((random() * 50 + 5) * MB),
+  executionTime: Math.round((random() * 180 + 10) * 1000)
+})
+
+/**
+ * Generates `count` reports cycling through every department, type,
+ * status, priority and author
+ *
+ * @param {Object} options
+ * @param {number} options.count - Number of reports (default: 250)
+ * @param {number} options.seed - Seed for timestamps and metrics (default: 1)
+ * @param {Date|string|number} options.endDate - Latest createdAt/updatedAt (default: now)
+ * @param {number} options.days - Days before endDate reports may be created in (default: 90)
+ * @returns {Array} - Reports with ids 1..count
+ */
+export const generateMockReports = ({ count = 250, seed = 1, endDate = Date.now(), days = 90 } = {}) => {
+  const random = createRandom(seed)
+  const end = new Date(endDate).getTime()
+
+  return Array.from({ length: count }, (_, i) => {
+    const createdAt = end - random() * days * DAY
+    // Last touched within a week of the end date, but never before creation
+    const updatedAt = Math.max(createdAt, end - random() * 7 * DAY)
+
+    return {
+      id: i + 1,
+      title: `${REPORT_TYPES[i % REPORT_TYPES.length]} ${Math.floor(i / REPORT_TYPES.length) + 1}`,
+      department: DEPARTMENTS[i % DEPARTMENTS.length],
+      type: REPORT_TYPES[i % REPORT_TYPES.length],
+      status: REPORT_STATUSES[i % REPORT_STATUSES.length],
+      priority: PRIORITIES[i % PRIORITIES.length],
+      author: AUTHORS[i % AUTHORS.length],
+      createdAt: new Date(createdAt).toISOString(),
+      updatedAt: new Date(updatedAt).toISOString(),
+      ...generateExecutionMetrics(random)
+    }
+  })
+}
@@ -0,0 +1,519 @@
+// In-memory reports service
+// Implements the reports API against a mock database with simulated latency
+// and failures. The app talks to it directly with the mock transport, and
+// the dev server exposes it over HTTP (see server/reportsMockApi.js).
+
+import { validateReport, pickEditableFields } from './reportSchema'
+import { filterReports, rankReports } from './reportFilters'
+import { normalizeSort, compareReports } from './reportSorting'
+import { NetworkError, ValidationError, NotFoundError, ConflictError } from './reportsErrors'
+import { createRandom, generateMockReports, generateExecutionMetrics } from './mockReportsGenerator'
+
+export const DEFAULT_MOCK_OPTIONS = {
+  count: 250, // Reports in the generated database
+  seed: 1, // Seed for generated data and simulated randomness
+  endDate: undefined, // Latest generated timestamp (default: now)
+  days: 90, // Window before endDate that reports are created in
+  latency: 1200, // Simulated network delay per request (ms)
+  failureRate: 0.03, // Chance getReports fails with a network error
+  executionDuration: 3000, // Time a started execution takes to complete (ms)
+  executionFailureRate: 0.1, // Chance a finished execution is marked failed
+  persistence: null, // { load, save, clear } adapter, e.g. createLocalStoragePersistence()
+}
+
+const createAbortError = () => new DOMException('The operation was aborted', 'AbortError')
+
+// Simulate network delay for realistic experience
+// Rejects with an AbortError if the signal aborts first, like fetch does,
+// so an aborted request never reaches the point where it reads or mutates data
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError())
+    return
+  }
+  
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', handleAbort)
+    resolve()
+  }, ms)
+  
+  function handleAbort() {
+    clearTimeout(timer)
+    reject(createAbortError())
+  }
+  
+  signal?.addEventListener('abort', handleAbort, { once: true })
+})
+
+// Apply an operation to each id, collecting per-item results so one
+// missing report doesn't fail the whole batch
+const runBulk = (ids, operation) => {
+  return ids.reduce((result, id) => {
+    try {
+      result.succeeded.push({ ...operation(id) })
+    } catch (err) {
+      result.failed.push({ id, error: err.message, code: err.code })
+    }
+    return result
+  }, { succeeded: [], failed: [] })
+}
+
+// A report can only run once at a time
+const assertNotRunning = (report) => {
+  if (report.status === 'active') {
+    throw new ConflictError('Report is already running', { report: { ...report } })
+  }
+}
+
+// Author recorded on reports created from this client
+const CURRENT_USER = 'Current User'
+
+const pickMetrics = ({ recordCount, fileSize, executionTime }) => ({ recordCount, fileSize, executionTime })
+
+// History for a report with no activity recorded since the service started
+// (generated or restored from persistence), pieced together from its
+// timestamps and status
+const reconstructActivity = (report) => {
+  const activity = [{ type: 'created', at: report.createdAt, actor: report.author }]
+  if (report.updatedAt !== report.createdAt) {
+    activity.push(report.status === 'completed' || report.status === 'failed'
+      ? { type: `execution-${report.status}`, at: report.updatedAt, metrics: pickMetrics(report) }
+      : { type: 'updated', at: report.updatedAt })
+  }
+  return activity
+}
+
+// Field -> { from, to } for the fields an update actually changes
+const diffFields = (report, fields) => Object.fromEntries(
+  Object.entries(fields)
+    .filter(([field, value]) => report[field] !== value)
+    .map(([field, value]) => [field, { from: report[field], to: value }])
+)
+
+// Reject with every field that failed validation, not just the first
+const assertValid = (errors) => {
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(errors)
+  }
+}
+
+/**
+ * Creates an in-memory reports service with its own generated database
+ *
+ * Pass options to make it reproducible, e.g. for tests:
+ * `createMockReportsService({ count: 500, seed: 42, failureRate: 0, latency: 0 })`
+ *
+ * @param {Object} options - Overrides for DEFAULT_MOCK_OPTIONS
+ * @returns {Object} - The reports API surface
+ */
+export const createMockReportsService = (options = {}) => {
+  const {
+    count,
+    seed,
+    endDate = Date.now(),
+    days,
+    latency,
+    failureRate,
+    executionDuration,
+    executionFailureRate,
+    persistence
+  } = { ...DEFAULT_MOCK_OPTIONS, ...options }
+  // Drives simulated failures and execution results; separate from the
+  // generator's stream so requests don't change the generated data
+  const random = createRandom(seed + 1)
+
+  const generate = () => generateMockReports({ count, seed, endDate, days })
+
+  // Mock database, restored from persistence when there's a usable snapshot
+  let mockReports = persistence?.load() ?? generate()
+  // Bumped on reset so executions started against the old data don't land
+  let generation = 0
+
+  // Runs interrupted by a reload will never finish; record them as failed
+  mockReports.forEach((report) => {
+    if (report.status === 'active') report.status = 'failed'
+  })
+
+  const persist = () => persistence?.save(mockReports)
+
+  // Report id -> activity entries, oldest first. Kept in memory only, so
+  // history from before a reload is reconstructed.
+  let activityLog = new Map()
+
+  const getActivity = (report) => activityLog.get(report.id) ?? reconstructActivity(report)
+
+  // Call before applying the change, so a reconstructed history reflects
+  // the report as it was
+  const recordActivity = (report, entry) => {
+    activityLog.set(report.id, [...getActivity(report), entry])
+  }
+
+  const recordUpdate = (report, fields, at) => {
+    const changes = diffFields(report, fields)
+    if (Object.keys(changes).length > 0) {
+      recordActivity(report, { type: 'updated', at, actor: CURRENT_USER, changes })
+    }
+  }
+
+  // Listeners notified when a report changes outside a request/response cycle,
+  // e.g. when a running execution completes
+  const reportListeners = new Set()
+
+  const notifyReportUpdated = (report) => {
+    reportListeners.forEach(listener => listener({ ...report }))
+  }
+
+  // Mark a report as running and schedule its simulated completion
+  // (callers persist the started state)
+  const startExecution = (report) => {
+    const startedIn = generation
+    const startedAt = new Date().toISOString()
+    recordActivity(report, { type: 'execution-started', at: startedAt, actor: CURRENT_USER })
+    report.status = 'active'
+    report.updatedAt = startedAt
+    notifyReportUpdated(report)
+    
+    // Look the report up again on completion in case it was edited
+    // (replaced) or deleted while the run was in progress
+    setTimeout(() => {
+      const current = mockReports.find(r => r.id === report.id)
+      if (!current || startedIn !== generation) return
+      
+      const status = random() < executionFailureRate ? 'failed' : 'completed'
+      const metrics = generateExecutionMetrics(random)
+      const finishedAt = new Date().toISOString()
+      recordActivity(current, { type: `execution-${status}`, at: finishedAt, metrics })
+      Object.assign(current, { status, ...metrics, updatedAt: finishedAt })
+      persist()
+      notifyReportUpdated(current)
+    }, executionDuration)
+  }
+
+  const findReportOrThrow = (id) => {
+    const report = mockReports.find(report => report.id === id)
+    if (!report) {
+      throw new NotFoundError(id)
+    }
+    return report
+  }
+
+  // Every method accepts an AbortSignal (`signal`), either alongside its
+  // query params or in a trailing options object, and rejects with an
+  // AbortError when it fires
+  return {
+    // GET /api/reports with pagination, sorting, filtering
+    async getReports({
+      page = 1,
+      pageSize = 25,
+      sort,
+      sortBy,
+      sortOrder,
+      filters = {},
+      search = '',
+      signal
+    } = {}) {
+      await delay(latency, signal)
+      
+      // Simulate a potential network error
+      if (random() < failureRate) {
+        throw new NetworkError('Network error: Failed to fetch reports')
+      }
+      
+      const { reports: filteredReports, relevance } = rankReports(mockReports, filters, search)
+      
+      // Apply sorting, key by key
+      filteredReports.sort(compareReports(normalizeSort({ sort, sortBy, sortOrder }), { relevance }))
+      
+      const totalCount = filteredReports.length
+      const totalPages = Math.ceil(totalCount / pageSize)
+      const startIndex = (page - 1) * pageSize
+      const paginatedReports = filteredReports
+        .slice(startIndex, startIndex + pageSize)
+        .map(report => ({ ...report }))
+      
+      return {
+        success: true,
+        data: {
+          reports: paginatedReports,
+          pagination: {
+            currentPage: page,
+            pageSize,
+            totalCount,
+            totalPages,
+            hasNextPage: page < totalPages,
+            hasPreviousPage: page > 1
+          }
+        },
+        message: 'Reports retrieved successfully'
+      }
+    },
+
+    // GET /api/reports/:id - the full record with its activity, newest first
+    async getReport(id, { signal } = {}) {
+      await delay(latency, signal)
+      
+      const report = findReportOrThrow(id)
+      
+      return {
+        success: true,
+        data: { ...report, activity: [...getActivity(report)].reverse() },
+        message: 'Report retrieved successfully'
+      }
+    },
+
+    // POST /api/reports
+    async createReport(reportData = {}, { signal } = {}) {
+      await delay(latency, signal)
+      
+      const fields = {
+        priority: 'medium',
+        status: 'pending',
+        ...pickEditableFields(reportData)
+      }
+      
+      // Simulate validation error
+      assertValid(validateReport(fields))
+      
+      const now = new Date().toISOString()
+      const newReport = {
+        id: Math.max(0, ...mockReports.map(r => r.id)) + 1,
+        ...fields,
+        author: CURRENT_USER,
+        createdAt: now,
+        updatedAt: now,
+        recordCount: 0,
+        fileSize: 0,
+        executionTime: 0
+      }
+      
+      mockReports.unshift(newReport)
+      persist()
+      
+      return {
+        success: true,
+        data: { ...newReport },
+        message: 'Report created successfully'
+      }
+    },
+
+    // PUT /api/reports/:id
+    // Pass `expectedUpdatedAt` (the updatedAt the edit started from) to reject
+    // the update if someone else changed the report in the meantime
+    async updateReport(id, updates = {}, { signal, expectedUpdatedAt } = {}) {
+      await delay(latency, signal)
+      
+      const reportIndex = mockReports.findIndex(report => report.id === id)
+      
+      if (reportIndex === -1) {
+        throw new NotFoundError(id)
+      }
+      
+      if (expectedUpdatedAt && mockReports[reportIndex].updatedAt !== expectedUpdatedAt) {
+        throw new ConflictError('Report was changed by someone else since you opened it', {
+          report: { ...mockReports[reportIndex] }
+        })
+      }
+      
+      // Resending the current status is fine, even one only execution can set
+      const fields = pickEditableFields(updates)
+      if (fields.status === mockReports[reportIndex].status) delete fields.status
+      assertValid(validateReport(fields, { partial: true }))
+      
+      const updatedReport = {
+        ...mockReports[reportIndex],
+        ...fields,
+        updatedAt: new Date().toISOString()
+      }
+      recordUpdate(mockReports[reportIndex], fields, updatedReport.updatedAt)
+      
+      mockReports[reportIndex] = updatedReport
+      persist()
+      
+      return {
+        success: true,
+        data: { ...updatedReport },
+        message: 'Report updated successfully'
+      }
+    },
+
+    // DELETE /api/reports/:id
+    async deleteReport(id, { signal } = {}) {
+      await delay(latency, signal)
+      
+      const reportIndex = mockReports.findIndex(report => report.id === id)
+      
+      if (reportIndex === -1) {
+        throw new NotFoundError(id)
+      }
+      
+      const deletedReport = mockReports[reportIndex]
+      mockReports.splice(reportIndex, 1)
+      activityLog.delete(id)
+      persist()
+      
+      return {
+        success: true,
+        data: deletedReport,
+        message: 'Report deleted successfully'
+      }
+    },
+
+    // POST /api/reports/:id/execute
+    async executeReport(id, { signal } = {}) {
+      await delay(latency * 2, signal) // Longer delay for report execution
+      
+      const report = mockReports.find(report => report.id === id)
+      
+      if (!report) {
+        throw new NotFoundError(id)
+      }
+      
+      assertNotRunning(report)
+      startExecution(report)
+      persist()
+      
+      return {
+        success: true,
+        data: { ...report },
+        message: 'Report execution started'
+      }
+    },
+
+    // GET /api/reports/ids - ids of every report matching the filters,
+    // used to select all matching reports without loading every page
+    async getReportIds({ filters = {}, search = '', signal } = {}) {
+      await delay(latency, signal)
+      
+      return {
+        success: true,
+        data: filterReports(mockReports, filters, search).map(report => report.id),
+        message: 'Report ids retrieved successfully'
+      }
+    },
+
+    // POST /api/reports/bulk/get
+    async bulkGetReports(ids = [], { signal } = {}) {
+      await delay(latency, signal)
+      
+      return {
+        success: true,
+        data: runBulk(ids, findReportOrThrow),
+        message: 'Reports retrieved successfully'
+      }
+    },
+
+    // PATCH /api/reports/bulk
+    async bulkUpdateReports(ids = [], updates = {}, { signal } = {}) {
+      await delay(latency, signal)
+      
+      // Validate once up front; the same updates apply to every report
+      const fields = pickEditableFields(updates)
+      assertValid(validateReport(fields, { partial: true }))
+      const updatedAt = new Date().toISOString()
+      
+      const result = runBulk(ids, (id) => {
+        const reportIndex = mockReports.findIndex(report => report.id === id)
+        if (reportIndex === -1) {
+          throw new NotFoundError(id)
+        }
+        recordUpdate(mockReports[reportIndex], fields, updatedAt)
+        mockReports[reportIndex] = { ...mockReports[reportIndex], ...fields, updatedAt }
+        return mockReports[reportIndex]
+      })
+      persist()
+      
+      return {
+        success: true,
+        data: result,
+        message: 'Reports updated successfully'
+      }
+    },
+
+    // DELETE /api/reports/bulk
+    async bulkDeleteReports(ids = [], { signal } = {}) {
+      await delay(latency, signal)
+      
+      const result = runBulk(ids, (id) => {
+        const report = findReportOrThrow(id)
+        mockReports.splice(mockReports.indexOf(report), 1)
+        activityLog.delete(id)
+        return report
+      })
+      persist()
+      
+      return {
+        success: true,
+        data: result,
+        message: 'Reports deleted successfully'
+      }
+    },
+
+    // POST /api/reports/bulk/execute
+    async bulkExecuteReports(ids = [], { signal } = {}) {
+      await delay(latency * 2, signal) // Longer delay for report execution
+      
+      const result = runBulk(ids, (id) => {
+        const report = findReportOrThrow(id)
+        assertNotRunning(report)
+        startExecution(report)
+        return report
+      })
+      persist()
+      
+      return {
+        success: true,
+        data: result,
+        message: 'Report executions started'
+      }
+    },
+
+    // GET /api/reports/summary
+    // Pass the same filters/search as getReports to summarize that result set
+    async getReportsSummary({ filters = {}, search = '', signal } = {}) {
+      await delay(Math.min(latency, 500), signal) // Faster for dashboard
+      
+      const summary = filterReports(mockReports, filters, search).reduce((acc, report) => {
+        acc.total++
+        acc.byStatus[report.status] = (acc.byStatus[report.status] || 0) + 1
+        acc.byDepartment[report.department] = (acc.byDepartment[report.department] || 0) + 1
+        return acc
+      }, {
+        total: 0,
+        byStatus: {},
+        byDepartment: {}
+      })
+      
+      return {
+        success: true,
+        data: summary,
+        message: 'Summary retrieved successfully'
+      }
+    },
+
+    // POST /api/reports/reset
+    // Throws away every change and regenerates the original demo data
+    async resetDemoData({ signal } = {}) {
+      await delay(latency, signal)
+      
+      generation++
+      mockReports = generate()
+      activityLog = new Map()
+      persistence?.clear()
+      
+      return {
+        success: true,
+        data: { totalCount: mockReports.length },
+        message: 'Demo data reset'
+      }
+    },
+
+    // Server-sent updates (a WebSocket/SSE stream in a real backend)
+    // Listener receives a copy of each report whose state changes in the background
+    subscribeToReportUpdates(listener) {
+      reportListeners.add(listener)
+      return () => {
+        reportListeners.delete(listener)
+      }
+    }
+  }
+}
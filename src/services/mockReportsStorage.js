@@ -0,0 +1,87 @@
+// localStorage persistence for the mock database
+// Lets reports created, edited or deleted against the in-memory service
+// survive page reloads. The stored snapshot records the schema version it
+// was written with; older snapshots are migrated forward step by step and
+// anything that can't be migrated is discarded in favour of fresh data.
+
+import { readJSON, writeJSON, removeItem } from '../lib/storage'
+
+export const MOCK_DB_STORAGE_KEY = 'reports:mockDb'
+export const MOCK_DB_VERSION = 2
+
+const FILE_SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 }
+
+// '9.5 MB' -> bytes
+const parseFileSize = (value) => {
+  const match = /^([\d.]+)\s*(B|KB|MB|GB)$/.exec(String(value).trim())
+  return match ? Math.round(Number(match[1]) * FILE_SIZE_UNITS[match[2]]) : 0
+}
+
+// '12.0s' -> milliseconds
+const parseSeconds = (value) => {
+  const seconds = parseFloat(value)
+  return Number.isFinite(seconds) ? Math.round(seconds * 1000) : 0
+}
+
+// MIGRATIONS[n] upgrades a version n snapshot's reports to version n + 1
+const MIGRATIONS = {
+  // v2 stores execution metrics as numbers: fileSize in bytes and
+  // executionTime in milliseconds, instead of '9.5 MB' and '12.0s'
+  1: (reports) => reports.map(report => ({
+    ...report,
+    recordCount: Number(report.recordCount) || 0,
+    fileSize: parseFileSize(report.fileSize),
+    executionTime: parseSeconds(report.executionTime)
+  }))
+}
+
+/**
+ * Brings a stored snapshot up to the current schema version
+ *
+ * @param {Object} stored - { version, reports } as read from storage
+ * @param {Object} options
+ * @param {number} options.version - Target version (default: MOCK_DB_VERSION)
+ * @param {Object} options.migrations - Map of version -> reports upgrader
+ * @returns {Array|null} - Reports at the target version, or null if the
+ *   snapshot is missing, malformed, from a newer version or unmigratable
+ */
+export const migrateMockDb = (stored, { version = MOCK_DB_VERSION, migrations = MIGRATIONS } = {}) => {
+  if (!stored || !Number.isInteger(stored.version) || !Array.isArray(stored.reports)) return null
+  if (stored.version > version) return null
+
+  let reports = stored.reports
+  for (let from = stored.version; from < version; from++) {
+    const migrate = migrations[from]
+    if (!migrate) return null
+    reports = migrate(reports)
+  }
+  return reports
+}
+
+/**
+ * Persistence adapter for createMockReportsService
+ *
+ * @param {Object} options
+ * @param {string} options.key - Storage key (default: 'reports:mockDb')
+ * @returns {{ load: Function, save: Function, clear: Function }}
+ */
+export const createLocalStoragePersistence = ({ key = MOCK_DB_STORAGE_KEY } = {}) => ({
+  // Stored reports, or null when there's nothing usable to restore
+  load() {
+    const stored = readJSON(key, null)
+    const reports = migrateMockDb(stored)
+    if (stored && !reports) {
+      console.warn(`Discarding stored mock data with unsupported version: ${stored.version}`)
+      removeItem(key)
+    }
+    return reports
+  },
+
+  save(reports) {
+    writeJSON(key, { version: MOCK_DB_VERSION, reports })
+  },
+
+  clear() {
+    removeItem(key)
+  }
+})
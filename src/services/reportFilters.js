@@ -0,0 +1,166 @@
+// Report filtering shared by the mock API and the client-side query cache
+// The cache uses the same predicate to work out which cached queries a
+// changed report could appear in, so the two must never disagree
+//
+// Filters are a flat object:
+//   status, department, priority, type, author   one value or a list; a
+//                                                report matches any of them
+//   recordCountMin/Max, fileSizeMin/Max,         inclusive numeric bounds
+//   executionTimeMin/Max                         (bytes and milliseconds)
+//   dateFrom/dateTo, updatedFrom/updatedTo       createdAt/updatedAt ranges
+// The search box query can add to these with field clauses; see searchQuery.js.
+// Its free-text terms are matched fuzzily and ranked; see searchIndex.js
+
+import { parseSearchQuery } from './searchQuery'
+import { SEARCH_FIELDS, createSearchIndex, scoreReport } from './searchIndex'
+
+// Fields matched against a set of allowed values
+export const MULTI_VALUE_FILTERS = ['status', 'department', 'priority', 'type', 'author']
+
+// Numeric report field -> [min filter, max filter]
+export const RANGE_FILTERS = {
+  recordCount: ['recordCountMin', 'recordCountMax'],
+  fileSize: ['fileSizeMin', 'fileSizeMax'],
+  executionTime: ['executionTimeMin', 'executionTimeMax']
+}
+
+// Date report field -> [from filter, to filter]
+export const DATE_RANGE_FILTERS = {
+  createdAt: ['dateFrom', 'dateTo'],
+  updatedAt: ['updatedFrom', 'updatedTo']
+}
+
+const isEmpty = (value) => value === '' || value == null || (Array.isArray(value) && value.length === 0)
+
+/**
+ * @param {string|Array} value - A multi-value filter as given
+ * @returns {Array} - Its values as a list; empty when unset
+ */
+export const toFilterValues = (value) => {
+  if (Array.isArray(value)) return value.filter(item => !isEmpty(item))
+  return isEmpty(value) ? [] : [value]
+}
+
+const toBound = (value) => {
+  if (isEmpty(value)) return null
+  const number = Number(value)
+  return Number.isFinite(number) ? number : null
+}
+
+/**
+ * Canonical form of a filters object: unset filters dropped, multi-value
+ * filters as sorted lists, numeric bounds as numbers and keys in order, so
+ * equivalent filters compare (and serialize) equal
+ *
+ * @param {Object} filters - Filters as given
+ * @returns {Object} - Normalized filters
+ */
+export const normalizeFilters = (filters = {}) => Object.fromEntries(
+  Object.entries(filters).sort(([a], [b]) => a.localeCompare(b)).flatMap(([key, value]) => {
+    if (MULTI_VALUE_FILTERS.includes(key)) {
+      const values = toFilterValues(value)
+      return values.length > 0 ? [[key, [...values].sort()]] : []
+    }
+    if (Object.values(RANGE_FILTERS).flat().includes(key)) {
+      const bound = toBound(value)
+      return bound === null ? [] : [[key, bound]]
+    }
+    return isEmpty(value) ? [] : [[key, value]]
+  })
+)
+
+const matchesFilters = (report, filters) => {
+  for (const field of MULTI_VALUE_FILTERS) {
+    const allowed = toFilterValues(filters[field])
+    if (allowed.length > 0 && !allowed.includes(report[field])) return false
+  }
+
+  for (const [field, [minKey, maxKey]] of Object.entries(RANGE_FILTERS)) {
+    const min = toBound(filters[minKey])
+    const max = toBound(filters[maxKey])
+    if (min !== null && !(report[field] >= min)) return false
+    if (max !== null && !(report[field] <= max)) return false
+  }
+
+  for (const [field, [fromKey, toKey]] of Object.entries(DATE_RANGE_FILTERS)) {
+    if (filters[fromKey] && new Date(report[field]) < new Date(filters[fromKey])) return false
+    if (filters[toKey] && new Date(report[field]) > new Date(filters[toKey])) return false
+  }
+
+  return true
+}
+
+// Excluded terms are plain substring matches: a fuzzy match would hide
+// reports the user never meant to exclude
+const excludesTerm = (report, terms) => {
+  if (terms.length === 0) return false
+  const text = Object.keys(SEARCH_FIELDS).map(field => report[field] ?? '').join('\n').toLowerCase()
+  return terms.some(term => text.includes(term))
+}
+
+// Everything but the search terms, which are scored by the search index
+const matchesQuery = (report, filters, query) => {
+  if (excludesTerm(report, query.excludedTerms)) return false
+
+  for (const [field, excluded] of Object.entries(query.exclude)) {
+    if (excluded.includes(report[field])) return false
+  }
+
+  // Form filters and the query's field clauses must both hold
+  return matchesFilters(report, filters) && matchesFilters(report, query.filters)
+}
+
+/**
+ * Builds the predicate for a getReports query, parsing the search query
+ * (see searchQuery.js) once rather than per report
+ *
+ * @param {Object} filters - Query filters (see above)
+ * @param {string} search - Search box query
+ * @returns {Function} - Returns whether a report belongs to the result set
+ */
+export const createReportMatcher = (filters = {}, search = '') => {
+  const query = parseSearchQuery(search)
+  return (report) => scoreReport(report, query.terms) !== null && matchesQuery(report, filters, query)
+}
+
+/**
+ * Tests whether a report belongs to the result set of a getReports query
+ *
+ * @param {Object} report - Report to test
+ * @param {Object} filters - Query filters (see above)
+ * @param {string} search - Search box query
+ * @returns {boolean}
+ */
+export const reportMatchesQuery = (report, filters = {}, search = '') =>
+  createReportMatcher(filters, search)(report)
+
+/**
+ * Applies search and filters to a list of reports, scoring each match's
+ * relevance to the search terms (see searchIndex.js)
+ *
+ * @param {Array} reports - Reports to filter
+ * @param {Object} filters - Query filters
+ * @param {string} search - Search box query
+ * @returns {{ reports: Array, relevance: Map }} - A new array of the
+ *   matching reports, and report id -> relevance (0 without search terms)
+ */
+export const rankReports = (reports, filters = {}, search = '') => {
+  const query = parseSearchQuery(search)
+  const relevance = createSearchIndex(reports).search(query.terms)
+
+  return {
+    reports: reports.filter(report => relevance.has(report.id) && matchesQuery(report, filters, query)),
+    relevance
+  }
+}
+
+/**
+ * Applies search and filters to a list of reports
+ *
+ * @param {Array} reports - Reports to filter
+ * @param {Object} filters - Query filters
+ * @param {string} search - Search box query
+ * @returns {Array} - A new array of the matching reports
+ */
+export const filterReports = (reports, filters = {}, search = '') =>
+  rankReports(reports, filters, search).reports
@@ -0,0 +1,65 @@
+// Report schema shared by the reports API and the report form
+// Keeping the allowed values and validation rules in one place means the
+// client-side form checks exactly what the API will accept
+
+export const DEPARTMENTS = ['Sales', 'Marketing', 'Finance', 'HR', 'Operations', 'IT']
+export const REPORT_STATUSES = ['draft', 'pending', 'approved', 'published', 'archived']
+// Statuses set by the execution lifecycle rather than by editing a report
+export const EXECUTION_STATUSES = ['active', 'completed', 'failed']
+export const PRIORITIES = ['low', 'medium', 'high']
+export const REPORT_TYPES = ['Monthly Summary', 'Weekly Analytics', 'User Activity', 'Performance Report', 'Budget Analysis']
+export const AUTHORS = ['John Smith', 'Sarah Johnson', 'Mike Davis', 'Emily Brown', 'Chris Wilson', 'Lisa Anderson']
+
+export const TITLE_MAX_LENGTH = 120
+
+// Fields a client may set when creating or updating a report
+export const EDITABLE_FIELDS = ['title', 'department', 'type', 'priority', 'status']
+
+const oneOf = (allowed, label) => (value) =>
+  allowed.includes(value) ? null : `${label} must be one of: ${allowed.join(', ')}`
+
+const validators = {
+  title: (value) => {
+    const title = typeof value === 'string' ? value.trim() : ''
+    if (title.length === 0) return 'Report title is required'
+    if (title.length > TITLE_MAX_LENGTH) return `Report title must be at most ${TITLE_MAX_LENGTH} characters`
+    return null
+  },
+  department: oneOf(DEPARTMENTS, 'Department'),
+  type: oneOf(REPORT_TYPES, 'Report type'),
+  priority: oneOf(PRIORITIES, 'Priority'),
+  status: oneOf(REPORT_STATUSES, 'Status')
+}
+
+/**
+ * Validates report input against the schema
+ *
+ * @param {Object} data - Report fields to validate
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate fields present in `data` (updates)
+ * @returns {Object} - Map of field name to error message; empty when valid
+ */
+export const validateReport = (data = {}, { partial = false } = {}) => {
+  return EDITABLE_FIELDS.reduce((errors, field) => {
+    if (partial && !(field in data)) return errors
+
+    const message = validators[field](data[field])
+    if (message) errors[field] = message
+    return errors
+  }, {})
+}
+
+/**
+ * Picks the client-editable fields from the input, trimming the title
+ *
+ * @param {Object} data - Raw report input
+ * @returns {Object} - Only the editable fields that were supplied
+ */
+export const pickEditableFields = (data = {}) => {
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (field in data) {
+      fields[field] = field === 'title' ? String(data[field]).trim() : data[field]
+    }
+    return fields
+  }, {})
+}
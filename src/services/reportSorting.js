@@ -0,0 +1,89 @@
+// Report sorting shared by the mock API, the http transport and the
+// client-side query cache
+// A sort is an ordered list of keys, e.g. "department asc, then createdAt
+// desc": later keys only break ties left by earlier ones. On the wire it
+// travels as `sort=department:asc,createdAt:desc`.
+
+export const DEFAULT_SORT = [{ field: 'createdAt', order: 'desc' }]
+
+// Sorts by how well reports match the search terms (see searchIndex.js).
+// Not a report field: getReports supplies the scores.
+export const RELEVANCE_SORT = 'relevance'
+
+const DATE_FIELDS = ['createdAt', 'updatedAt']
+
+/**
+ * Normalizes getReports sort params into an ordered list of sort keys.
+ * `sortBy`/`sortOrder` are the single-key form, used when `sort` is absent.
+ *
+ * @param {Object} params
+ * @param {Array} params.sort - e.g. [{ field: 'department', order: 'asc' }]
+ * @param {string} params.sortBy - Single sort field
+ * @param {string} params.sortOrder - 'asc' or 'desc' for sortBy
+ * @returns {Array} - Sort keys, without repeated fields; DEFAULT_SORT when
+ *   empty, and after relevance, which ties for every report without a search
+ */
+export const normalizeSort = ({ sort, sortBy, sortOrder } = {}) => {
+  const keys = sort ?? (sortBy ? [{ field: sortBy, order: sortOrder }] : [])
+  const seen = new Set()
+
+  const normalized = keys.reduce((result, { field, order } = {}) => {
+    if (!field || seen.has(field)) return result
+    seen.add(field)
+    result.push({ field, order: order === 'asc' ? 'asc' : 'desc' })
+    return result
+  }, [])
+
+  if (normalized.length === 0) return DEFAULT_SORT
+  if (!seen.has(RELEVANCE_SORT)) return normalized
+  return [...normalized, ...DEFAULT_SORT.filter(({ field }) => !seen.has(field))]
+}
+
+/**
+ * @param {Array} sort - Sort keys
+ * @returns {string} - e.g. 'department:asc,createdAt:desc'
+ */
+export const serializeSort = (sort = []) => sort.map(({ field, order }) => `${field}:${order}`).join(',')
+
+/**
+ * @param {string} value - Serialized sort, as produced by serializeSort
+ * @returns {Array|undefined} - Sort keys, or undefined when value is empty
+ */
+export const parseSort = (value) => {
+  if (!value) return undefined
+  return value.split(',').map((part) => {
+    const [field, order] = part.split(':')
+    return { field, order }
+  })
+}
+
+const compareValues = (field, a, b, relevance) => {
+  let aVal = a[field]
+  let bVal = b[field]
+
+  if (field === RELEVANCE_SORT) {
+    aVal = relevance?.get(a.id) ?? 0
+    bVal = relevance?.get(b.id) ?? 0
+  } else if (DATE_FIELDS.includes(field)) {
+    aVal = new Date(aVal)
+    bVal = new Date(bVal)
+  }
+
+  return aVal > bVal ? 1 : aVal < bVal ? -1 : 0
+}
+
+/**
+ * Builds a comparator applying each sort key in turn
+ *
+ * @param {Array} sort - Normalized sort keys
+ * @param {Object} context
+ * @param {Map} context.relevance - Report id -> search relevance, for RELEVANCE_SORT
+ * @returns {Function} - Comparator for Array.prototype.sort
+ */
+export const compareReports = (sort, { relevance } = {}) => (a, b) => {
+  for (const { field, order } of sort) {
+    const result = compareValues(field, a, b, relevance)
+    if (result !== 0) return order === 'desc' ? -result : result
+  }
+  return 0
+}
@@ -0,0 +1,153 @@
+// Client-side cache for getReports responses
+// Entries are keyed on the normalized query params, so equivalent queries
+// (e.g. filters with empty values, or `search` duplicated inside `filters`)
+// share one entry. Mutations invalidate only the queries a changed report
+// belongs to (before or after the change), since adding or removing one
+// row shifts every page of those queries and no others.
+
+import { reportMatchesQuery, normalizeFilters } from './reportFilters'
+import { normalizeSort } from './reportSorting'
+
+// Entries younger than this are served without revalidating
+export const REVALIDATE_AFTER = 5000
+// Upper bound on cached queries; the oldest entries are evicted first
+const MAX_ENTRIES = 100
+
+const cache = new Map()
+
+const compactFilters = (filters = {}) => Object.fromEntries(
+  Object.entries(normalizeFilters(filters))
+    // `search` travels as its own param; the API ignores filters.search
+    .filter(([key]) => key !== 'search')
+    .sort(([a], [b]) => a.localeCompare(b))
+)
+
+/**
+ * Normalizes getReports params, dropping anything that isn't part of the query
+ *
+ * @param {Object} params - getReports params (signal and other options are ignored)
+ * @returns {Object} - Normalized params
+ */
+export const normalizeReportsParams = ({
+  page = 1,
+  pageSize = 25,
+  sort,
+  sortBy,
+  sortOrder,
+  filters = {},
+  search = ''
+} = {}) => ({
+  page,
+  pageSize,
+  sort: normalizeSort({ sort, sortBy, sortOrder }),
+  filters: compactFilters(filters),
+  search: search.trim()
+})
+
+/**
+ * @param {Object} params - getReports params
+ * @returns {string} - Cache key for the query
+ */
+export const getReportsCacheKey = (params) => JSON.stringify(normalizeReportsParams(params))
+
+const findCachedReport = (id) => {
+  for (const entry of cache.values()) {
+    const report = entry.response?.data?.reports?.find(r => r.id === id)
+    if (report) return report
+  }
+  return null
+}
+
+export const reportsCache = {
+  /**
+   * @param {Object} params - getReports params
+   * @returns {Object|undefined} - { response, fetchedAt, stale } or undefined
+   */
+  get(params) {
+    return cache.get(getReportsCacheKey(params))
+  },
+
+  /**
+   * @param {Object} params - getReports params
+   * @param {Object} response - getReports response
+   */
+  set(params, response) {
+    const key = getReportsCacheKey(params)
+    cache.delete(key) // Re-insert so Map order tracks recency
+    cache.set(key, {
+      params: normalizeReportsParams(params),
+      response,
+      fetchedAt: Date.now(),
+      stale: false
+    })
+
+    if (cache.size > MAX_ENTRIES) {
+      cache.delete(cache.keys().next().value)
+    }
+  },
+
+  /**
+   * @param {Object} entry - A cache entry
+   * @returns {boolean} - Whether the entry can be served without revalidating
+   */
+  isFresh(entry) {
+    return Boolean(entry) && !entry.stale && Date.now() - entry.fetchedAt < REVALIDATE_AFTER
+  },
+
+  /**
+   * Marks stale every query the report appears in before or after a change
+   *
+   * @param {Object} report - The report as it is now (or as it was, for deletes)
+   * @param {Object} previous - The report before the change; looked up in the
+   *   cache when not given
+   */
+  invalidateReport(report, previous = findCachedReport(report.id)) {
+    const versions = [report, previous].filter(Boolean)
+
+    cache.forEach((entry) => {
+      if (entry.stale) return
+      const { filters, search } = entry.params
+      const containsReport = entry.response?.data?.reports?.some(r => r.id === report.id)
+      if (containsReport || versions.some(version => reportMatchesQuery(version, filters, search))) {
+        entry.stale = true
+      }
+    })
+  },
+
+  /**
+   * Writes a confirmed change into every cached page showing the report, so
+   * pages served from cache before revalidating already reflect it. Entries
+   * still need invalidating: the change may move the report between pages.
+   *
+   * @param {Object} report - The report as saved by the server
+   * @param {Object} options
+   * @param {boolean} options.deleted - Remove the report instead of replacing it
+   */
+  applyReport(report, { deleted = false } = {}) {
+    cache.forEach((entry) => {
+      const reports = entry.response?.data?.reports
+      if (!reports?.some(r => r.id === report.id)) return
+
+      entry.response = {
+        ...entry.response,
+        data: {
+          ...entry.response.data,
+          reports: deleted
+            ? reports.filter(r => r.id !== report.id)
+            : reports.map(r => (r.id === report.id ? { ...r, ...report } : r))
+        }
+      }
+    })
+  },
+
+  // Marks every entry stale, e.g. when the change can't be attributed to reports
+  invalidateAll() {
+    cache.forEach((entry) => {
+      entry.stale = true
+    })
+  },
+
+  clear() {
+    cache.clear()
+  }
+}
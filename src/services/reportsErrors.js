@@ -0,0 +1,122 @@
+// Error model for the reports API
+// Every failure the API reports is one of these classes, each carrying a
+// stable `code` the UI can branch on (the message is for humans and may
+// change) and the HTTP status a real backend would answer with.
+
+export const ERROR_CODES = {
+  NETWORK: 'NETWORK_ERROR',
+  VALIDATION: 'VALIDATION_ERROR',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  UNKNOWN: 'UNKNOWN_ERROR',
+}
+
+export class ReportsAPIError extends Error {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {Object} options
+   * @param {string} options.code - One of ERROR_CODES
+   * @param {number} options.status - Matching HTTP status (0 when no response)
+   * @param {boolean} options.retryable - Whether repeating the request may succeed
+   * @param {Error} options.cause - Underlying error, if any
+   */
+  constructor(message, { code = ERROR_CODES.UNKNOWN, status = 500, retryable = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined)
+    this.name = 'ReportsAPIError'
+    this.code = code
+    this.status = status
+    this.retryable = retryable
+  }
+}
+
+// The request never got an answer; safe to retry
+export class NetworkError extends ReportsAPIError {
+  constructor(message = 'Network error: Failed to reach the server', options = {}) {
+    super(message, { ...options, code: ERROR_CODES.NETWORK, status: 0, retryable: true })
+    this.name = 'NetworkError'
+  }
+}
+
+// The request was rejected; `fields` maps each invalid field to its message
+export class ValidationError extends ReportsAPIError {
+  constructor(fields = {}, options = {}) {
+    const [firstMessage = 'Invalid request'] = Object.values(fields)
+    super(`Validation error: ${firstMessage}`, { ...options, code: ERROR_CODES.VALIDATION, status: 422 })
+    this.name = 'ValidationError'
+    this.fields = fields
+  }
+}
+
+// The report doesn't exist (any more)
+export class NotFoundError extends ReportsAPIError {
+  constructor(reportId, options = {}) {
+    super('Report not found', { ...options, code: ERROR_CODES.NOT_FOUND, status: 404 })
+    this.name = 'NotFoundError'
+    this.reportId = reportId
+  }
+}
+
+// The request clashes with the report's current state, e.g. it changed
+// since the client last read it or is already running
+export class ConflictError extends ReportsAPIError {
+  constructor(message, { report, ...options } = {}) {
+    super(message, { ...options, code: ERROR_CODES.CONFLICT, status: 409 })
+    this.name = 'ConflictError'
+    this.report = report
+  }
+}
+
+/**
+ * Wraps anything thrown by a request in a ReportsAPIError so callers can
+ * rely on `code`; API errors and aborts are returned unchanged
+ *
+ * @param {any} error
+ * @returns {Error}
+ */
+export const toReportsError = (error) => {
+  if (error instanceof ReportsAPIError || error?.name === 'AbortError') return error
+  return new ReportsAPIError(error?.message || 'Something went wrong', { cause: error })
+}
+
+/**
+ * Converts an error into the JSON body the HTTP API responds with
+ *
+ * @param {Error} error
+ * @returns {{ status: number, body: Object }}
+ */
+export const serializeError = (error) => {
+  const { message, code, status, fields, reportId, report } = toReportsError(error)
+  return {
+    // A network error has no status of its own; the server reports it as unavailable
+    status: status || 503,
+    body: { success: false, error: { code, message, fields, reportId, report } }
+  }
+}
+
+/**
+ * Rebuilds the typed error from an HTTP error response
+ *
+ * @param {number} status - Response status
+ * @param {Object} body - Parsed response body, if any
+ * @returns {ReportsAPIError}
+ */
+export const errorFromResponse = (status, body) => {
+  const { code, message, fields, reportId, report } = body?.error || {}
+
+  switch (code) {
+    case ERROR_CODES.VALIDATION:
+      return new ValidationError(fields)
+    case ERROR_CODES.NOT_FOUND:
+      return new NotFoundError(reportId)
+    case ERROR_CODES.CONFLICT:
+      return new ConflictError(message, { report })
+    case ERROR_CODES.NETWORK:
+      return new NetworkError(message)
+    default:
+      // Gateways and overloaded servers answer without our error body
+      if (status === 502 || status === 503 || status === 504) {
+        return new NetworkError(`Network error: Server unavailable (${status})`)
+      }
+      return new ReportsAPIError(message || `Request failed with status ${status}`, { status })
+  }
+}
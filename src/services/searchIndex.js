@@ -0,0 +1,211 @@
+// Fuzzy full-text search over reports, shared by the mock API, the
+// client-side query cache and the table's match highlighting
+//
+// Reports are indexed by the words of their title, type, department, author
+// and status. A search term matches a word exactly, as a prefix, inside it,
+// or within a small edit distance ("Finanse", "Jonh"), and every term must
+// match somewhere. Terms with more than one word ("budget analysis") are
+// phrases and must appear as written.
+// A report's relevance is the sum, over terms, of its best match: how close
+// the match is, weighted by the field it's in.
+
+// Field -> weight; a title hit counts for more than a status hit
+export const SEARCH_FIELDS = {
+  title: 3,
+  type: 2,
+  department: 2,
+  author: 2,
+  status: 1
+}
+
+const MATCH_QUALITY = { exact: 1, prefix: 0.8, infix: 0.5, typo: 0.6 }
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu
+
+const toWords = (text) => String(text ?? '').toLowerCase().match(WORD_PATTERN) ?? []
+
+// Typos allowed for a term of this length: none for short terms, where
+// one edit would match almost anything
+const maxTypos = (length) => (length <= 3 ? 0 : length <= 7 ? 1 : 2)
+
+// Optimal string alignment distance (Levenshtein plus adjacent
+// transpositions), or Infinity once it's certain to exceed `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return Infinity
+
+  let previous2 = null
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1)
+      }
+      rowMin = Math.min(rowMin, current[j])
+    }
+    if (rowMin > max) return Infinity
+    previous2 = previous
+    previous = current
+  }
+  return previous[b.length] <= max ? previous[b.length] : Infinity
+}
+
+/**
+ * How well a single-word term matches a word
+ *
+ * @param {string} term - Lowercased search term
+ * @param {string} word - Lowercased indexed word
+ * @returns {{ quality: number, start: number, end: number }|null} - Match
+ *   quality (0-1) and the matched part of the word, or null for no match
+ */
+export const matchWord = (term, word) => {
+  if (word === term) return { quality: MATCH_QUALITY.exact, start: 0, end: word.length }
+  if (word.startsWith(term)) return { quality: MATCH_QUALITY.prefix, start: 0, end: term.length }
+
+  const index = term.length >= 3 ? word.indexOf(term) : -1
+  if (index !== -1) return { quality: MATCH_QUALITY.infix, start: index, end: index + term.length }
+
+  const typos = editDistance(term, word, maxTypos(term.length))
+  if (typos === Infinity) return null
+  return { quality: MATCH_QUALITY.typo / typos, start: 0, end: word.length }
+}
+
+// Single-word terms are matched against words; anything else is a phrase
+const toSearchTerms = (terms) => terms.flatMap((term) => {
+  const words = toWords(term)
+  if (words.length === 0) return []
+  return [words.length === 1 ? { word: words[0] } : { phrase: words.join(' ') }]
+})
+
+/**
+ * Builds a search index over a set of reports
+ *
+ * @param {Array} reports - Reports to index
+ * @returns {{ search: Function }} - `search(terms)` returns a Map of report
+ *   id -> relevance for the reports matching every term (every report, with
+ *   relevance 0, when there are no terms)
+ */
+export const createSearchIndex = (reports) => {
+  // word -> Map(report id -> weight of the heaviest field containing it)
+  const postings = new Map()
+  // report id -> field -> its words joined by single spaces, for phrases
+  const fieldText = new Map()
+
+  reports.forEach((report) => {
+    const texts = {}
+    Object.entries(SEARCH_FIELDS).forEach(([field, weight]) => {
+      const words = toWords(report[field])
+      texts[field] = words.join(' ')
+      words.forEach((word) => {
+        if (!postings.has(word)) postings.set(word, new Map())
+        const ids = postings.get(word)
+        ids.set(report.id, Math.max(ids.get(report.id) ?? 0, weight))
+      })
+    })
+    fieldText.set(report.id, texts)
+  })
+
+  const scoreWord = (term) => {
+    const scores = new Map()
+    postings.forEach((ids, word) => {
+      const match = matchWord(term, word)
+      if (!match) return
+      ids.forEach((weight, id) => {
+        scores.set(id, Math.max(scores.get(id) ?? 0, weight * match.quality))
+      })
+    })
+    return scores
+  }
+
+  const scorePhrase = (phrase, candidates) => {
+    const scores = new Map()
+    candidates.forEach((id) => {
+      const texts = fieldText.get(id)
+      const weight = Math.max(0, ...Object.keys(SEARCH_FIELDS)
+        .filter(field => ` ${texts[field]} `.includes(` ${phrase} `))
+        .map(field => SEARCH_FIELDS[field]))
+      if (weight > 0) scores.set(id, weight * MATCH_QUALITY.exact)
+    })
+    return scores
+  }
+
+  return {
+    search(terms = []) {
+      let results = new Map(reports.map(report => [report.id, 0]))
+
+      toSearchTerms(terms).forEach(({ word, phrase }) => {
+        if (results.size === 0) return
+        const scores = word ? scoreWord(word) : scorePhrase(phrase, [...results.keys()])
+        const next = new Map()
+        results.forEach((score, id) => {
+          if (scores.has(id)) next.set(id, score + scores.get(id))
+        })
+        results = next
+      })
+
+      return results
+    }
+  }
+}
+
+/**
+ * Relevance of a single report, as createSearchIndex would score it
+ *
+ * @param {Object} report - Report to score
+ * @param {Array<string>} terms - Search terms
+ * @returns {number|null} - Relevance, or null when a term doesn't match
+ */
+export const scoreReport = (report, terms) =>
+  createSearchIndex([report]).search(terms).get(report.id) ?? null
+
+/**
+ * Finds the parts of a piece of text matched by search terms, for highlighting
+ *
+ * @param {string} text - Displayed text
+ * @param {Array<string>} terms - Search terms
+ * @returns {Array<{ start: number, end: number }>} - Matched ranges in
+ *   order, without overlaps
+ */
+export const findMatchRanges = (text, terms = []) => {
+  const value = String(text ?? '')
+  const searchTerms = toSearchTerms(terms)
+  if (!value || searchTerms.length === 0) return []
+
+  const words = [...value.matchAll(WORD_PATTERN)].map(match => ({
+    text: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+  }))
+  const ranges = []
+
+  searchTerms.forEach(({ word, phrase }) => {
+    if (word) {
+      words.forEach((candidate) => {
+        const match = matchWord(word, candidate.text)
+        if (match) ranges.push({ start: candidate.start + match.start, end: candidate.start + match.end })
+      })
+      return
+    }
+
+    // A phrase spans consecutive words, whatever separates them in the text
+    const length = phrase.split(' ').length
+    for (let i = 0; i + length <= words.length; i++) {
+      const run = words.slice(i, i + length)
+      if (run.map(candidate => candidate.text).join(' ') === phrase) {
+        ranges.push({ start: run[0].start, end: run[length - 1].end })
+      }
+    }
+  })
+
+  return ranges
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1]
+      if (last && range.start <= last.end) last.end = Math.max(last.end, range.end)
+      else merged.push({ ...range })
+      return merged
+    }, [])
+}
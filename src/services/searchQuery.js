@@ -0,0 +1,258 @@
+// Search query language shared by the mock API, the client-side query cache
+// and the search box
+//
+//   status:approved dept:Finance,HR records:>10000 "Budget Analysis" -archived
+//
+// - Bare words and "quoted phrases" must all match the report's title,
+//   department, author, type or status, words allowing for typos (see
+//   searchIndex.js); a leading `-` excludes reports containing them instead
+// - `field:value` clauses become structured filters (see reportFilters.js).
+//   List fields take comma-separated values and can be negated
+//   (`-status:archived`); number and date fields take a comparison
+//   (`>`, `>=`, `<`, `<=`), an exact value or an inclusive `a..b` range
+// - Anything that doesn't parse is reported in `errors` with its position
+//   and otherwise ignored, so a half-typed query never fails a request
+
+import {
+  DEPARTMENTS,
+  REPORT_STATUSES,
+  EXECUTION_STATUSES,
+  PRIORITIES,
+  REPORT_TYPES,
+  AUTHORS
+} from './reportSchema'
+
+const DAY = 24 * 60 * 60 * 1000
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 }
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 }
+
+// Query fields by the name they're written with. `filter` is the list
+// filter they set; `range` the [min, max] filters of number and date fields.
+export const QUERY_FIELDS = {
+  status: { kind: 'list', filter: 'status', values: [...REPORT_STATUSES, ...EXECUTION_STATUSES] },
+  dept: { kind: 'list', filter: 'department', values: DEPARTMENTS },
+  priority: { kind: 'list', filter: 'priority', values: PRIORITIES },
+  type: { kind: 'list', filter: 'type', values: REPORT_TYPES },
+  author: { kind: 'list', filter: 'author', values: AUTHORS },
+  records: { kind: 'number', range: ['recordCountMin', 'recordCountMax'] },
+  size: { kind: 'size', range: ['fileSizeMin', 'fileSizeMax'] },
+  time: { kind: 'duration', range: ['executionTimeMin', 'executionTimeMax'] },
+  created: { kind: 'date', range: ['dateFrom', 'dateTo'] },
+  updated: { kind: 'date', range: ['updatedFrom', 'updatedTo'] }
+}
+
+const FIELD_ALIASES = {
+  department: 'dept',
+  recordcount: 'records',
+  filesize: 'size',
+  executiontime: 'time',
+  duration: 'time',
+  createdat: 'created',
+  updatedat: 'updated'
+}
+
+const resolveField = (name) => {
+  const key = name.toLowerCase()
+  return QUERY_FIELDS[key] ? key : FIELD_ALIASES[key] ?? null
+}
+
+const unquote = (value) => value.replace(/^"|"$/g, '')
+
+// Splits on commas that aren't inside quotes
+const splitValues = (value) => value.match(/("[^"]*"?|[^,]+)/g) ?? []
+
+// Raw tokens: whitespace-separated, except that quotes keep spaces together
+const tokenize = (text) => {
+  const tokens = []
+  let i = 0
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++
+      continue
+    }
+    const start = i
+    let inQuotes = false
+    while (i < text.length && (inQuotes || !/\s/.test(text[i]))) {
+      if (text[i] === '"') inQuotes = !inQuotes
+      i++
+    }
+    tokens.push({ start, end: i, text: text.slice(start, i), unclosed: inQuotes })
+  }
+  return tokens
+}
+
+const parseAmount = (kind, raw) => {
+  const match = /^(\d+(?:\.\d+)?)([a-z]*)$/i.exec(raw)
+  if (!match) return null
+  const number = Number(match[1])
+  const unit = match[2].toLowerCase()
+
+  if (kind === 'number') return unit === '' ? Math.round(number) : null
+  if (kind === 'size') return SIZE_UNITS[unit || 'mb'] ? Math.round(number * SIZE_UNITS[unit || 'mb']) : null
+  if (kind === 'duration') return DURATION_UNITS[unit || 's'] ? Math.round(number * DURATION_UNITS[unit || 's']) : null
+  return null
+}
+
+// A day as [start, end] timestamps, or null if it isn't a valid YYYY-MM-DD
+const parseDay = (raw) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(raw)) return null
+  const start = new Date(`${raw}T00:00:00.000Z`)
+  if (Number.isNaN(start.getTime()) || !start.toISOString().startsWith(raw)) return null
+  return [start.getTime(), start.getTime() + DAY - 1]
+}
+
+// Parses a comparison into inclusive [min, max] bounds (either may be null)
+const parseBounds = (kind, raw) => {
+  const parseOne = kind === 'date' ? parseDay : (value) => {
+    const amount = parseAmount(kind, value)
+    return amount === null ? null : [amount, amount]
+  }
+
+  const range = /^(.+)\.\.(.+)$/.exec(raw)
+  if (range) {
+    const from = parseOne(range[1])
+    const to = parseOne(range[2])
+    return from && to ? [from[0], to[1]] : null
+  }
+
+  const [, operator = '', rest] = /^(>=|<=|>|<|=)?(.*)$/.exec(raw)
+  const value = parseOne(rest)
+  if (!value) return null
+  switch (operator) {
+    case '>': return [value[1] + 1, null]
+    case '>=': return [value[0], null]
+    case '<': return [null, value[0] - 1]
+    case '<=': return [null, value[1]]
+    default: return value
+  }
+}
+
+const describeExpected = (field, kind) => ({
+  number: `${field} takes a number, e.g. ${field}:>10000 or ${field}:100..500`,
+  size: `${field} takes a size, e.g. ${field}:>10MB`,
+  duration: `${field} takes a duration, e.g. ${field}:<30s`,
+  date: `${field} takes a date, e.g. ${field}:>=2024-01-01`
+})[kind]
+
+const addListValues = (target, filter, values) => {
+  target[filter] = [...new Set([...(target[filter] ?? []), ...values])]
+}
+
+// Later bounds only ever narrow the range. Dates are kept as ISO timestamps.
+const addBounds = (filters, kind, [minKey, maxKey], [min, max]) => {
+  const toTime = (value) => (kind === 'date' ? new Date(value).getTime() : value)
+  const fromTime = (time) => (kind === 'date' ? new Date(time).toISOString() : time)
+
+  if (min !== null) {
+    filters[minKey] = fromTime(filters[minKey] == null ? min : Math.max(toTime(filters[minKey]), min))
+  }
+  if (max !== null) {
+    filters[maxKey] = fromTime(filters[maxKey] == null ? max : Math.min(toTime(filters[maxKey]), max))
+  }
+}
+
+/**
+ * Parses a search box query
+ *
+ * @param {string} text - The query as typed
+ * @returns {Object} - {
+ *   terms: lowercased words/phrases that must all match,
+ *   excludedTerms: lowercased words/phrases that must not match,
+ *   filters: structured filters from field clauses,
+ *   exclude: list filters whose values must not match,
+ *   tokens: [{ start, end, text, field, negated, error }] for highlighting,
+ *   errors: [{ start, end, message }]
+ * }
+ */
+export const parseSearchQuery = (text = '') => {
+  const result = { terms: [], excludedTerms: [], filters: {}, exclude: {}, tokens: [], errors: [] }
+
+  tokenize(text).forEach((raw) => {
+    const negated = raw.text.startsWith('-') && raw.text.length > 1
+    const body = negated ? raw.text.slice(1) : raw.text
+    const token = { start: raw.start, end: raw.end, text: raw.text, field: null, negated, error: null }
+    result.tokens.push(token)
+
+    const fail = (message) => {
+      token.error = message
+      result.errors.push({ start: token.start, end: token.end, message })
+    }
+
+    if (raw.unclosed) return fail('Missing closing quote')
+
+    const clause = /^([a-z]+):(.*)$/i.exec(body)
+    if (!clause) {
+      const term = unquote(body).trim().toLowerCase()
+      if (term) (negated ? result.excludedTerms : result.terms).push(term)
+      return undefined
+    }
+
+    const [, name, value] = clause
+    const field = resolveField(name)
+    if (!field) return fail(`Unknown field "${name}". Try ${Object.keys(QUERY_FIELDS).join(', ')}`)
+    token.field = field
+    if (!value) return fail(`"${name}:" needs a value`)
+
+    const definition = QUERY_FIELDS[field]
+    if (definition.kind === 'list') {
+      const values = splitValues(value).map(unquote)
+      const resolved = values.map(item => definition.values.find(known => known.toLowerCase() === item.toLowerCase()))
+      const unknown = values.find((item, i) => !resolved[i])
+      if (unknown !== undefined) return fail(`Unknown ${field} "${unknown}"`)
+      addListValues(negated ? result.exclude : result.filters, definition.filter, resolved)
+      return undefined
+    }
+
+    if (negated) return fail(`${field} can't be negated; use a comparison instead`)
+    const bounds = parseBounds(definition.kind, value)
+    if (!bounds) return fail(describeExpected(field, definition.kind))
+    addBounds(result.filters, definition.kind, definition.range, bounds)
+    return undefined
+  })
+
+  return result
+}
+
+/**
+ * Autocomplete for the query at the caret: field names while typing a bare
+ * word, known values after a list field's colon
+ *
+ * @param {string} text - The query as typed
+ * @param {number} caret - Caret position
+ * @returns {{ from: number, to: number, options: Array<{ label: string, value: string }> }} -
+ *   Accepting an option replaces text[from, to) with its value
+ */
+export const getSearchSuggestions = (text = '', caret = text.length) => {
+  const none = { from: caret, to: caret, options: [] }
+  const token = tokenize(text).find(t => t.start < caret && caret <= t.end)
+  if (!token) return none
+
+  const negated = token.text.startsWith('-')
+  const start = token.start + (negated ? 1 : 0)
+  const typed = text.slice(start, caret)
+  if (typed.startsWith('"')) return none
+  const colon = typed.indexOf(':')
+
+  if (colon === -1) {
+    const prefix = typed.toLowerCase()
+    if (!prefix) return none
+    const options = Object.keys(QUERY_FIELDS)
+      .filter(field => field.startsWith(prefix) && field !== prefix)
+      .map(field => ({ label: `${field}:`, value: `${field}:` }))
+    return { from: start, to: token.end, options }
+  }
+
+  const field = resolveField(typed.slice(0, colon))
+  const definition = QUERY_FIELDS[field]
+  if (definition?.kind !== 'list') return none
+
+  // Only the value after the last comma is being typed
+  const valueStart = start + colon + 1 + typed.slice(colon + 1).lastIndexOf(',') + 1
+  const prefix = unquote(text.slice(valueStart, caret)).toLowerCase()
+  const chosen = splitValues(typed.slice(colon + 1)).slice(0, -1).map(unquote)
+  const options = definition.values
+    .filter(value => value.toLowerCase().startsWith(prefix) && !chosen.includes(value))
+    .map(value => ({ label: value, value: value.includes(' ') ? `"${value}"` : value }))
+
+  return { from: valueStart, to: token.end, options }
+}
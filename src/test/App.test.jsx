@@ -0,0 +1,66 @@
+import { render, screen, waitFor, within } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import userEvent from '@testing-library/user-event'
+import App from '../App'
+import { reportsAPI } from '../services/reportsAPI'
+import { reportsCache } from '../services/reportsCache'
+import { ValidationError } from '../services/reportsErrors'
+
+vi.mock('../services/reportsAPI', () => ({
+  reportsAPI: {
+    getReports: vi.fn(),
+    getReportsSummary: vi.fn(),
+    updateReport: vi.fn(),
+    subscribeToReportUpdates: vi.fn(() => () => {})
+  }
+}))
+
+describe('App', () => {
+  const report = {
+    id: 1,
+    title: 'Budget Analysis 1',
+    type: 'Budget Analysis',
+    department: 'Finance',
+    status: 'draft',
+    priority: 'low',
+    author: 'John Smith',
+    createdAt: '2024-01-15T10:30:00Z',
+    updatedAt: '2024-01-16T14:20:00Z',
+    recordCount: 0,
+    fileSize: 0,
+    executionTime: 0
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    reportsCache.clear()
+    localStorage.clear()
+    reportsAPI.getReports.mockResolvedValue({
+      data: { reports: [report], pagination: { currentPage: 1, totalPages: 1, totalCount: 1 } }
+    })
+    reportsAPI.getReportsSummary.mockResolvedValue({ data: { total: 1, byStatus: {}, byDepartment: {} } })
+  })
+
+  it('should keep the edit form open with the fields the server rejects', async () => {
+    const user = userEvent.setup()
+    reportsAPI.updateReport.mockRejectedValue(new ValidationError({ title: 'Title is already taken' }))
+    render(<App />)
+
+    await user.click(await screen.findByRole('button', { name: /actions for budget analysis 1/i }))
+    await user.click(screen.getByRole('menuitem', { name: /edit/i }))
+    const dialog = screen.getByRole('dialog', { name: 'Edit Report' })
+    const title = within(dialog).getByLabelText(/title/i)
+    await user.clear(title)
+    await user.type(title, 'Budget Analysis 2')
+    await user.click(within(dialog).getByRole('button', { name: /save changes/i }))
+
+    expect(await within(dialog).findByText('Title is already taken')).toBeInTheDocument()
+    expect(dialog).toBeInTheDocument()
+    expect(title).toHaveValue('Budget Analysis 2')
+    expect(title).toHaveAttribute('aria-invalid', 'true')
+    // The optimistic edit is rolled back in the table
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: /actions for budget analysis 1/i })).toBeInTheDocument()
+    })
+  })
+})
@@ -0,0 +1,56 @@
+import { render, screen } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+import userEvent from '@testing-library/user-event'
+import { ColumnChooser } from '../components/ColumnChooser'
+
+describe('ColumnChooser', () => {
+  const columns = [
+    { id: 'title', label: 'Title' },
+    { id: 'status', label: 'Status' },
+    { id: 'type', label: 'Type' }
+  ]
+
+  const renderChooser = (props = {}) => {
+    const handlers = {
+      onColumnVisibilityChange: vi.fn(),
+      onColumnOrderChange: vi.fn(),
+      onReset: vi.fn()
+    }
+    render(<ColumnChooser columns={columns} {...handlers} {...props} />)
+    return handlers
+  }
+
+  it('should list columns in their current order and toggle them', async () => {
+    const user = userEvent.setup()
+    const { onColumnVisibilityChange } = renderChooser({
+      columnOrder: ['type'],
+      columnVisibility: { type: false }
+    })
+
+    await user.click(screen.getByRole('button', { name: /columns/i }))
+    const checkboxes = screen.getAllByRole('checkbox')
+
+    expect(checkboxes.map(checkbox => checkbox.closest('label').textContent)).toEqual(['Type', 'Title', 'Status'])
+    expect(screen.getByRole('checkbox', { name: 'Type' })).not.toBeChecked()
+
+    await user.click(screen.getByRole('checkbox', { name: 'Type' }))
+    expect(onColumnVisibilityChange).toHaveBeenCalledWith({ type: true })
+  })
+
+  it('should move columns and keep the last visible one', async () => {
+    const user = userEvent.setup()
+    const { onColumnOrderChange, onReset } = renderChooser({
+      columnVisibility: { status: false, type: false }
+    })
+
+    await user.click(screen.getByRole('button', { name: /columns/i }))
+    expect(screen.getByRole('checkbox', { name: 'Title' })).toBeDisabled()
+    expect(screen.getByRole('button', { name: 'Move Title left' })).toBeDisabled()
+
+    await user.click(screen.getByRole('button', { name: 'Move Title right' }))
+    expect(onColumnOrderChange).toHaveBeenCalledWith(['status', 'title', 'type'])
+
+    await user.click(screen.getByRole('button', { name: 'Reset columns' }))
+    expect(onReset).toHaveBeenCalled()
+  })
+})
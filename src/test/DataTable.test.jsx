@@ -1,6 +1,8 @@
-import { render, screen } from '@testing-library/react'
-import { describe, it, expect } from 'vitest'
+import { render, screen, fireEvent, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, it, expect, vi } from 'vitest'
 import { DataTable } from '../components/DataTable'
+import { RowActions } from '../components/RowActions'
 
 describe('DataTable', () => {
   const mockData = [
@@ -69,6 +71,67 @@ describe('DataTable', () => {
     expect(screen.getByText('Page 1 of 1')).toBeInTheDocument()
   })
 
+  it('should mark the active row', () => {
+    render(<DataTable {...mockProps} activeRowId="1" />)
+
+    expect(screen.getByText('Test Report').closest('tr')).toHaveAttribute('aria-current', 'true')
+  })
+
+  describe('paging', () => {
+    const lastPage = Array.from({ length: 3 }, (_, i) => ({ id: 241 + i, title: `Report ${241 + i}` }))
+    const pagedProps = {
+      ...mockProps,
+      data: lastPage,
+      pagination: { pageIndex: 24, pageSize: 10, pageCount: 25 },
+      totalCount: 243
+    }
+
+    it('should count results from the total rather than whole pages', () => {
+      render(<DataTable {...pagedProps} />)
+
+      expect(screen.getByText('Showing 241 to 243 of 243 results')).toBeInTheDocument()
+    })
+
+    it('should link the first, last and nearby pages', () => {
+      const onPaginationChange = vi.fn()
+      render(<DataTable {...pagedProps} pagination={{ ...pagedProps.pagination, pageIndex: 9 }} onPaginationChange={onPaginationChange} />)
+
+      const pages = screen.getByRole('navigation', { name: 'Pages' })
+      expect(within(pages).getAllByRole('button').map(button => button.textContent))
+        .toEqual(['1', '8', '9', '10', '11', '12', '25'])
+      expect(within(pages).getByRole('button', { name: 'Page 10' })).toHaveAttribute('aria-current', 'page')
+
+      fireEvent.click(within(pages).getByRole('button', { name: 'Page 12' }))
+      expect(onPaginationChange.mock.calls[0][0]({ pageIndex: 9, pageSize: 10 })).toEqual({ pageIndex: 11, pageSize: 10 })
+    })
+
+    it('should jump to a typed page, clamped to the pages there are', () => {
+      const onPaginationChange = vi.fn()
+      render(<DataTable {...pagedProps} onPaginationChange={onPaginationChange} />)
+
+      const input = screen.getByLabelText('Go to page')
+      fireEvent.change(input, { target: { value: '7' } })
+      fireEvent.click(screen.getByRole('button', { name: 'Go' }))
+      expect(onPaginationChange.mock.calls[0][0]({ pageIndex: 24, pageSize: 10 })).toMatchObject({ pageIndex: 6 })
+      expect(input).toHaveValue(null)
+
+      fireEvent.change(input, { target: { value: '99' } })
+      fireEvent.submit(input.closest('form'))
+      expect(onPaginationChange.mock.calls[1][0]({ pageIndex: 24, pageSize: 10 })).toMatchObject({ pageIndex: 24 })
+    })
+
+    it('should change the page size when given options', () => {
+      const onPaginationChange = vi.fn()
+      const { rerender } = render(<DataTable {...pagedProps} onPaginationChange={onPaginationChange} />)
+      expect(screen.queryByLabelText('Rows per page')).not.toBeInTheDocument()
+
+      rerender(<DataTable {...pagedProps} onPaginationChange={onPaginationChange} pageSizeOptions={[10, 25, 50, 100]} />)
+      fireEvent.change(screen.getByLabelText('Rows per page'), { target: { value: '50' } })
+      // Stays on the page holding the first row in view
+      expect(onPaginationChange.mock.calls[0][0]({ pageIndex: 24, pageSize: 10 })).toEqual({ pageIndex: 4, pageSize: 50 })
+    })
+  })
+
   it('should render column headers as buttons for sorting', () => {
     render(<DataTable {...mockProps} />)
     
@@ -78,4 +141,171 @@ describe('DataTable', () => {
     expect(titleHeader).toBeInTheDocument()
     expect(statusHeader).toBeInTheDocument()
   })
+
+  it('should add shift-clicked columns to the sort and show their priority', () => {
+    const onSortingChange = vi.fn()
+    const sorting = [{ id: 'department', desc: false }, { id: 'title', desc: true }]
+    render(<DataTable {...mockProps} sorting={sorting} onSortingChange={onSortingChange} />)
+
+    expect(screen.getByLabelText('Sort priority 1').closest('th')).toHaveTextContent('Department')
+    expect(screen.getByLabelText('Sort priority 2').closest('th')).toHaveAttribute('aria-sort', 'descending')
+
+    fireEvent.click(screen.getByRole('button', { name: /status/i }), { shiftKey: true })
+    const updater = onSortingChange.mock.calls[0][0]
+    expect(updater(sorting)).toEqual([...sorting, { id: 'status', desc: false }])
+  })
+
+  it('should key rows by id and highlight selected rows', () => {
+    const { container } = render(
+      <DataTable
+        {...mockProps}
+        rowSelection={{ 1: true }}
+        onRowSelectionChange={() => {}}
+      />
+    )
+
+    expect(container.querySelector('tbody tr')).toHaveClass('bg-blue-50')
+  })
+
+  it('should move a dragged header to where it is dropped, leaving pinned columns alone', () => {
+    const onColumnOrderChange = vi.fn()
+    const columns = [{ id: 'select', header: 'Select' }, ...mockColumns]
+    render(
+      <DataTable
+        {...mockProps}
+        columns={columns}
+        columnOrder={[]}
+        onColumnOrderChange={onColumnOrderChange}
+        columnPinning={{ left: ['select'] }}
+      />
+    )
+    const header = (name) => screen.getByText(name).closest('th')
+
+    expect(header('Select')).toHaveAttribute('draggable', 'false')
+    expect(header('Title')).toHaveAttribute('draggable', 'true')
+
+    const dataTransfer = { setData: vi.fn() }
+    fireEvent.dragStart(header('Title'), { dataTransfer })
+    fireEvent.dragOver(header('Department'), { dataTransfer })
+    expect(header('Department')).toHaveClass('bg-blue-50')
+    fireEvent.drop(header('Department'), { dataTransfer })
+
+    const updater = onColumnOrderChange.mock.calls[0][0]
+    const order = typeof updater === 'function' ? updater([]) : updater
+    expect(order).toEqual(['select', 'status', 'department', 'title'])
+  })
+
+  it('should resize columns from their handles', () => {
+    const onColumnSizingChange = vi.fn()
+    render(
+      <DataTable
+        {...mockProps}
+        columnSizing={{ title: 200 }}
+        onColumnSizingChange={onColumnSizingChange}
+      />
+    )
+
+    const handle = screen.getByRole('separator', { name: 'Resize Title column' })
+    expect(handle).toHaveAttribute('aria-valuenow', '200')
+    expect(screen.getByText('Title').closest('th')).toHaveStyle({ width: '200px' })
+
+    fireEvent.keyDown(handle, { key: 'ArrowRight' })
+    const updater = onColumnSizingChange.mock.calls[0][0]
+    expect(updater({ title: 200 })).toEqual({ title: 216 })
+  })
+
+  it('should not offer resizing unless sizing is controlled', () => {
+    render(<DataTable {...mockProps} />)
+
+    expect(screen.queryByRole('separator')).not.toBeInTheDocument()
+  })
+
+  describe('infinite mode', () => {
+    const manyRows = Array.from({ length: 100 }, (_, i) => ({ id: i + 1, title: `Report ${i + 1}`, status: 'draft', department: 'IT' }))
+    const infiniteProps = { ...mockProps, data: manyRows, mode: 'infinite', totalCount: 250 }
+
+    const scrollContainer = () => screen.getByRole('table').parentElement
+    const scrollTo = (top) => {
+      scrollContainer().scrollTop = top
+      fireEvent.scroll(scrollContainer())
+    }
+
+    it('should render only the rows around the viewport', () => {
+      render(<DataTable {...infiniteProps} />)
+
+      expect(screen.getByText('Report 1')).toBeInTheDocument()
+      expect(screen.queryByText('Report 60')).not.toBeInTheDocument()
+
+      scrollTo(56 * 50)
+      expect(screen.queryByText('Report 1')).not.toBeInTheDocument()
+      expect(screen.getByText('Report 60')).toBeInTheDocument()
+    })
+
+    it('should ask for more rows near the end and report the first row in view', () => {
+      const onLoadMore = vi.fn()
+      const onTopRowChange = vi.fn()
+      render(<DataTable {...infiniteProps} hasMore onLoadMore={onLoadMore} onTopRowChange={onTopRowChange} />)
+
+      expect(onLoadMore).not.toHaveBeenCalled()
+      scrollTo(56 * 75)
+      expect(onLoadMore).toHaveBeenCalled()
+      expect(onTopRowChange).toHaveBeenLastCalledWith(75)
+    })
+
+    it('should keep headers in view and count the loaded rows instead of paging', () => {
+      render(<DataTable {...infiniteProps} hasMore loadingMore />)
+
+      expect(screen.getByRole('columnheader', { name: /title/i })).toHaveClass('sticky')
+      expect(screen.getByText('Showing 100 of 250 results')).toBeInTheDocument()
+      expect(screen.queryByRole('button', { name: /next/i })).not.toBeInTheDocument()
+    })
+
+    it('should let a row action menu open past the row', async () => {
+      const user = userEvent.setup()
+      const onAction = vi.fn()
+      const columns = [
+        ...mockColumns,
+        {
+          id: 'actions',
+          meta: { overflow: 'visible' },
+          cell: ({ row }) => <RowActions report={row.original} onAction={onAction} />
+        }
+      ]
+      render(<DataTable {...infiniteProps} columns={columns} />)
+
+      await user.click(screen.getByRole('button', { name: 'Actions for Report 1' }))
+      const menu = screen.getByRole('menu')
+      // Nothing between the menu and the scrolling table cuts it off at the row
+      for (let el = menu.parentElement; el !== scrollContainer(); el = el.parentElement) {
+        expect(el).not.toHaveClass('overflow-hidden')
+      }
+
+      await user.click(within(menu).getByRole('menuitem', { name: 'Edit' }))
+      expect(onAction).toHaveBeenCalledWith('edit', manyRows[0])
+    })
+
+    it('should follow the active row when it moves, but not pull the view back to it', () => {
+      const { rerender } = render(<DataTable {...infiniteProps} activeRowId="80" />)
+      // 640px fallback viewport: row 80 ends at 80 * 56
+      expect(scrollContainer().scrollTop).toBe(80 * 56 - 640)
+
+      // A new sort puts it 21st
+      const reversed = [...manyRows].reverse()
+      rerender(<DataTable {...infiniteProps} data={reversed} activeRowId="80" />)
+      expect(scrollContainer().scrollTop).toBe(20 * 56)
+
+      scrollTo(0)
+      rerender(<DataTable {...infiniteProps} data={[...reversed]} activeRowId="80" />)
+      expect(scrollContainer().scrollTop).toBe(0)
+    })
+
+    it('should return to the top when the query changes', () => {
+      const { rerender } = render(<DataTable {...infiniteProps} scrollKey="a" />)
+      scrollTo(56 * 50)
+
+      rerender(<DataTable {...infiniteProps} scrollKey="b" />)
+      expect(scrollContainer().scrollTop).toBe(0)
+      expect(screen.getByText('Report 1')).toBeInTheDocument()
+    })
+  })
 })
@@ -66,6 +66,87 @@ describe('FiltersForm Integration Tests', () => {
     )
   })
 
+  it('should hydrate from initial filters and follow external changes', () => {
+    const { rerender } = render(
+      <FiltersForm onSubmit={mockOnSubmit} initialFilters={{ status: 'draft', search: 'budget' }} />
+    )
+
+    expect(screen.getByLabelText(/status/i)).toHaveTextContent('draft')
+    expect(screen.getByLabelText(/search/i)).toHaveValue('budget')
+
+    // e.g. back/forward navigation restoring an earlier view
+    rerender(<FiltersForm onSubmit={mockOnSubmit} initialFilters={{ department: ['HR', 'IT'], fileSizeMin: 5242880 }} />)
+
+    expect(screen.getByLabelText(/status/i)).toHaveTextContent('All Statuses')
+    expect(screen.getByLabelText(/department/i)).toHaveTextContent('2 selected')
+    expect(screen.getByLabelText('File Size (MB) minimum')).toHaveValue(5)
+    expect(mockOnSubmit).not.toHaveBeenCalled()
+  })
+
+  it('should submit every checked value of a multi-select filter', async () => {
+    const user = userEvent.setup()
+    render(<FiltersForm onSubmit={mockOnSubmit} />)
+
+    const statusButton = screen.getByLabelText(/status/i)
+    await user.click(statusButton)
+    await user.click(screen.getByRole('checkbox', { name: 'draft' }))
+    await user.click(screen.getByRole('checkbox', { name: 'failed' }))
+
+    expect(statusButton).toHaveTextContent('2 selected')
+    expect(mockOnSubmit).toHaveBeenLastCalledWith(expect.objectContaining({ status: ['draft', 'failed'] }))
+  })
+
+  it('should submit range bounds in API units once typing settles', async () => {
+    const user = userEvent.setup()
+    render(<FiltersForm onSubmit={mockOnSubmit} />)
+
+    await user.type(screen.getByLabelText('Run Time (s) maximum'), '90')
+
+    await waitFor(() => {
+      expect(mockOnSubmit).toHaveBeenCalledWith(expect.objectContaining({ executionTimeMax: 90000 }))
+    })
+    expect(mockOnSubmit).toHaveBeenCalledTimes(1)
+  })
+
+  it('should highlight query errors and hold the search until they are fixed', async () => {
+    const user = userEvent.setup()
+    render(<FiltersForm onSubmit={mockOnSubmit} />)
+
+    const searchInput = screen.getByLabelText(/search/i)
+    await user.type(searchInput, 'priority:urgent')
+
+    expect(searchInput).toHaveAttribute('aria-invalid', 'true')
+    expect(searchInput).toHaveAccessibleDescription('Unknown priority "urgent"')
+    await new Promise(resolve => setTimeout(resolve, 400))
+    expect(mockOnSubmit).not.toHaveBeenCalled()
+
+    await user.clear(searchInput)
+    await user.type(searchInput, 'priority:high')
+
+    expect(searchInput).toHaveAttribute('aria-invalid', 'false')
+    await waitFor(() => {
+      expect(mockOnSubmit).toHaveBeenCalledWith(expect.objectContaining({ search: 'priority:high' }))
+    })
+  })
+
+  it('should autocomplete field names and values', async () => {
+    const user = userEvent.setup()
+    render(<FiltersForm onSubmit={mockOnSubmit} />)
+
+    const searchInput = screen.getByLabelText(/search/i)
+    await user.type(searchInput, 'dep')
+    expect(screen.getByRole('option', { name: 'dept:' })).toHaveAttribute('aria-selected', 'true')
+
+    await user.keyboard('{Enter}')
+    expect(searchInput).toHaveValue('dept:')
+
+    await user.type(searchInput, 'fin')
+    await user.click(screen.getByRole('option', { name: 'Finance' }))
+
+    expect(searchInput).toHaveValue('dept:Finance ')
+    expect(screen.queryByRole('listbox', { name: /query suggestions/i })).not.toBeInTheDocument()
+  })
+
   it('should show export button when implemented', () => {
     render(<FiltersForm onSubmit={mockOnSubmit} />)
     
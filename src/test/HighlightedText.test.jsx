@@ -0,0 +1,18 @@
+import { render } from '@testing-library/react'
+import { describe, it, expect } from 'vitest'
+import { HighlightedText } from '../components/HighlightedText'
+
+describe('HighlightedText', () => {
+  it('should mark exact and fuzzy matches', () => {
+    const { container } = render(<HighlightedText text="Budget Analysis for Finance" terms={['budg', 'finanse']} />)
+
+    expect(container).toHaveTextContent('Budget Analysis for Finance')
+    expect([...container.querySelectorAll('mark')].map(mark => mark.textContent)).toEqual(['Budg', 'Finance'])
+  })
+
+  it('should render plain text without search terms', () => {
+    const { container } = render(<HighlightedText text="Budget Analysis" />)
+
+    expect(container.innerHTML).toBe('Budget Analysis')
+  })
+})
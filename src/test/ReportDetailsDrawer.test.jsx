@@ -0,0 +1,97 @@
+import { render, screen } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import userEvent from '@testing-library/user-event'
+import { ReportDetailsDrawer } from '../components/ReportDetailsDrawer'
+
+describe('ReportDetailsDrawer', () => {
+  const report = {
+    id: 7,
+    title: 'Budget Analysis 2',
+    type: 'Budget Analysis',
+    department: 'Finance',
+    author: 'Sarah Johnson',
+    status: 'completed',
+    priority: 'high',
+    createdAt: '2024-01-15T10:30:00Z',
+    updatedAt: '2024-01-16T14:20:00Z',
+    recordCount: 12345,
+    fileSize: 9961472,
+    executionTime: 12000
+  }
+  const details = {
+    ...report,
+    activity: [
+      { type: 'execution-completed', at: '2024-01-16T14:20:00Z', metrics: { recordCount: 12345, fileSize: 9961472, executionTime: 12000 } },
+      { type: 'updated', at: '2024-01-16T09:00:00Z', actor: 'Current User', changes: { priority: { from: 'low', to: 'high' } } },
+      { type: 'created', at: '2024-01-15T10:30:00Z', actor: 'Sarah Johnson' }
+    ]
+  }
+  const handlers = { onPrevious: vi.fn(), onNext: vi.fn(), onClose: vi.fn(), onRetry: vi.fn() }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should show the full record, its metrics and its activity', () => {
+    render(<ReportDetailsDrawer isOpen report={report} details={details} {...handlers} />)
+
+    expect(screen.getByRole('dialog', { name: 'Budget Analysis 2' })).toHaveFocus()
+    expect(screen.getByText('Report #7')).toBeInTheDocument()
+    expect(screen.getByText('Finance')).toBeInTheDocument()
+    expect(screen.getByText('9.5 MB')).toBeInTheDocument()
+    expect(screen.getAllByRole('listitem').map(item => item.querySelector('p').textContent)).toEqual([
+      'Execution completed: 12,345 records, 9.5 MB in 12.0s',
+      'Current User changed priority from "low" to "high"',
+      'Created by Sarah Johnson'
+    ])
+  })
+
+  it('should show the row while the activity loads, and offer a retry when it fails', async () => {
+    const user = userEvent.setup()
+    const { rerender } = render(<ReportDetailsDrawer isOpen report={report} loading {...handlers} />)
+    expect(screen.getByText('Sarah Johnson')).toBeInTheDocument()
+    expect(screen.getByText('Loading activity...')).toBeInTheDocument()
+
+    rerender(<ReportDetailsDrawer isOpen report={report} error="Report not found" {...handlers} />)
+    await user.click(screen.getByRole('button', { name: 'Retry' }))
+    expect(handlers.onRetry).toHaveBeenCalled()
+  })
+
+  it('should move between rows and close from the keyboard', async () => {
+    const user = userEvent.setup()
+    render(<ReportDetailsDrawer isOpen report={report} details={details} {...handlers} />)
+
+    await user.keyboard('{ArrowDown}j')
+    expect(handlers.onNext).toHaveBeenCalledTimes(2)
+    await user.keyboard('{ArrowUp}')
+    expect(handlers.onPrevious).toHaveBeenCalledTimes(1)
+    await user.keyboard('{Escape}')
+    expect(handlers.onClose).toHaveBeenCalled()
+  })
+
+  it('should leave the keyboard alone at the ends, in fields and while a dialog has it', async () => {
+    const user = userEvent.setup()
+    const { rerender } = render(
+      <>
+        <input aria-label="Search" />
+        <ReportDetailsDrawer isOpen report={report} details={details} {...handlers} onPrevious={undefined} />
+      </>
+    )
+    expect(screen.getByRole('button', { name: 'Previous report' })).toBeDisabled()
+
+    await user.click(screen.getByLabelText('Search'))
+    await user.keyboard('j{ArrowDown}')
+    expect(handlers.onNext).not.toHaveBeenCalled()
+
+    rerender(
+      <>
+        <input aria-label="Search" />
+        <ReportDetailsDrawer isOpen report={report} details={details} {...handlers} keyboardEnabled={false} />
+      </>
+    )
+    screen.getByRole('dialog').focus()
+    await user.keyboard('{ArrowDown}{Escape}')
+    expect(handlers.onNext).not.toHaveBeenCalled()
+    expect(handlers.onClose).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,129 @@
+import { render, screen, waitFor } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import userEvent from '@testing-library/user-event'
+import { ReportFormModal } from '../components/ReportFormModal'
+import { NotFoundError, ValidationError } from '../services/reportsErrors'
+
+describe('ReportFormModal', () => {
+  const mockOnSubmit = vi.fn()
+  const mockOnClose = vi.fn()
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockOnSubmit.mockResolvedValue({})
+  })
+
+  it('should not render when closed', () => {
+    render(<ReportFormModal isOpen={false} onSubmit={mockOnSubmit} onClose={mockOnClose} />)
+
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+  })
+
+  it('should show validation errors and not submit invalid input', async () => {
+    const user = userEvent.setup()
+    render(<ReportFormModal isOpen onSubmit={mockOnSubmit} onClose={mockOnClose} />)
+
+    await user.click(screen.getByRole('button', { name: /create report/i }))
+
+    expect(screen.getByText('Report title is required')).toBeInTheDocument()
+    expect(screen.getByText(/department must be one of/i)).toBeInTheDocument()
+    expect(screen.getByLabelText(/title/i)).toHaveAttribute('aria-invalid', 'true')
+    expect(mockOnSubmit).not.toHaveBeenCalled()
+  })
+
+  it('should submit normalized values and close on success', async () => {
+    const user = userEvent.setup()
+    render(<ReportFormModal isOpen onSubmit={mockOnSubmit} onClose={mockOnClose} />)
+
+    await user.type(screen.getByLabelText(/title/i), '  Q3 Budget  ')
+    await user.selectOptions(screen.getByLabelText(/department/i), 'Finance')
+    await user.selectOptions(screen.getByLabelText(/type/i), 'Budget Analysis')
+    await user.selectOptions(screen.getByLabelText(/priority/i), 'high')
+    await user.click(screen.getByRole('button', { name: /create report/i }))
+
+    expect(mockOnSubmit).toHaveBeenCalledWith({
+      title: 'Q3 Budget',
+      department: 'Finance',
+      type: 'Budget Analysis',
+      priority: 'high',
+      status: 'pending'
+    })
+    await waitFor(() => expect(mockOnClose).toHaveBeenCalled())
+  })
+
+  it('should pre-fill fields when editing and show API errors', async () => {
+    const user = userEvent.setup()
+    mockOnSubmit.mockRejectedValue(new NotFoundError(7))
+    const report = {
+      id: 7,
+      title: 'Weekly Analytics 2',
+      department: 'IT',
+      type: 'Weekly Analytics',
+      priority: 'low',
+      status: 'approved'
+    }
+    render(<ReportFormModal isOpen report={report} onSubmit={mockOnSubmit} onClose={mockOnClose} />)
+
+    expect(screen.getByText('Edit Report')).toBeInTheDocument()
+    expect(screen.getByLabelText(/title/i)).toHaveValue('Weekly Analytics 2')
+    expect(screen.getByLabelText(/status/i)).toHaveValue('approved')
+
+    await user.click(screen.getByRole('button', { name: /save changes/i }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(/no longer exists/i)
+    expect(mockOnClose).not.toHaveBeenCalled()
+  })
+
+  it('should save edits to an executed report without resending its status', async () => {
+    const user = userEvent.setup()
+    const report = {
+      id: 9,
+      title: 'Budget Analysis 2',
+      department: 'Finance',
+      type: 'Budget Analysis',
+      priority: 'low',
+      status: 'completed'
+    }
+    render(<ReportFormModal isOpen report={report} onSubmit={mockOnSubmit} onClose={mockOnClose} />)
+
+    expect(screen.getByLabelText(/status/i)).toHaveValue('completed')
+
+    await user.selectOptions(screen.getByLabelText(/priority/i), 'high')
+    await user.click(screen.getByRole('button', { name: /save changes/i }))
+
+    expect(mockOnSubmit).toHaveBeenCalledWith({
+      title: 'Budget Analysis 2',
+      department: 'Finance',
+      type: 'Budget Analysis',
+      priority: 'high'
+    })
+    await waitFor(() => expect(mockOnClose).toHaveBeenCalled())
+  })
+
+  it('should send a new status when an executed report is given one', async () => {
+    const user = userEvent.setup()
+    const report = { id: 9, title: 'Budget Analysis 2', department: 'Finance', type: 'Budget Analysis', priority: 'low', status: 'failed' }
+    render(<ReportFormModal isOpen report={report} onSubmit={mockOnSubmit} onClose={mockOnClose} />)
+
+    await user.selectOptions(screen.getByLabelText(/status/i), 'archived')
+    await user.click(screen.getByRole('button', { name: /save changes/i }))
+
+    expect(mockOnSubmit).toHaveBeenCalledWith(expect.objectContaining({ status: 'archived' }))
+  })
+
+  it('should highlight the fields rejected by the API', async () => {
+    const user = userEvent.setup()
+    mockOnSubmit.mockRejectedValue(new ValidationError({ department: 'Department is archived' }))
+    render(<ReportFormModal isOpen onSubmit={mockOnSubmit} onClose={mockOnClose} />)
+
+    await user.type(screen.getByLabelText(/title/i), 'Q3 Budget')
+    await user.selectOptions(screen.getByLabelText(/department/i), 'Finance')
+    await user.selectOptions(screen.getByLabelText(/type/i), 'Budget Analysis')
+    await user.click(screen.getByRole('button', { name: /create report/i }))
+
+    expect(await screen.findByText('Department is archived')).toBeInTheDocument()
+    expect(screen.getByLabelText(/department/i)).toHaveAttribute('aria-invalid', 'true')
+    expect(screen.getByLabelText(/title/i)).toHaveAttribute('aria-invalid', 'false')
+    expect(screen.getByRole('alert')).toHaveTextContent(/fix the highlighted fields/i)
+  })
+})
@@ -0,0 +1,34 @@
+import { render, screen } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import userEvent from '@testing-library/user-event'
+import { RowActions } from '../components/RowActions'
+
+describe('RowActions', () => {
+  const mockOnAction = vi.fn()
+  const report = { id: 3, title: 'User Activity 1' }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should open the menu and report the selected action', async () => {
+    const user = userEvent.setup()
+    render(<RowActions report={report} onAction={mockOnAction} />)
+
+    await user.click(screen.getByRole('button', { name: /actions for user activity 1/i }))
+    const items = screen.getAllByRole('menuitem').map(item => item.textContent)
+    expect(items).toEqual(['Execute', 'Edit', 'Duplicate', 'Delete'])
+
+    await user.click(screen.getByRole('menuitem', { name: /delete/i }))
+
+    expect(mockOnAction).toHaveBeenCalledWith('delete', report)
+    expect(screen.queryByRole('menu')).not.toBeInTheDocument()
+  })
+
+  it('should show pending state instead of the menu while an action runs', () => {
+    render(<RowActions report={report} pendingAction="execute" onAction={mockOnAction} />)
+
+    expect(screen.getByText('Executing...')).toBeInTheDocument()
+    expect(screen.queryByRole('button')).not.toBeInTheDocument()
+  })
+})
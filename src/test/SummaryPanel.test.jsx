@@ -0,0 +1,65 @@
+import { render, screen } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import userEvent from '@testing-library/user-event'
+import { SummaryPanel } from '../components/SummaryPanel'
+
+describe('SummaryPanel', () => {
+  const mockOnFilterSelect = vi.fn()
+  const mockOnRespectFiltersChange = vi.fn()
+
+  const summary = {
+    total: 12,
+    byStatus: { draft: 5, published: 7 },
+    byDepartment: { Finance: 8, IT: 4 }
+  }
+
+  const renderPanel = (props = {}) => render(
+    <SummaryPanel
+      summary={summary}
+      filters={{ search: 'budget' }}
+      respectFilters={false}
+      onRespectFiltersChange={mockOnRespectFiltersChange}
+      onFilterSelect={mockOnFilterSelect}
+      {...props}
+    />
+  )
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should render totals and breakdowns', () => {
+    renderPanel()
+
+    expect(screen.getByTestId('summary-total')).toHaveTextContent('12')
+    expect(screen.getByRole('button', { name: 'draft: 5 of 12' })).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: /finance/i })).toHaveTextContent('8')
+  })
+
+  it('should apply a status or department filter when a segment is clicked', async () => {
+    const user = userEvent.setup()
+    renderPanel()
+
+    await user.click(screen.getByRole('button', { name: 'published: 7 of 12' }))
+    expect(mockOnFilterSelect).toHaveBeenLastCalledWith({ search: 'budget', status: 'published' })
+
+    await user.click(screen.getByRole('button', { name: /finance/i }))
+    expect(mockOnFilterSelect).toHaveBeenLastCalledWith({ search: 'budget', department: 'Finance' })
+  })
+
+  it('should clear the filter when the active segment is clicked again', async () => {
+    const user = userEvent.setup()
+    renderPanel({ filters: { status: 'draft' } })
+
+    await user.click(screen.getByRole('button', { name: 'draft: 5 of 12' }))
+    expect(mockOnFilterSelect).toHaveBeenCalledWith({ status: '' })
+  })
+
+  it('should toggle scoping the summary to the current filters', async () => {
+    const user = userEvent.setup()
+    renderPanel()
+
+    await user.click(screen.getByLabelText(/match current filters/i))
+    expect(mockOnRespectFiltersChange).toHaveBeenCalledWith(true)
+  })
+})
@@ -0,0 +1,36 @@
+import { describe, it, expect, vi } from 'vitest'
+import { runBulkOperation } from '../lib/bulkOperations'
+
+describe('runBulkOperation', () => {
+  it('should chunk ids and report combined progress', async () => {
+    const request = vi.fn(async (ids) => ({
+      data: { succeeded: ids.map(id => ({ id })), failed: [] }
+    }))
+    const onProgress = vi.fn()
+    const ids = Array.from({ length: 60 }, (_, i) => i + 1)
+
+    const result = await runBulkOperation(ids, request, { chunkSize: 25, onProgress })
+
+    expect(request).toHaveBeenCalledTimes(3)
+    expect(request.mock.calls.map(([chunk]) => chunk.length)).toEqual([25, 25, 10])
+    expect(result.succeeded).toHaveLength(60)
+    expect(onProgress.mock.calls.map(([p]) => p.done)).toEqual([0, 25, 50, 60])
+  })
+
+  it('should collect per-item and whole-chunk failures', async () => {
+    const request = vi.fn()
+      .mockResolvedValueOnce({
+        data: { succeeded: [{ id: 1 }], failed: [{ id: 2, error: 'Report not found' }] }
+      })
+      .mockRejectedValueOnce(new Error('Network error'))
+
+    const result = await runBulkOperation([1, 2, 3, 4], request, { chunkSize: 2 })
+
+    expect(result.succeeded).toEqual([{ id: 1 }])
+    expect(result.failed).toEqual([
+      { id: 2, error: 'Report not found' },
+      { id: 3, error: 'Network error' },
+      { id: 4, error: 'Network error' }
+    ])
+  })
+})
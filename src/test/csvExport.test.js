@@ -314,4 +314,14 @@ describe('CSV Export Functionality', () => {
     expect(csv).not.toContain('draft')
     expect(csv).not.toContain('Marketing')
   })
+
+  it('should export only the given report fields, in the given order', async () => {
+    const csvExport = await import('../lib/csvExport.js')
+    const fields = ['title', 'select', 'type', 'id']
+
+    const formatted = csvExport.formatReportsForCSV([{ ...mockData[0], type: 'Budget Analysis' }], fields)
+    const csv = csvExport.convertToCSV(formatted, csvExport.getReportsCSVHeaders(fields))
+
+    expect(csv).toBe('Title,Type,ID\nQ1 Sales Report,Budget Analysis,1')
+  })
 })
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest'
+import { formatRecordCount, formatFileSize, formatDuration } from '../lib/formatMetrics'
+
+describe('formatMetrics', () => {
+  it('should format record counts with separators', () => {
+    expect(formatRecordCount(12345)).toBe((12345).toLocaleString())
+    expect(formatRecordCount(undefined)).toBe('0')
+  })
+
+  it('should format file sizes in binary units', () => {
+    expect(formatFileSize(512)).toBe('512 B')
+    expect(formatFileSize(1536)).toBe('1.5 KB')
+    expect(formatFileSize(9961472)).toBe('9.5 MB')
+    expect(formatFileSize(0)).toBe('0 B')
+  })
+
+  it('should format durations from milliseconds', () => {
+    expect(formatDuration(850)).toBe('850ms')
+    expect(formatDuration(9200)).toBe('9.2s')
+    expect(formatDuration(150000)).toBe('2m 30s')
+    expect(formatDuration(120000)).toBe('2m')
+  })
+})
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { createHttpReportsService } from '../services/httpReportsService'
+import { ERROR_CODES, NetworkError, ValidationError, NotFoundError, ConflictError } from '../services/reportsErrors'
+import { createMockReportsService } from '../services/mockReportsService'
+import { handleReportsRequest } from '../../server/reportsMockApi'
+
+const service = createMockReportsService({ seed: 42, failureRate: 0 })
+
+// fetch backed by the mock server's router, so requests take the same
+// path they do against `npm run dev`
+const mockServerFetch = vi.fn(async (url, { method, headers = {}, body, signal }) => {
+  const { status, body: responseBody } = await handleReportsRequest({
+    method,
+    url: url.replace(/^\/api/, ''),
+    headers: Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value])),
+    body: body ? JSON.parse(body) : undefined,
+    signal
+  }, service)
+  return new Response(JSON.stringify(responseBody), { status })
+})
+
+// Resolve a request by flushing the mock service's simulated network delay
+const flush = async (promise) => {
+  promise.catch(() => {}) // Rejections are asserted on the returned promise
+  await vi.runAllTimersAsync()
+  return promise
+}
+
+describe('createHttpReportsService', () => {
+  const api = createHttpReportsService({ baseUrl: '/api', fetch: mockServerFetch })
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    mockServerFetch.mockClear()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should encode list queries as REST requests', async () => {
+    const { data } = await flush(api.getReports({
+      page: 2,
+      pageSize: 5,
+      sort: [{ field: 'status', order: 'asc' }, { field: 'title', order: 'desc' }],
+      filters: { status: 'draft' },
+      search: ''
+    }))
+
+    const [url, init] = mockServerFetch.mock.calls[0]
+    expect(init.method).toBe('GET')
+    expect(url).toBe('/api/reports?page=2&pageSize=5&sort=status%3Aasc%2Ctitle%3Adesc&filters=%7B%22status%22%3A%22draft%22%7D')
+    expect(data.pagination).toMatchObject({ currentPage: 2, pageSize: 5 })
+    expect(data.reports.every(report => report.status === 'draft')).toBe(true)
+    const titles = data.reports.map(report => report.title)
+    expect(titles).toEqual([...titles].sort().reverse())
+  })
+
+  it('should round-trip mutations through the mock server', async () => {
+    const { data: created } = await flush(api.createReport({
+      title: 'Over HTTP',
+      department: 'Finance',
+      type: 'Budget Analysis'
+    }))
+    const { data: updated } = await flush(api.updateReport(created.id, { priority: 'high' }, {
+      expectedUpdatedAt: created.updatedAt
+    }))
+    const { data: summary } = await flush(api.getReportsSummary({ search: 'Over HTTP' }))
+
+    expect(mockServerFetch.mock.calls[1][0]).toBe(`/api/reports/${created.id}`)
+    expect(mockServerFetch.mock.calls[1][1].headers['If-Match']).toBe(created.updatedAt)
+    expect(updated).toMatchObject({ id: created.id, priority: 'high' })
+    expect(summary.total).toBe(1)
+  })
+
+  it('should load a single report with its activity', async () => {
+    const { data: report } = await flush(api.getReport(3))
+
+    expect(mockServerFetch.mock.calls[0][0]).toBe('/api/reports/3')
+    expect(mockServerFetch.mock.calls[0][1].method).toBe('GET')
+    expect(report).toMatchObject({ id: 3, activity: expect.arrayContaining([expect.objectContaining({ type: 'created' })]) })
+    await expect(flush(api.getReport(99999))).rejects.toBeInstanceOf(NotFoundError)
+  })
+
+  it('should rebuild typed errors from error responses', async () => {
+    const invalid = flush(api.createReport({ title: '', department: 'Finance', type: 'Budget Analysis' }))
+    await expect(invalid).rejects.toBeInstanceOf(ValidationError)
+    await expect(invalid).rejects.toMatchObject({ fields: { title: 'Report title is required' } })
+
+    await expect(flush(api.executeReport(99999))).rejects.toBeInstanceOf(NotFoundError)
+    await expect(flush(api.updateReport(1, { title: 'Stale' }, { expectedUpdatedAt: 'long ago' })))
+      .rejects.toBeInstanceOf(ConflictError)
+  })
+
+  it('should treat failed requests and unavailable servers as retryable network errors', async () => {
+    const offline = createHttpReportsService({
+      fetch: vi.fn().mockRejectedValue(new TypeError('Failed to fetch'))
+    })
+    const unavailable = createHttpReportsService({
+      fetch: vi.fn().mockResolvedValue(new Response('Bad gateway', { status: 502 }))
+    })
+
+    await expect(offline.getReports()).rejects.toBeInstanceOf(NetworkError)
+    await expect(unavailable.getReports()).rejects.toMatchObject({
+      code: ERROR_CODES.NETWORK,
+      retryable: true
+    })
+  })
+
+  it('should pass aborts through untouched', async () => {
+    const controller = new AbortController()
+    const pending = api.getReports({ signal: controller.signal })
+    controller.abort()
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' })
+  })
+})
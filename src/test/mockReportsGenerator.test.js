@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest'
+import { createRandom, generateMockReports } from '../services/mockReportsGenerator'
+
+describe('mockReportsGenerator', () => {
+  it('should produce the same sequence for the same seed', () => {
+    const a = createRandom(42)
+    const b = createRandom(42)
+    const c = createRandom(43)
+    const sequence = [a(), a(), a()]
+
+    expect([b(), b(), b()]).toEqual(sequence)
+    expect([c(), c(), c()]).not.toEqual(sequence)
+    expect(sequence.every(n => n >= 0 && n < 1)).toBe(true)
+  })
+
+  it('should generate identical reports for identical options', () => {
+    const options = { count: 50, seed: 7, endDate: '2025-06-30T00:00:00.000Z' }
+
+    expect(generateMockReports(options)).toEqual(generateMockReports(options))
+    expect(generateMockReports({ ...options, seed: 8 })).not.toEqual(generateMockReports(options))
+  })
+
+  it('should keep timestamps inside the date window', () => {
+    const endDate = '2025-06-30T00:00:00.000Z'
+    const reports = generateMockReports({ count: 200, seed: 1, endDate, days: 30 })
+    const end = new Date(endDate).getTime()
+    const start = end - 30 * 24 * 60 * 60 * 1000
+
+    expect(reports).toHaveLength(200)
+    reports.forEach(({ createdAt, updatedAt }) => {
+      expect(new Date(createdAt).getTime()).toBeGreaterThanOrEqual(start)
+      expect(new Date(createdAt).getTime()).toBeLessThanOrEqual(end)
+      expect(new Date(updatedAt).getTime()).toBeGreaterThanOrEqual(new Date(createdAt).getTime())
+      expect(new Date(updatedAt).getTime()).toBeLessThanOrEqual(end)
+    })
+  })
+})
@@ -0,0 +1,317 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { createMockReportsService } from '../services/mockReportsService'
+import { ERROR_CODES, ValidationError, NotFoundError, ConflictError } from '../services/reportsErrors'
+
+// Resolve a mock API call by flushing its simulated network delay
+const flush = async (promise) => {
+  promise.catch(() => {}) // Rejections are asserted on the returned promise
+  await vi.runAllTimersAsync()
+  return promise
+}
+
+describe('mockReportsService', () => {
+  let reportsAPI
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    reportsAPI = createMockReportsService({ seed: 42, failureRate: 0 })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should create reports with the same shape the list returns', async () => {
+    const { data: created } = await flush(reportsAPI.createReport({
+      title: '  Quarterly Budget  ',
+      department: 'Finance',
+      type: 'Budget Analysis',
+      priority: 'high'
+    }))
+
+    expect(created).toMatchObject({
+      title: 'Quarterly Budget',
+      department: 'Finance',
+      type: 'Budget Analysis',
+      priority: 'high',
+      status: 'pending',
+      author: expect.any(String),
+      createdAt: expect.any(String),
+      updatedAt: expect.any(String)
+    })
+    expect(created).not.toHaveProperty('name')
+    expect(created).not.toHaveProperty('lastModified')
+
+    const { data: list } = await flush(reportsAPI.getReports({ search: 'Quarterly Budget' }))
+    expect(list.reports[0]).toEqual(created)
+  })
+
+  it('should reject invalid reports with validation errors', async () => {
+    await expect(flush(reportsAPI.createReport({ title: ' ', department: 'Finance', type: 'Budget Analysis' })))
+      .rejects.toThrow('Validation error: Report title is required')
+    await expect(flush(reportsAPI.createReport({ title: 'Valid', department: 'Engineering', type: 'Budget Analysis' })))
+      .rejects.toThrow(/Validation error: Department must be one of/)
+  })
+
+  it('should reject with typed errors the UI can branch on', async () => {
+    const invalid = flush(reportsAPI.createReport({ title: '', department: 'Engineering', type: 'Budget Analysis' }))
+    await expect(invalid).rejects.toBeInstanceOf(ValidationError)
+    await expect(invalid).rejects.toMatchObject({
+      code: ERROR_CODES.VALIDATION,
+      fields: {
+        title: 'Report title is required',
+        department: expect.stringMatching(/Department must be one of/)
+      }
+    })
+
+    await expect(flush(reportsAPI.deleteReport(99999))).rejects.toBeInstanceOf(NotFoundError)
+    await expect(flush(reportsAPI.executeReport(99999)))
+      .rejects.toMatchObject({ code: ERROR_CODES.NOT_FOUND, status: 404, reportId: 99999 })
+  })
+
+  it('should reject conflicting updates and executions', async () => {
+    const { data: { reports: [report] } } = await flush(reportsAPI.getReports({ pageSize: 1, filters: { status: 'draft' } }))
+    vi.advanceTimersByTime(1000)
+    const { data: updated } = await flush(reportsAPI.updateReport(report.id, { title: 'Renamed' }))
+
+    const stale = flush(reportsAPI.updateReport(report.id, { title: 'Stale edit' }, { expectedUpdatedAt: report.updatedAt }))
+    await expect(stale).rejects.toBeInstanceOf(ConflictError)
+    await expect(stale).rejects.toMatchObject({ status: 409, report: { title: 'Renamed' } })
+    await expect(flush(reportsAPI.updateReport(report.id, { title: 'Fresh edit' }, { expectedUpdatedAt: updated.updatedAt })))
+      .resolves.toMatchObject({ data: { title: 'Fresh edit' } })
+
+    const running = reportsAPI.executeReport(report.id)
+    await vi.advanceTimersByTimeAsync(2400)
+    await running
+    await expect(flush(reportsAPI.executeReport(report.id)))
+      .rejects.toMatchObject({ code: ERROR_CODES.CONFLICT, message: 'Report is already running' })
+  })
+
+  it('should update editable fields and bump updatedAt', async () => {
+    const { data: { reports: [report] } } = await flush(reportsAPI.getReports({ pageSize: 1 }))
+    vi.advanceTimersByTime(1000)
+
+    const { data: updated } = await flush(reportsAPI.updateReport(report.id, { title: 'Renamed', id: 999 }))
+
+    expect(updated.id).toBe(report.id)
+    expect(updated.title).toBe('Renamed')
+    expect(new Date(updated.updatedAt) > new Date(report.updatedAt)).toBe(true)
+
+    // Resending a status only execution sets is accepted; setting one isn't
+    await flush(reportsAPI.executeReport(report.id))
+    const { data: executed } = await flush(reportsAPI.getReport(report.id))
+    expect(['completed', 'failed']).toContain(executed.status)
+    await expect(flush(reportsAPI.updateReport(report.id, { ...executed, title: 'Rerun' })))
+      .resolves.toMatchObject({ data: { title: 'Rerun', status: executed.status } })
+    await expect(flush(reportsAPI.updateReport(report.id, { status: executed.status === 'completed' ? 'failed' : 'completed' })))
+      .rejects.toThrow(/Validation error: Status must be one of/)
+    await expect(flush(reportsAPI.updateReport(report.id, { title: '' })))
+      .rejects.toThrow('Validation error: Report title is required')
+  })
+
+  it('should summarize only the reports matching the given filters', async () => {
+    const { data: all } = await flush(reportsAPI.getReportsSummary())
+    const { data: finance } = await flush(reportsAPI.getReportsSummary({ filters: { department: 'Finance' } }))
+    const { data: list } = await flush(reportsAPI.getReports({ filters: { department: 'Finance' } }))
+
+    expect(finance.total).toBe(list.pagination.totalCount)
+    expect(finance.total).toBeLessThan(all.total)
+    expect(finance.byDepartment).toEqual({ Finance: finance.total })
+  })
+
+  it('should sort by each key in turn', async () => {
+    const { data: { reports } } = await flush(reportsAPI.getReports({
+      pageSize: 100,
+      sort: [{ field: 'department', order: 'asc' }, { field: 'createdAt', order: 'desc' }]
+    }))
+
+    const departments = reports.map(report => report.department)
+    expect(departments).toEqual([...departments].sort())
+    reports.slice(1).forEach((report, i) => {
+      if (report.department === reports[i].department) {
+        expect(new Date(report.createdAt) <= new Date(reports[i].createdAt)).toBe(true)
+      }
+    })
+  })
+
+  it('should sort execution metrics numerically', async () => {
+    const sortBy = async (field) => {
+      const { data: { reports } } = await flush(reportsAPI.getReports({
+        pageSize: 50,
+        sort: [{ field, order: 'asc' }]
+      }))
+      return reports.map(report => report[field])
+    }
+
+    for (const field of ['recordCount', 'fileSize', 'executionTime']) {
+      const values = await sortBy(field)
+      expect(values.every(value => typeof value === 'number')).toBe(true)
+      expect(values).toEqual([...values].sort((a, b) => a - b))
+    }
+  })
+
+  it('should filter on any of several values and within numeric and date ranges', async () => {
+    const filters = {
+      status: ['draft', 'failed'],
+      author: ['Mike Davis', 'Emily Brown'],
+      recordCountMin: 10000,
+      fileSizeMax: 30 * 1024 * 1024,
+      updatedFrom: '2000-01-01'
+    }
+    const { data: { reports, pagination } } = await flush(reportsAPI.getReports({ pageSize: 250, filters }))
+    const { data: summary } = await flush(reportsAPI.getReportsSummary({ filters }))
+
+    expect(reports.length).toBeGreaterThan(0)
+    expect(summary.total).toBe(pagination.totalCount)
+    reports.forEach((report) => {
+      expect(filters.status).toContain(report.status)
+      expect(filters.author).toContain(report.author)
+      expect(report.recordCount).toBeGreaterThanOrEqual(10000)
+      expect(report.fileSize).toBeLessThanOrEqual(30 * 1024 * 1024)
+    })
+  })
+
+  it('should match misspelled search terms', async () => {
+    const count = async (query) => (await flush(reportsAPI.getReports(query))).data.pagination.totalCount
+
+    expect(await count({ search: 'Finanse' })).toBe(await count({ filters: { department: 'Finance' } }))
+    expect(await count({ search: 'jonh' })).toBe(await count({ filters: { author: 'John Smith' } }))
+  })
+
+  it('should rank results by relevance when asked to', async () => {
+    const { data: created } = await flush(reportsAPI.createReport({
+      title: 'Finance headcount',
+      department: 'HR',
+      type: 'Monthly Summary'
+    }))
+    const firstTitle = async (sort) => {
+      const { data: { reports } } = await flush(reportsAPI.getReports({ search: 'finance', sort }))
+      return reports[0].title
+    }
+
+    // Oldest first, it's buried under the department matches
+    expect(await firstTitle([{ field: 'createdAt', order: 'asc' }])).not.toBe(created.title)
+    expect(await firstTitle([{ field: 'relevance', order: 'desc' }, { field: 'createdAt', order: 'asc' }])).toBe(created.title)
+  })
+
+  it('should apply bulk updates in one request and report missing ids', async () => {
+    const { data: { reports } } = await flush(reportsAPI.getReports({ pageSize: 3 }))
+    const ids = [...reports.map(report => report.id), 99999]
+
+    const { data: result } = await flush(reportsAPI.bulkUpdateReports(ids, { priority: 'high' }))
+
+    expect(result.succeeded.map(report => report.id)).toEqual(ids.slice(0, 3))
+    expect(result.succeeded.every(report => report.priority === 'high')).toBe(true)
+    expect(result.failed).toEqual([{ id: 99999, error: 'Report not found', code: ERROR_CODES.NOT_FOUND }])
+    await expect(flush(reportsAPI.bulkUpdateReports(ids, { status: 'bogus' })))
+      .rejects.toThrow(/Validation error: Status must be one of/)
+  })
+
+  it('should return a report with its activity, newest first', async () => {
+    const { data: { reports: [report] } } = await flush(reportsAPI.getReports({ pageSize: 1, filters: { status: 'draft' } }))
+
+    const { data: before } = await flush(reportsAPI.getReport(report.id))
+    expect(before).toMatchObject(report)
+    expect(before.activity.at(-1)).toEqual({ type: 'created', at: report.createdAt, actor: report.author })
+
+    vi.advanceTimersByTime(1000)
+    await flush(reportsAPI.updateReport(report.id, { status: 'approved', title: report.title }))
+    await flush(reportsAPI.executeReport(report.id))
+
+    const { data: after } = await flush(reportsAPI.getReport(report.id))
+    expect(after.activity.map(entry => entry.type).slice(0, 3))
+      .toEqual([expect.stringMatching(/^execution-(completed|failed)$/), 'execution-started', 'updated'])
+    expect(after.activity[2]).toMatchObject({ actor: 'Current User', changes: { status: { from: 'draft', to: 'approved' } } })
+    expect(after.activity[2].changes).not.toHaveProperty('title')
+    expect(after.activity).toHaveLength(before.activity.length + 3)
+
+    await flush(reportsAPI.deleteReport(report.id))
+    await expect(flush(reportsAPI.getReport(report.id))).rejects.toBeInstanceOf(NotFoundError)
+  })
+
+  it('should reject with an AbortError and skip the mutation when aborted', async () => {
+    const { data: { reports: [report] } } = await flush(reportsAPI.getReports({ pageSize: 1 }))
+    const controller = new AbortController()
+
+    const pending = reportsAPI.deleteReport(report.id, { signal: controller.signal })
+    controller.abort()
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' })
+    const { data: list } = await flush(reportsAPI.getReports({ pageSize: 1 }))
+    expect(list.reports[0].id).toBe(report.id)
+  })
+
+  it('should be configurable for reproducible runs', async () => {
+    const options = { count: 500, seed: 42, failureRate: 0, latency: 0, endDate: '2025-01-01T00:00:00.000Z' }
+    const first = createMockReportsService(options)
+    const second = createMockReportsService(options)
+
+    const { data: a } = await flush(first.getReports({ pageSize: 10 }))
+    const { data: b } = await flush(second.getReports({ pageSize: 10 }))
+
+    expect(a.pagination.totalCount).toBe(500)
+    expect(a.reports).toEqual(b.reports)
+  })
+
+  it('should fail getReports at the configured rate', async () => {
+    const flaky = createMockReportsService({ failureRate: 1, latency: 0 })
+
+    await expect(flush(flaky.getReports())).rejects.toMatchObject({ code: ERROR_CODES.NETWORK })
+  })
+
+  describe('with persistence', () => {
+    const createMemoryPersistence = () => {
+      let saved = null
+      return {
+        load: () => saved,
+        save: vi.fn((reports) => { saved = structuredClone(reports) }),
+        clear: vi.fn(() => { saved = null })
+      }
+    }
+    const options = { count: 20, seed: 42, failureRate: 0, latency: 0 }
+
+    it('should restore changes in a new instance', async () => {
+      const persistence = createMemoryPersistence()
+      const first = createMockReportsService({ ...options, persistence })
+
+      await flush(first.deleteReport(1))
+      await flush(first.updateReport(2, { title: 'Kept across reloads' }))
+
+      const second = createMockReportsService({ ...options, persistence })
+      const { data } = await flush(second.getReportIds())
+      const { data: { reports } } = await flush(second.getReports({ search: 'Kept across reloads' }))
+
+      expect(data).not.toContain(1)
+      expect(data).toHaveLength(19)
+      expect(reports.map(report => report.id)).toEqual([2])
+    })
+
+    it('should mark executions interrupted by a reload as failed', async () => {
+      const persistence = createMemoryPersistence()
+      const first = createMockReportsService({ ...options, persistence })
+
+      const running = first.executeReport(3)
+      await vi.advanceTimersByTimeAsync(0)
+      await running
+
+      const second = createMockReportsService({ ...options, persistence })
+      const { data } = await flush(second.bulkGetReports([3]))
+      expect(data.succeeded[0].status).toBe('failed')
+    })
+
+    it('should regenerate the original data on reset', async () => {
+      const persistence = createMemoryPersistence()
+      const service = createMockReportsService({ ...options, persistence })
+      const { data: before } = await flush(service.getReports({ pageSize: 20 }))
+
+      await flush(service.bulkDeleteReports([1, 2, 3]))
+      const { data: reset } = await flush(service.resetDemoData())
+      const { data: after } = await flush(service.getReports({ pageSize: 20 }))
+
+      expect(reset.totalCount).toBe(20)
+      expect(after.reports.map(report => report.id)).toEqual(before.reports.map(report => report.id))
+      expect(persistence.clear).toHaveBeenCalled()
+      expect(persistence.load()).toBe(null)
+    })
+  })
+})
@@ -0,0 +1,66 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import {
+  createLocalStoragePersistence,
+  migrateMockDb,
+  MOCK_DB_STORAGE_KEY,
+  MOCK_DB_VERSION
+} from '../services/mockReportsStorage'
+
+describe('mockReportsStorage', () => {
+  beforeEach(() => {
+    window.localStorage.clear()
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  describe('migrateMockDb', () => {
+    const migrations = {
+      1: (reports) => reports.map(report => ({ ...report, v2: true })),
+      2: (reports) => reports.map(report => ({ ...report, v3: true }))
+    }
+
+    it('should run every migration from the stored version up', () => {
+      expect(migrateMockDb({ version: 1, reports: [{ id: 1 }] }, { version: 3, migrations }))
+        .toEqual([{ id: 1, v2: true, v3: true }])
+      expect(migrateMockDb({ version: 3, reports: [{ id: 1 }] }, { version: 3, migrations }))
+        .toEqual([{ id: 1 }])
+    })
+
+    it('should reject snapshots it cannot read', () => {
+      expect(migrateMockDb(null)).toBe(null)
+      expect(migrateMockDb({ reports: [] })).toBe(null)
+      expect(migrateMockDb({ version: 1, reports: 'nope' })).toBe(null)
+      expect(migrateMockDb({ version: 4, reports: [] }, { version: 3, migrations })).toBe(null)
+      expect(migrateMockDb({ version: 0, reports: [] }, { version: 3, migrations })).toBe(null)
+    })
+
+    it('should convert v1 metric strings to numbers', () => {
+      const v1Report = { id: 1, recordCount: 1200, fileSize: '9.5 MB', executionTime: '12.0s' }
+
+      expect(migrateMockDb({ version: 1, reports: [v1Report] }, { version: 2 })).toEqual([
+        { id: 1, recordCount: 1200, fileSize: 9961472, executionTime: 12000 }
+      ])
+    })
+  })
+
+  describe('createLocalStoragePersistence', () => {
+    it('should save and restore reports with the current version', () => {
+      const persistence = createLocalStoragePersistence()
+
+      expect(persistence.load()).toBe(null)
+      persistence.save([{ id: 1, title: 'Saved' }])
+
+      expect(JSON.parse(window.localStorage.getItem(MOCK_DB_STORAGE_KEY)).version).toBe(MOCK_DB_VERSION)
+      expect(persistence.load()).toEqual([{ id: 1, title: 'Saved' }])
+
+      persistence.clear()
+      expect(persistence.load()).toBe(null)
+    })
+
+    it('should discard snapshots from an unsupported version', () => {
+      window.localStorage.setItem(MOCK_DB_STORAGE_KEY, JSON.stringify({ version: MOCK_DB_VERSION + 1, reports: [] }))
+
+      expect(createLocalStoragePersistence().load()).toBe(null)
+      expect(window.localStorage.getItem(MOCK_DB_STORAGE_KEY)).toBe(null)
+    })
+  })
+})
@@ -0,0 +1,83 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { reportsCache, getReportsCacheKey, REVALIDATE_AFTER } from '../services/reportsCache'
+
+const responseWith = (...reports) => ({ data: { reports, pagination: { totalPages: 1 } } })
+
+const financeReport = { id: 1, title: 'Budget Analysis 1', department: 'Finance', author: 'John Smith', status: 'draft', priority: 'high', createdAt: '2024-01-15T10:30:00Z' }
+const itReport = { id: 2, title: 'User Activity 1', department: 'IT', author: 'Mike Davis', status: 'published', priority: 'low', createdAt: '2024-01-15T10:30:00Z' }
+
+describe('reportsCache', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    reportsCache.clear()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should key equivalent queries identically', () => {
+    const key = getReportsCacheKey({ page: 1, pageSize: 10, filters: { status: 'draft', department: '' }, search: 'budget ' })
+
+    expect(getReportsCacheKey({
+      pageSize: 10,
+      filters: { department: '', search: 'budget', status: 'draft' },
+      search: 'budget',
+      signal: new AbortController().signal
+    })).toBe(key)
+    expect(getReportsCacheKey({ page: 2, pageSize: 10, filters: { status: 'draft' }, search: 'budget' })).not.toBe(key)
+  })
+
+  it('should serve entries as fresh until they age out', () => {
+    const params = { page: 1, pageSize: 10 }
+    reportsCache.set(params, responseWith(financeReport))
+
+    expect(reportsCache.isFresh(reportsCache.get(params))).toBe(true)
+
+    vi.advanceTimersByTime(REVALIDATE_AFTER)
+    expect(reportsCache.isFresh(reportsCache.get(params))).toBe(false)
+    expect(reportsCache.get(params).response).toEqual(responseWith(financeReport))
+  })
+
+  it('should invalidate only queries the changed report belongs to', () => {
+    const finance = { filters: { department: 'Finance' } }
+    const financePage2 = { page: 2, filters: { department: 'Finance' } }
+    const it_ = { filters: { department: 'IT' } }
+    const drafts = { filters: { status: 'draft' } }
+    reportsCache.set(finance, responseWith(financeReport))
+    reportsCache.set(financePage2, responseWith())
+    reportsCache.set(it_, responseWith(itReport))
+    reportsCache.set(drafts, responseWith(financeReport))
+
+    // Finance report published: leaves the drafts query, stays in Finance
+    reportsCache.invalidateReport({ ...financeReport, status: 'published' })
+
+    expect(reportsCache.get(finance).stale).toBe(true)
+    expect(reportsCache.get(financePage2).stale).toBe(true)
+    expect(reportsCache.get(drafts).stale).toBe(true)
+    expect(reportsCache.get(it_).stale).toBe(false)
+  })
+
+  it('should invalidate queries a report moves into', () => {
+    const published = { filters: { status: 'published' } }
+    reportsCache.set(published, responseWith(itReport))
+
+    reportsCache.invalidateReport({ ...financeReport, status: 'published' }, financeReport)
+
+    expect(reportsCache.get(published).stale).toBe(true)
+  })
+  it('should write confirmed changes into every cached page showing the report', () => {
+    const all = { page: 1 }
+    const finance = { filters: { department: 'Finance' } }
+    reportsCache.set(all, responseWith(financeReport, itReport))
+    reportsCache.set(finance, responseWith(financeReport))
+
+    reportsCache.applyReport({ ...financeReport, title: 'Renamed' })
+    expect(reportsCache.get(all).response.data.reports.map(r => r.title)).toEqual(['Renamed', 'User Activity 1'])
+    expect(reportsCache.get(finance).response.data.reports[0].title).toBe('Renamed')
+
+    reportsCache.applyReport({ id: financeReport.id }, { deleted: true })
+    expect(reportsCache.get(all).response.data.reports).toEqual([itReport])
+    expect(reportsCache.get(finance).response.data.reports).toEqual([])
+  })
+})
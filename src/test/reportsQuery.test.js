@@ -0,0 +1,76 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { fetchAllReports, getSortParams } from '../lib/reportsQuery'
+import { reportsAPI } from '../services/reportsAPI'
+
+// Mock the reports API
+vi.mock('../services/reportsAPI', () => ({
+  reportsAPI: {
+    getReports: vi.fn()
+  }
+}))
+
+const mockPage = (page, totalPages, totalCount) => ({
+  data: {
+    reports: [{ id: page * 10 + 1 }, { id: page * 10 + 2 }],
+    pagination: { currentPage: page, totalPages, totalCount }
+  }
+})
+
+describe('reportsQuery', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should default to newest first when no sorting is set', () => {
+    expect(getSortParams([])).toEqual({ sort: [{ field: 'createdAt', order: 'desc' }] })
+    expect(getSortParams([{ id: 'title', desc: false }])).toEqual({ sort: [{ field: 'title', order: 'asc' }] })
+  })
+
+  it('should keep every sorted column in priority order', () => {
+    expect(getSortParams([
+      { id: 'department', desc: false },
+      { id: 'createdAt', desc: true }
+    ])).toEqual({
+      sort: [
+        { field: 'department', order: 'asc' },
+        { field: 'createdAt', order: 'desc' }
+      ]
+    })
+  })
+
+  it('should walk every page with the active filters and sorting', async () => {
+    reportsAPI.getReports.mockImplementation(async ({ page }) => mockPage(page, 3, 6))
+    const filters = { status: 'draft', search: 'budget' }
+    const onProgress = vi.fn()
+
+    const reports = await fetchAllReports({
+      filters,
+      sorting: [{ id: 'title', desc: true }],
+      onProgress
+    })
+
+    expect(reports).toHaveLength(6)
+    expect(reportsAPI.getReports).toHaveBeenCalledTimes(3)
+    expect(reportsAPI.getReports).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        page: 3,
+        sort: [{ field: 'title', order: 'desc' }],
+        filters,
+        search: 'budget'
+      })
+    )
+    expect(onProgress).toHaveBeenLastCalledWith({ loaded: 6, total: 6 })
+  })
+
+  it('should stop walking pages once aborted', async () => {
+    const controller = new AbortController()
+    reportsAPI.getReports.mockImplementation(async ({ page }) => {
+      if (page === 2) controller.abort()
+      return mockPage(page, 5, 10)
+    })
+
+    await expect(fetchAllReports({ signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' })
+    expect(reportsAPI.getReports).toHaveBeenCalledTimes(2)
+  })
+})
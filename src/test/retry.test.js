@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { withRetry, isRetryableError, getBackoffDelay } from '../lib/retry'
+import { NetworkError, ValidationError, NotFoundError, ConflictError } from '../services/reportsErrors'
+
+const networkError = () => new NetworkError('Network error: Failed to fetch reports')
+
+describe('retry', () => {
+  describe('isRetryableError', () => {
+    it('should retry network errors only', () => {
+      expect(isRetryableError(networkError())).toBe(true)
+      expect(isRetryableError(new ValidationError({ title: 'Report title is required' }))).toBe(false)
+      expect(isRetryableError(new NotFoundError(1))).toBe(false)
+      expect(isRetryableError(new ConflictError('Report is already running'))).toBe(false)
+      expect(isRetryableError(new Error('Network error'))).toBe(false)
+      expect(isRetryableError(new DOMException('The operation was aborted', 'AbortError'))).toBe(false)
+    })
+  })
+
+  describe('getBackoffDelay', () => {
+    const policy = { baseDelay: 100, maxDelay: 1000 }
+
+    it('should grow exponentially with jitter up to the cap', () => {
+      expect(getBackoffDelay(1, policy, () => 0)).toBe(50)
+      expect(getBackoffDelay(1, policy, () => 0.5)).toBe(75)
+      expect(getBackoffDelay(3, policy, () => 0)).toBe(200)
+      expect(getBackoffDelay(10, policy, () => 0.5)).toBe(750)
+    })
+  })
+
+  describe('withRetry', () => {
+    beforeEach(() => {
+      vi.useFakeTimers()
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('should retry transient failures until the operation succeeds', async () => {
+      const operation = vi.fn()
+        .mockRejectedValueOnce(networkError())
+        .mockRejectedValueOnce(networkError())
+        .mockResolvedValueOnce('ok')
+      const onRetry = vi.fn()
+
+      const promise = withRetry(operation, { attempts: 3, baseDelay: 100, onRetry })
+      await vi.runAllTimersAsync()
+
+      await expect(promise).resolves.toBe('ok')
+      expect(operation).toHaveBeenCalledTimes(3)
+      expect(onRetry.mock.calls.map(([info]) => info.attempt)).toEqual([2, 3])
+    })
+
+    it('should give up after the configured number of attempts', async () => {
+      const operation = vi.fn().mockRejectedValue(networkError())
+
+      const promise = withRetry(operation, { attempts: 2, baseDelay: 100 })
+      const assertion = expect(promise).rejects.toThrow('Network error')
+      await vi.runAllTimersAsync()
+
+      await assertion
+      expect(operation).toHaveBeenCalledTimes(2)
+    })
+
+    it('should not retry errors that are not retryable', async () => {
+      const operation = vi.fn().mockRejectedValue(new NotFoundError(1))
+
+      await expect(withRetry(operation)).rejects.toThrow('Report not found')
+      expect(operation).toHaveBeenCalledTimes(1)
+    })
+
+    it('should stop waiting when aborted', async () => {
+      const controller = new AbortController()
+      const operation = vi.fn().mockRejectedValue(networkError())
+
+      const promise = withRetry(operation, { attempts: 3, baseDelay: 1000, signal: controller.signal })
+      const assertion = expect(promise).rejects.toMatchObject({ name: 'AbortError' })
+      await vi.advanceTimersByTimeAsync(0)
+      controller.abort()
+
+      await assertion
+      expect(operation).toHaveBeenCalledTimes(1)
+    })
+  })
+})
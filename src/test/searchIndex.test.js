@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import { matchWord, createSearchIndex, scoreReport, findMatchRanges } from '../services/searchIndex'
+
+const reports = [
+  { id: 1, title: 'Budget Analysis 1', type: 'Budget Analysis', department: 'Finance', author: 'John Smith', status: 'approved' },
+  { id: 2, title: 'Finance Review', type: 'Monthly Summary', department: 'IT', author: 'Sarah Johnson', status: 'draft' },
+  { id: 3, title: 'User Activity 1', type: 'User Activity', department: 'HR', author: 'Mike Davis', status: 'published' }
+]
+
+describe('searchIndex', () => {
+  describe('matchWord', () => {
+    it('should prefer exact over prefix, infix and typo matches', () => {
+      const quality = (term, word) => matchWord(term, word)?.quality ?? 0
+
+      expect(quality('finance', 'finance')).toBeGreaterThan(quality('fin', 'finance'))
+      expect(quality('fin', 'finance')).toBeGreaterThan(quality('finanse', 'finance'))
+      expect(quality('finanse', 'finance')).toBeGreaterThan(quality('nanc', 'finance'))
+      expect(quality('nanc', 'finance')).toBeGreaterThan(0)
+    })
+
+    it('should allow more typos in longer terms and none in short ones', () => {
+      expect(matchWord('jonh', 'john')).not.toBeNull() // transposition
+      expect(matchWord('anlaysis', 'analysis')).not.toBeNull()
+      expect(matchWord('opperatoins', 'operations')).not.toBeNull() // two edits
+      expect(matchWord('jhn', 'jon')).toBeNull()
+      expect(matchWord('fiance', 'smith')).toBeNull()
+    })
+  })
+
+  describe('createSearchIndex', () => {
+    const index = createSearchIndex(reports)
+
+    it('should require every term to match', () => {
+      expect([...index.search(['finanse']).keys()].sort()).toEqual([1, 2])
+      expect([...index.search(['finanse', 'jonh']).keys()]).toEqual([1])
+      expect([...index.search(['budget analysis']).keys()]).toEqual([1])
+      expect(index.search(['analysis budget']).size).toBe(0)
+    })
+
+    it('should rank title matches above other fields and close matches above typos', () => {
+      const scores = index.search(['finance'])
+      expect(scores.get(2)).toBeGreaterThan(scores.get(1))
+
+      expect(index.search(['user']).get(3)).toBeGreaterThan(index.search(['usre']).get(3))
+    })
+
+    it('should match every report with relevance 0 when there are no terms', () => {
+      expect([...index.search([]).entries()]).toEqual([[1, 0], [2, 0], [3, 0]])
+    })
+
+    it('should score single reports the same way', () => {
+      const terms = ['finanse', 'review']
+      const scores = index.search(terms)
+
+      reports.forEach((report) => {
+        expect(scoreReport(report, terms)).toBe(scores.get(report.id) ?? null)
+      })
+    })
+  })
+
+  describe('findMatchRanges', () => {
+    it('should find the matched part of each word, merging overlaps', () => {
+      const text = 'Budget Analysis 12'
+      const matched = (terms) => findMatchRanges(text, terms).map(({ start, end }) => text.slice(start, end))
+
+      expect(matched(['bud', 'anlaysis'])).toEqual(['Bud', 'Analysis'])
+      expect(matched(['budget analysis', 'budg'])).toEqual(['Budget Analysis'])
+      expect(matched(['1'])).toEqual(['1'])
+      expect(matched([])).toEqual([])
+    })
+  })
+})
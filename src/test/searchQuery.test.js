@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest'
+import { parseSearchQuery, getSearchSuggestions } from '../services/searchQuery'
+import { filterReports } from '../services/reportFilters'
+
+const reports = [
+  { id: 1, title: 'Budget Analysis 1', department: 'Finance', author: 'John Smith', type: 'Budget Analysis', status: 'approved', priority: 'high', recordCount: 20000, fileSize: 5 * 1024 * 1024, executionTime: 12000, createdAt: '2024-01-10T12:00:00.000Z', updatedAt: '2024-02-01T12:00:00.000Z' },
+  { id: 2, title: 'Budget Analysis 2', department: 'Finance', author: 'Sarah Johnson', type: 'Budget Analysis', status: 'archived', priority: 'high', recordCount: 30000, fileSize: 20 * 1024 * 1024, executionTime: 90000, createdAt: '2024-01-20T12:00:00.000Z', updatedAt: '2024-03-01T12:00:00.000Z' },
+  { id: 3, title: 'User Activity 1', department: 'IT', author: 'Mike Davis', type: 'User Activity', status: 'approved', priority: 'low', recordCount: 5000, fileSize: 40 * 1024 * 1024, executionTime: 3000, createdAt: '2024-02-05T12:00:00.000Z', updatedAt: '2024-02-06T12:00:00.000Z' }
+]
+const ids = (search) => filterReports(reports, {}, search).map(report => report.id)
+
+describe('searchQuery', () => {
+  describe('parseSearchQuery', () => {
+    it('should turn field clauses into filters and the rest into terms', () => {
+      const query = parseSearchQuery('status:approved dept:finance,IT records:>10000 "Budget Analysis" -archived')
+
+      expect(query.errors).toEqual([])
+      expect(query.filters).toEqual({
+        status: ['approved'],
+        department: ['Finance', 'IT'],
+        recordCountMin: 10001
+      })
+      expect(query.terms).toEqual(['budget analysis'])
+      expect(query.excludedTerms).toEqual(['archived'])
+    })
+
+    it('should read sizes, durations, ranges and dates', () => {
+      expect(parseSearchQuery('size:>=10MB time:<1.5m records:100..500').filters).toEqual({
+        fileSizeMin: 10 * 1024 * 1024,
+        executionTimeMax: 89999,
+        recordCountMin: 100,
+        recordCountMax: 500
+      })
+      expect(parseSearchQuery('created:2024-01-15 updated:<2024-03-01').filters).toEqual({
+        dateFrom: '2024-01-15T00:00:00.000Z',
+        dateTo: '2024-01-15T23:59:59.999Z',
+        updatedTo: '2024-02-29T23:59:59.999Z'
+      })
+    })
+
+    it('should report each clause that does not parse with its position', () => {
+      const text = 'stauts:draft priority:urgent records:lots "unclosed'
+      const { errors, filters } = parseSearchQuery(text)
+
+      expect(errors.map(({ start, end }) => text.slice(start, end))).toEqual([
+        'stauts:draft',
+        'priority:urgent',
+        'records:lots',
+        '"unclosed'
+      ])
+      expect(errors[1].message).toBe('Unknown priority "urgent"')
+      expect(filters).toEqual({})
+    })
+  })
+
+  describe('matching', () => {
+    it('should apply clauses, phrases and exclusions together', () => {
+      expect(ids('status:approved dept:Finance priority:high records:>10000 "Budget Analysis" -archived')).toEqual([1])
+      expect(ids('budget -status:archived')).toEqual([1])
+      expect(ids('author:"Mike Davis"')).toEqual([3])
+      expect(ids('size:>10MB time:<2m')).toEqual([2, 3])
+      expect(ids('updated:2024-02-01..2024-02-28')).toEqual([1, 3])
+    })
+
+    it('should ignore clauses that do not parse', () => {
+      expect(ids('priority:urgent')).toEqual([1, 2, 3])
+    })
+
+    it('should keep plain searches working as substring matches', () => {
+      expect(ids('budget')).toEqual([1, 2])
+      expect(ids('mike')).toEqual([3])
+    })
+  })
+
+  describe('getSearchSuggestions', () => {
+    it('should suggest field names for a bare word', () => {
+      const text = 'budget pri'
+      expect(getSearchSuggestions(text, text.length)).toEqual({
+        from: 7,
+        to: 10,
+        options: [{ label: 'priority:', value: 'priority:' }]
+      })
+    })
+
+    it('should suggest known values after a list field, quoting ones with spaces', () => {
+      expect(getSearchSuggestions('type:mon', 8).options).toEqual([
+        { label: 'Monthly Summary', value: '"Monthly Summary"' }
+      ])
+      expect(getSearchSuggestions('dept:Finance,h', 14)).toMatchObject({ from: 13, to: 14, options: [{ value: 'HR' }] })
+      expect(getSearchSuggestions('records:>1', 10).options).toEqual([])
+    })
+  })
+})
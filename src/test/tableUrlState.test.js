@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest'
+import { parseTableState, serializeTableState } from '../lib/tableUrlState'
+
+describe('tableUrlState', () => {
+  it('should round-trip table state through the query string', () => {
+    const state = {
+      pageIndex: 2,
+      pageSize: 25,
+      sorting: [{ id: 'title', desc: false }],
+      filters: { search: 'budget report', status: ['draft'], department: ['Finance'], dateFrom: '2024-01-01' }
+    }
+
+    const query = serializeTableState(state)
+
+    expect(query).toBe('q=budget+report&status=draft&department=Finance&dateFrom=2024-01-01&sort=title%3Aasc&page=3&pageSize=25')
+    expect(parseTableState(`?${query}`)).toEqual(state)
+  })
+
+  it('should round-trip multi-value and range filters', () => {
+    const filters = {
+      status: ['draft', 'pending'],
+      author: ['Mike Davis', 'Sarah Johnson'],
+      fileSizeMin: 1048576,
+      executionTimeMax: 60000,
+      updatedFrom: '2024-03-01'
+    }
+
+    const query = serializeTableState({ filters })
+
+    expect(query).toBe(
+      'status=draft%2Cpending&author=Mike+Davis%2CSarah+Johnson&fileSizeMin=1048576&executionTimeMax=60000&updatedFrom=2024-03-01'
+    )
+    expect(parseTableState(`?${query}`).filters).toEqual(filters)
+    // A single value given as a string serializes the same as a one-item list
+    expect(serializeTableState({ filters: { status: 'draft' } })).toBe('status=draft')
+  })
+
+  it('should accept relevance as a sort key', () => {
+    const sorting = [{ id: 'relevance', desc: true }, { id: 'title', desc: false }]
+
+    expect(parseTableState(`?${serializeTableState({ sorting })}`).sorting).toEqual(sorting)
+  })
+
+  it('should round-trip sorts on the optional id and type columns', () => {
+    const sorting = [{ id: 'type', desc: false }, { id: 'id', desc: true }]
+
+    expect(serializeTableState({ sorting })).toBe('sort=type%3Aasc%2Cid%3Adesc')
+    expect(parseTableState(`?${serializeTableState({ sorting })}`).sorting).toEqual(sorting)
+  })
+
+  it('should omit defaults from the query string', () => {
+    expect(serializeTableState({ pageIndex: 0, pageSize: 10, sorting: [], filters: { status: '', search: '' } })).toBe('')
+  })
+
+  it('should sanitize invalid params instead of throwing', () => {
+    const state = parseTableState(
+      '?page=-4&pageSize=7&sort=password:asc,title:sideways,author:desc' +
+      '&status=deleted,draft&department=Finance&priority=urgent&dateFrom=2024-02-31&dateTo=not-a-date&q=%20%20' +
+      '&recordCountMin=-5&fileSizeMax=big'
+    )
+
+    expect(state).toEqual({
+      pageIndex: 0,
+      pageSize: 10,
+      sorting: [{ id: 'author', desc: true }],
+      filters: { status: ['draft'], department: ['Finance'] }
+    })
+  })
+})
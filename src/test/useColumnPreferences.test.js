@@ -0,0 +1,80 @@
+import { renderHook, act } from '@testing-library/react'
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  useColumnPreferences,
+  orderColumnIds,
+  COLUMN_PREFERENCES_STORAGE_KEY
+} from '../hooks/useColumnPreferences'
+
+describe('useColumnPreferences', () => {
+  const defaultVisibility = { id: false }
+
+  beforeEach(() => {
+    window.localStorage.clear()
+  })
+
+  it('should start from the default visibility and persist changes', () => {
+    const { result } = renderHook(() => useColumnPreferences({ defaultVisibility }))
+    expect(result.current.columnVisibility).toEqual({ id: false })
+
+    act(() => {
+      result.current.onColumnVisibilityChange(prev => ({ ...prev, id: true, updatedAt: false }))
+      result.current.onColumnOrderChange(['status', 'title'])
+      result.current.onColumnSizingChange({ title: 320 })
+    })
+
+    // A fresh hook instance reads the persisted columns back
+    const { result: reloaded } = renderHook(() => useColumnPreferences({ defaultVisibility }))
+    expect(reloaded.current).toMatchObject({
+      columnVisibility: { id: true, updatedAt: false },
+      columnOrder: ['status', 'title'],
+      columnSizing: { title: 320 }
+    })
+  })
+
+  it('should restore the defaults on reset', () => {
+    const { result } = renderHook(() => useColumnPreferences({ defaultVisibility }))
+
+    act(() => {
+      result.current.onColumnOrderChange(['status'])
+      result.current.onColumnVisibilityChange({ id: true })
+    })
+    act(() => {
+      result.current.resetColumns()
+    })
+
+    expect(result.current).toMatchObject({ columnVisibility: { id: false }, columnOrder: [], columnSizing: {} })
+  })
+
+  it('should open with the initial visibility instead of the stored one', () => {
+    window.localStorage.setItem(COLUMN_PREFERENCES_STORAGE_KEY, JSON.stringify({
+      columnVisibility: { id: true, status: false },
+      columnOrder: ['status']
+    }))
+
+    const { result } = renderHook(() => useColumnPreferences({ defaultVisibility, initialVisibility: { author: false } }))
+
+    expect(result.current.columnVisibility).toEqual({ id: false, author: false })
+    expect(result.current.columnOrder).toEqual(['status'])
+  })
+
+  it('should ignore malformed stored preferences', () => {
+    window.localStorage.setItem(COLUMN_PREFERENCES_STORAGE_KEY, JSON.stringify({
+      columnVisibility: ['title'],
+      columnOrder: ['title', 7],
+      columnSizing: { title: 'wide', status: 90 }
+    }))
+
+    const { result } = renderHook(() => useColumnPreferences({ defaultVisibility }))
+
+    expect(result.current).toMatchObject({
+      columnVisibility: { id: false },
+      columnOrder: ['title'],
+      columnSizing: { status: 90 }
+    })
+  })
+
+  it('should order ids the way the table does', () => {
+    expect(orderColumnIds(['title', 'status', 'author'], ['author', 'gone'])).toEqual(['author', 'title', 'status'])
+  })
+})
@@ -0,0 +1,63 @@
+import { renderHook, act } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { useExecutionTracker } from '../hooks/useExecutionTracker'
+import { reportsAPI } from '../services/reportsAPI'
+
+// Mock the reports API, capturing the update listener
+let pushUpdate
+const mockUnsubscribe = vi.fn()
+vi.mock('../services/reportsAPI', () => ({
+  reportsAPI: {
+    subscribeToReportUpdates: vi.fn()
+  }
+}))
+
+describe('useExecutionTracker', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    reportsAPI.subscribeToReportUpdates.mockImplementation((listener) => {
+      pushUpdate = listener
+      return mockUnsubscribe
+    })
+  })
+
+  it('should forward every update and finish tracked executions', () => {
+    const onReportUpdate = vi.fn()
+    const onExecutionFinished = vi.fn()
+    const { result } = renderHook(() => useExecutionTracker({ onReportUpdate, onExecutionFinished }))
+
+    act(() => {
+      result.current.trackExecution(5)
+    })
+    expect(result.current.executions[5]).toEqual({ status: 'running', report: null })
+
+    // Still running: patched in place but not finished
+    act(() => {
+      pushUpdate({ id: 5, status: 'active' })
+    })
+    expect(onReportUpdate).toHaveBeenCalledWith({ id: 5, status: 'active' })
+    expect(result.current.executions[5].status).toBe('running')
+
+    const finished = { id: 5, status: 'completed', recordCount: 1200, fileSize: 9961472, executionTime: 12000 }
+    act(() => {
+      pushUpdate(finished)
+    })
+    expect(result.current.executions[5]).toEqual({ status: 'completed', report: finished })
+    expect(onExecutionFinished).toHaveBeenCalledTimes(1)
+    expect(onExecutionFinished).toHaveBeenCalledWith(finished)
+  })
+
+  it('should ignore completions for untracked reports and unsubscribe on unmount', () => {
+    const onExecutionFinished = vi.fn()
+    const { result, unmount } = renderHook(() => useExecutionTracker({ onExecutionFinished }))
+
+    act(() => {
+      pushUpdate({ id: 9, status: 'failed' })
+    })
+    expect(onExecutionFinished).not.toHaveBeenCalled()
+    expect(result.current.executions).toEqual({})
+
+    unmount()
+    expect(mockUnsubscribe).toHaveBeenCalled()
+  })
+})
@@ -1,18 +1,23 @@
-import { renderHook, waitFor } from '@testing-library/react'
-import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { renderHook, waitFor, act } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import { useReportsData } from '../hooks/useReportsData'
 import { reportsAPI } from '../services/reportsAPI'
+import { reportsCache } from '../services/reportsCache'
+import { NetworkError, NotFoundError } from '../services/reportsErrors'
 
 // Mock the reports API
 vi.mock('../services/reportsAPI', () => ({
   reportsAPI: {
-    getReports: vi.fn()
+    getReports: vi.fn(),
+    updateReport: vi.fn(),
+    deleteReport: vi.fn()
   }
 }))
 
 describe('useReportsData', () => {
   beforeEach(() => {
     vi.clearAllMocks()
+    reportsCache.clear()
     reportsAPI.getReports.mockResolvedValue({
       data: {
         reports: [
@@ -42,6 +47,51 @@ describe('useReportsData', () => {
     expect(reportsAPI.getReports).toHaveBeenCalledTimes(1)
   })
 
+  it('should expose the total count and refetch at a new page size', async () => {
+    reportsAPI.getReports.mockResolvedValue({
+      data: {
+        reports: [{ id: 1, title: 'Test Report' }],
+        pagination: { totalPages: 25, currentPage: 1, totalCount: 243 }
+      }
+    })
+    const { result } = renderHook(() => useReportsData())
+    await waitFor(() => expect(result.current.loading).toBe(false))
+
+    expect(result.current.totalCount).toBe(243)
+    expect(result.current.pagination.pageCount).toBe(25)
+
+    act(() => {
+      result.current.onPaginationChange(prev => ({ ...prev, pageSize: 50 }))
+    })
+    await waitFor(() => {
+      expect(reportsAPI.getReports).toHaveBeenCalledWith(expect.objectContaining({ page: 1, pageSize: 50 }))
+    })
+  })
+
+  it('should bump dataVersion when reports change but not when paging', async () => {
+    reportsAPI.updateReport.mockResolvedValue({ data: { id: 1, title: 'Renamed', status: 'draft' } })
+    const { result } = renderHook(() => useReportsData())
+    await waitFor(() => expect(result.current.loading).toBe(false))
+    const initial = result.current.dataVersion
+
+    act(() => {
+      result.current.onPaginationChange(prev => ({ ...prev, pageIndex: 1 }))
+    })
+    await waitFor(() => expect(reportsAPI.getReports).toHaveBeenCalledWith(expect.objectContaining({ page: 2 })))
+    await waitFor(() => expect(result.current.loading).toBe(false))
+    expect(result.current.dataVersion).toBe(initial)
+
+    await act(async () => {
+      await result.current.updateReport(1, { title: 'Renamed' })
+    })
+    expect(result.current.dataVersion).toBe(initial + 1)
+
+    act(() => {
+      result.current.patchReport({ id: 2, status: 'completed' })
+    })
+    expect(result.current.dataVersion).toBe(initial + 2)
+  })
+
   it('should handle API errors', async () => {
     const errorMessage = 'API Error'
     reportsAPI.getReports.mockRejectedValue(new Error(errorMessage))
@@ -52,7 +102,7 @@ describe('useReportsData', () => {
       expect(result.current.loading).toBe(false)
     })
 
-    expect(result.current.error).toBe(errorMessage)
+    expect(result.current.error.message).toBe(errorMessage)
     expect(result.current.data).toEqual([])
   })
 
@@ -105,14 +155,16 @@ describe('useReportsData', () => {
     })
 
     // Change sorting
-    const newSorting = [{ id: 'title', desc: false }]
+    const newSorting = [{ id: 'department', desc: false }, { id: 'createdAt', desc: true }]
     result.current.onSortingChange(newSorting)
 
     await waitFor(() => {
       expect(reportsAPI.getReports).toHaveBeenCalledWith(
         expect.objectContaining({
-          sortBy: 'title',
-          sortOrder: 'asc'
+          sort: [
+            { field: 'department', order: 'asc' },
+            { field: 'createdAt', order: 'desc' }
+          ]
         })
       )
     })
@@ -135,4 +187,436 @@ describe('useReportsData', () => {
       expect(reportsAPI.getReports).toHaveBeenCalledTimes(1)
     })
   })
+
+  it('should track pending row actions and refetch after delete', async () => {
+    let resolveDelete
+    reportsAPI.deleteReport.mockReturnValue(new Promise(resolve => { resolveDelete = resolve }))
+    const { result } = renderHook(() => useReportsData())
+
+    await waitFor(() => {
+      expect(result.current.loading).toBe(false)
+    })
+    vi.clearAllMocks()
+
+    let deletePromise
+    act(() => {
+      deletePromise = result.current.deleteReport(1)
+    })
+    expect(result.current.pendingActions).toEqual({ 1: 'delete' })
+
+    await act(async () => {
+      resolveDelete({ data: { id: 1, title: 'Test Report' } })
+      await deletePromise
+    })
+
+    expect(result.current.pendingActions).toEqual({})
+    expect(reportsAPI.getReports).toHaveBeenCalledTimes(1)
+  })
+
+  describe('optimistic mutations', () => {
+    const deferred = () => {
+      let resolve, reject
+      const promise = new Promise((res, rej) => { resolve = res; reject = rej })
+      return { promise, resolve, reject }
+    }
+
+    const renderLoaded = async () => {
+      const hook = renderHook(() => useReportsData())
+      await waitFor(() => {
+        expect(hook.result.current.loading).toBe(false)
+      })
+      return hook
+    }
+
+    it('should show an update immediately and reconcile with the saved report', async () => {
+      const request = deferred()
+      reportsAPI.updateReport.mockReturnValue(request.promise)
+      const { result } = await renderLoaded()
+
+      let updatePromise
+      act(() => {
+        updatePromise = result.current.updateReport(1, { title: 'Renamed' }, { expectedUpdatedAt: 'v1' })
+      })
+      expect(result.current.data[0]).toMatchObject({ id: 1, title: 'Renamed', status: 'draft' })
+      expect(reportsAPI.updateReport).toHaveBeenCalledWith(1, { title: 'Renamed' }, { expectedUpdatedAt: 'v1' })
+
+      // The refetch that follows should still see the saved title
+      reportsAPI.getReports.mockReturnValue(new Promise(() => {}))
+      await act(async () => {
+        request.resolve({ data: { id: 1, title: 'Renamed', status: 'draft', updatedAt: 'v2' } })
+        await updatePromise
+      })
+
+      expect(result.current.data[0]).toMatchObject({ title: 'Renamed', updatedAt: 'v2' })
+    })
+
+    it('should roll an update back when the API rejects it', async () => {
+      reportsAPI.updateReport.mockRejectedValue(new NetworkError('Network error: Request failed'))
+      const { result } = await renderLoaded()
+
+      let caught
+      await act(async () => {
+        caught = await result.current.updateReport(1, { title: 'Renamed' }).catch(err => err)
+      })
+
+      expect(caught).toBeInstanceOf(NetworkError)
+      expect(result.current.data[0]).toMatchObject({ id: 1, title: 'Test Report' })
+    })
+
+    it('should keep pending changes over a refetch that lands mid-mutation', async () => {
+      const request = deferred()
+      reportsAPI.deleteReport.mockReturnValue(request.promise)
+      const { result } = await renderLoaded()
+
+      act(() => {
+        result.current.deleteReport(1).catch(() => {})
+      })
+      await act(async () => {
+        await result.current.refetch()
+      })
+
+      expect(result.current.data.map(report => report.id)).toEqual([2])
+    })
+
+    it('should restore a deleted row in place when the delete fails', async () => {
+      const request = deferred()
+      reportsAPI.deleteReport.mockReturnValue(request.promise)
+      const { result } = await renderLoaded()
+
+      let deletePromise
+      act(() => {
+        deletePromise = result.current.deleteReport(1)
+      })
+      expect(result.current.data.map(report => report.id)).toEqual([2])
+
+      await act(async () => {
+        request.reject(new NetworkError('Network error: Request failed'))
+        await deletePromise.catch(() => {})
+      })
+
+      expect(result.current.data.map(report => report.id)).toEqual([1, 2])
+      expect(result.current.pendingActions).toEqual({})
+    })
+
+    it('should not restore a row the server had already deleted', async () => {
+      reportsAPI.deleteReport.mockRejectedValue(new NotFoundError(1))
+      const { result } = await renderLoaded()
+      reportsAPI.getReports.mockReturnValue(new Promise(() => {}))
+
+      await act(async () => {
+        await result.current.deleteReport(1).catch(() => {})
+      })
+
+      expect(result.current.data.map(report => report.id)).toEqual([2])
+    })
+  })
+
+  describe('infinite mode', () => {
+    const allReports = Array.from({ length: 25 }, (_, i) => ({ id: i + 1, title: `Report ${i + 1}` }))
+
+    beforeEach(() => {
+      reportsAPI.getReports.mockImplementation(async ({ page, pageSize }) => ({
+        data: {
+          reports: allReports.slice((page - 1) * pageSize, page * pageSize),
+          pagination: {
+            currentPage: page,
+            totalCount: allReports.length,
+            totalPages: Math.ceil(allReports.length / pageSize),
+            hasNextPage: page * pageSize < allReports.length
+          }
+        }
+      }))
+    })
+
+    const lastRequest = () => reportsAPI.getReports.mock.calls.at(-1)[0]
+
+    it('should load the pages up to the current one, then append pages on demand', async () => {
+      const { result } = renderHook(() => useReportsData())
+      await waitFor(() => expect(result.current.loading).toBe(false))
+      act(() => {
+        result.current.onPaginationChange({ pageIndex: 1, pageSize: 10 })
+      })
+      await waitFor(() => expect(result.current.data[0].id).toBe(11))
+
+      act(() => {
+        result.current.changeMode('infinite', { rowIndex: 10 })
+      })
+      await waitFor(() => expect(result.current.data).toHaveLength(20))
+      expect(lastRequest()).toMatchObject({ page: 1, pageSize: 20 })
+      expect(result.current).toMatchObject({ mode: 'infinite', totalCount: 25, hasMore: true })
+      expect(result.current.pagination.pageIndex).toBe(0)
+
+      // Page 3 was prefetched while paging, so it's appended from the cache
+      await act(async () => {
+        await result.current.loadMore()
+      })
+      expect(result.current.data.map(report => report.id)).toEqual(allReports.map(report => report.id))
+      expect(result.current.hasMore).toBe(false)
+
+      // Nothing left to load
+      reportsAPI.getReports.mockClear()
+      await act(async () => {
+        await result.current.loadMore()
+      })
+      expect(reportsAPI.getReports).not.toHaveBeenCalled()
+    })
+
+    it('should refresh every loaded page in one request and start over for a new query', async () => {
+      const { result } = renderHook(() => useReportsData())
+      act(() => {
+        result.current.changeMode('infinite')
+      })
+      await waitFor(() => expect(result.current.data).toHaveLength(10))
+      await act(async () => {
+        await result.current.loadMore()
+      })
+
+      await act(async () => {
+        await result.current.refetch()
+      })
+      expect(lastRequest()).toMatchObject({ page: 1, pageSize: 20 })
+      expect(result.current.data).toHaveLength(20)
+
+      reportsAPI.getReports.mockClear()
+      act(() => {
+        result.current.onSortingChange([{ id: 'title', desc: false }])
+      })
+      await waitFor(() => expect(result.current.data).toHaveLength(10))
+      expect(reportsAPI.getReports.mock.calls[0][0]).toMatchObject({ page: 1, pageSize: 10 })
+    })
+
+    it('should open paged mode on the page holding the first row in view', async () => {
+      const { result } = renderHook(() => useReportsData())
+      act(() => {
+        result.current.changeMode('infinite')
+      })
+      await waitFor(() => expect(result.current.loading).toBe(false))
+
+      act(() => {
+        result.current.changeMode('paged', { rowIndex: 15 })
+      })
+      await waitFor(() => expect(result.current.data[0].id).toBe(11))
+      expect(result.current).toMatchObject({ mode: 'paged', hasMore: false })
+      expect(result.current.pagination.pageIndex).toBe(1)
+    })
+  })
+
+  it('should serve revisited pages from cache without a loading state', async () => {
+    const { result } = renderHook(() => useReportsData())
+
+    await waitFor(() => {
+      expect(result.current.loading).toBe(false)
+    })
+
+    act(() => {
+      result.current.onPaginationChange({ pageIndex: 1, pageSize: 10 })
+    })
+    await waitFor(() => {
+      expect(result.current.loading).toBe(false)
+    })
+    vi.clearAllMocks()
+
+    act(() => {
+      result.current.onPaginationChange({ pageIndex: 0, pageSize: 10 })
+    })
+
+    expect(result.current.loading).toBe(false)
+    expect(result.current.data).toHaveLength(2)
+    expect(reportsAPI.getReports).not.toHaveBeenCalled()
+  })
+
+  describe('retries', () => {
+    const networkError = () => new NetworkError('Network error: Failed to fetch reports')
+
+    it('should retry transient failures and expose the retry attempt', async () => {
+      reportsAPI.getReports.mockRejectedValueOnce(networkError())
+      const { result } = renderHook(() => useReportsData({ retryPolicy: { baseDelay: 400 } }))
+
+      await waitFor(() => {
+        expect(result.current.retrying).toEqual({ attempt: 2, attempts: 3 })
+      })
+      await waitFor(() => {
+        expect(result.current.loading).toBe(false)
+      })
+
+      expect(result.current.retrying).toBe(null)
+      expect(result.current.error).toBe(null)
+      expect(result.current.data).toHaveLength(2)
+      expect(reportsAPI.getReports).toHaveBeenCalledTimes(2)
+    })
+
+    it('should keep the last good data when every attempt fails', async () => {
+      const { result } = renderHook(() => useReportsData({ retryPolicy: { attempts: 2, baseDelay: 1 } }))
+      await waitFor(() => {
+        expect(result.current.loading).toBe(false)
+      })
+
+      reportsAPI.getReports.mockRejectedValue(networkError())
+      act(() => {
+        result.current.onPaginationChange({ pageIndex: 1, pageSize: 10 })
+      })
+
+      await waitFor(() => {
+        expect(result.current.error).toMatchObject({ code: 'NETWORK_ERROR' })
+      })
+      expect(result.current.data).toHaveLength(2)
+      expect(reportsAPI.getReports).toHaveBeenCalledTimes(3)
+    })
+  })
+
+  describe('stale response protection', () => {
+    // Each getReports call returns a promise the test resolves by hand
+    const deferCalls = () => {
+      const calls = []
+      reportsAPI.getReports.mockImplementation((params) => new Promise((resolve) => {
+        calls.push({ params, resolve })
+      }))
+      return calls
+    }
+    const pageOf = (title) => ({
+      data: { reports: [{ id: 1, title }], pagination: { totalPages: 1 } }
+    })
+
+    it('should abort the superseded request when a new one starts', async () => {
+      const calls = deferCalls()
+      const { result } = renderHook(() => useReportsData())
+
+      act(() => {
+        result.current.applyFilters({ status: 'draft' })
+      })
+
+      await waitFor(() => expect(calls).toHaveLength(2))
+      expect(calls[0].params.signal.aborted).toBe(true)
+      expect(calls[1].params.signal.aborted).toBe(false)
+    })
+
+    it('should never show an older response that resolves after a newer one', async () => {
+      const calls = deferCalls()
+      const { result } = renderHook(() => useReportsData())
+
+      act(() => {
+        result.current.applyFilters({ status: 'draft' })
+      })
+      await waitFor(() => expect(calls).toHaveLength(2))
+
+      // Newer request resolves first...
+      await act(async () => {
+        calls[1].resolve(pageOf('Newer'))
+      })
+      // ...then the slow, superseded one arrives
+      await act(async () => {
+        calls[0].resolve(pageOf('Older'))
+      })
+
+      expect(result.current.data).toEqual([{ id: 1, title: 'Newer' }])
+      expect(result.current.loading).toBe(false)
+    })
+
+    it('should keep loading until the latest request settles', async () => {
+      const calls = deferCalls()
+      const { result } = renderHook(() => useReportsData())
+
+      act(() => {
+        result.current.applyFilters({ status: 'draft' })
+      })
+      await waitFor(() => expect(calls).toHaveLength(2))
+
+      await act(async () => {
+        calls[0].resolve(pageOf('Older'))
+      })
+
+      expect(result.current.loading).toBe(true)
+      expect(result.current.data).toEqual([])
+    })
+  })
+
+  describe('with URL sync', () => {
+    afterEach(() => {
+      window.history.replaceState(null, '', '/')
+    })
+
+    it('should hydrate from the query string and sanitize invalid params', async () => {
+      window.history.replaceState(null, '', '/?page=3&status=bogus&department=IT&sort=title:desc&dateFrom=2024-13-01')
+
+      const { result } = renderHook(() => useReportsData({ syncWithUrl: true }))
+
+      expect(result.current.pagination.pageIndex).toBe(2)
+      expect(result.current.filters).toEqual({ department: ['IT'] })
+      expect(result.current.sorting).toEqual([{ id: 'title', desc: true }])
+
+      await waitFor(() => {
+        expect(window.location.search).toBe('?department=IT&sort=title%3Adesc&page=3')
+      })
+    })
+
+    it('should move a page past the end to the last page', async () => {
+      window.history.replaceState(null, '', '/?page=999&department=IT')
+      const historyLength = window.history.length
+
+      const { result } = renderHook(() => useReportsData({ syncWithUrl: true }))
+
+      expect(reportsAPI.getReports).toHaveBeenCalledWith(expect.objectContaining({ page: 999 }))
+      await waitFor(() => {
+        expect(result.current.pagination.pageIndex).toBe(0)
+        expect(result.current.loading).toBe(false)
+      })
+      expect(reportsAPI.getReports).toHaveBeenLastCalledWith(expect.objectContaining({ page: 1 }))
+      expect(result.current.data).toHaveLength(2)
+      // The corrected page replaces the bad URL rather than adding to history
+      expect(window.location.search).toBe('?department=IT')
+      expect(window.history.length).toBe(historyLength)
+    })
+
+    it('should open with the initial view when the URL has none', async () => {
+      const initialView = { filters: { status: ['draft'] }, sorting: [{ id: 'title', desc: false }], pageSize: 25 }
+
+      const { result } = renderHook(() => useReportsData({ syncWithUrl: true, initialView }))
+
+      expect(result.current.filters).toEqual({ status: ['draft'] })
+      await waitFor(() => {
+        expect(window.location.search).toBe('?status=draft&sort=title%3Aasc&pageSize=25')
+      })
+      // The view's page is the first one fetched, not a refetch after the defaults
+      expect(reportsAPI.getReports).toHaveBeenCalledTimes(1)
+      expect(reportsAPI.getReports).toHaveBeenCalledWith(
+        expect.objectContaining({ filters: { status: ['draft'] }, sort: [{ field: 'title', order: 'asc' }], pageSize: 25 })
+      )
+    })
+
+    it('should prefer the URL over the initial view', () => {
+      window.history.replaceState(null, '', '/?department=IT')
+      const initialView = { filters: { status: ['draft'] }, sorting: [], pageSize: 25 }
+
+      const { result } = renderHook(() => useReportsData({ syncWithUrl: true, initialView }))
+
+      expect(result.current.filters).toEqual({ department: ['IT'] })
+      expect(result.current.pagination.pageSize).toBe(10)
+    })
+
+    it('should push changes and restore prior views on back navigation', async () => {
+      const { result } = renderHook(() => useReportsData({ syncWithUrl: true }))
+
+      await waitFor(() => {
+        expect(result.current.loading).toBe(false)
+      })
+
+      act(() => {
+        result.current.applyFilters({ status: 'draft' })
+      })
+      await waitFor(() => {
+        expect(window.location.search).toBe('?status=draft')
+      })
+
+      // Simulate the browser going back to the unfiltered view
+      act(() => {
+        window.history.replaceState(null, '', '/')
+        window.dispatchEvent(new PopStateEvent('popstate'))
+      })
+
+      expect(result.current.filters).toEqual({})
+      // The unfiltered view was just fetched, so it is restored from cache
+      expect(result.current.data).toHaveLength(2)
+      expect(window.location.search).toBe('')
+    })
+  })
 })
@@ -0,0 +1,78 @@
+import { renderHook, act } from '@testing-library/react'
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  useSavedViews,
+  createViewSnapshot,
+  viewMatchesSnapshot,
+  SAVED_VIEWS_STORAGE_KEY
+} from '../hooks/useSavedViews'
+
+describe('useSavedViews', () => {
+  const snapshot = createViewSnapshot({
+    filters: { priority: 'high', department: 'Finance', status: '', search: '' },
+    sorting: [{ id: 'createdAt', desc: true }],
+    pageSize: 25,
+    columnVisibility: { updatedAt: false }
+  })
+
+  beforeEach(() => {
+    window.localStorage.clear()
+  })
+
+  it('should normalize snapshots so equivalent state matches a view', () => {
+    expect(snapshot.filters).toEqual({ priority: ['high'], department: ['Finance'] })
+    expect(viewMatchesSnapshot({ name: 'x', ...snapshot }, snapshot)).toBe(true)
+    expect(viewMatchesSnapshot({ name: 'x', ...snapshot, pageSize: 10 }, snapshot)).toBe(false)
+  })
+
+  it('should create, rename and delete views and persist them', () => {
+    const { result } = renderHook(() => useSavedViews())
+
+    let view
+    act(() => {
+      view = result.current.saveView('  High priority Finance ', snapshot)
+    })
+    expect(result.current.views).toEqual([{ id: view.id, name: 'High priority Finance', ...snapshot }])
+
+    act(() => {
+      result.current.renameView(view.id, 'Finance (high)')
+    })
+    expect(result.current.views[0].name).toBe('Finance (high)')
+
+    // A fresh hook instance reads the persisted views back
+    const { result: reloaded } = renderHook(() => useSavedViews())
+    expect(reloaded.current.views[0].name).toBe('Finance (high)')
+
+    act(() => {
+      result.current.deleteView(view.id)
+    })
+    expect(result.current.views).toEqual([])
+    expect(JSON.parse(window.localStorage.getItem(SAVED_VIEWS_STORAGE_KEY)).views).toEqual([])
+  })
+
+  it('should track the default view and clear it when that view is deleted', () => {
+    const { result } = renderHook(() => useSavedViews())
+
+    let view
+    act(() => {
+      view = result.current.saveView('Default', snapshot)
+    })
+    act(() => {
+      result.current.setDefaultView(view.id)
+    })
+    expect(result.current.defaultView).toMatchObject({ id: view.id })
+
+    act(() => {
+      result.current.deleteView(view.id)
+    })
+    expect(result.current.defaultView).toBe(null)
+  })
+
+  it('should ignore corrupt stored data', () => {
+    window.localStorage.setItem(SAVED_VIEWS_STORAGE_KEY, '{not json')
+
+    const { result } = renderHook(() => useSavedViews())
+
+    expect(result.current.views).toEqual([])
+  })
+})
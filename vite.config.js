@@ -1,7 +1,9 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { reportsMockApi } from './server/reportsMockApi'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  // reportsMockApi serves the in-memory reports data at /api for the http transport
+  plugins: [react(), reportsMockApi()],
 })